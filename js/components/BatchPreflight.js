@@ -0,0 +1,408 @@
+/**
+ * 批量转存预检组件
+ * 只读取分享令牌和详情，不保存任何文件；列出每个链接的有效性、文件数量、大小和重复情况，勾选后再转存
+ * 按网盘剩余空间依次累计，超出剩余空间的链接默认不勾选
+ */
+
+import { formatFileSize, escapeHtml } from '../utils/fileUtils.js';
+import { ERROR_CATEGORIES } from '../services/QuarkApiError.js';
+import { openModal } from '../utils/modalUtils.js';
+
+// 预检行状态
+const PREFLIGHT_STATE = {
+    WAITING: 'waiting',
+    CHECKING: 'checking',
+    DONE: 'done'
+};
+
+export class BatchPreflight {
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reset();
+    }
+
+    /**
+     * 重置预检状态
+     */
+    reset() {
+        this.quarkService = null;
+        this.capacity = null; // 网盘容量，获取失败时为 null，不做空间检查
+        this.rows = [];
+        this.abortController = null;
+        this.resolve = null;
+    }
+
+    /**
+     * 打开预检窗口并开始检查
+     * @param {Object} quarkService - 夸克服务实例
+     * @param {Array<{url: string, passcode: string, titleHint: string}>} links - 待检查的链接
+     * @returns {Promise<Array<{url: string, passcode: string, titleHint: string}>|null>} 勾选的链接，取消时为 null
+     */
+    open(quarkService, links) {
+        this.close(null);
+        this.reset();
+        this.quarkService = quarkService;
+        this.rows = links.map(link => ({
+            url: link.url,
+            passcode: link.passcode || '',
+            titleHint: link.titleHint || '',
+            state: PREFLIGHT_STATE.WAITING,
+            inspection: null,
+            localDuplicate: null,
+            cloudDuplicate: null,
+            overQuota: false,
+            include: false
+        }));
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal();
+            this.render();
+            this.run();
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     */
+    showModal() {
+        this.modal = openModal({
+            title: '批量转存预检',
+            wide: true,
+            onConfirm: () => this.confirm(),
+            onDismiss: () => this.close(null)
+        });
+    }
+
+    /**
+     * 依次检查所有待检查的行，请求速率由共享限流器控制
+     */
+    async run() {
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        try {
+            this.capacity = await this.loadCapacity(signal);
+
+            for (let index = 0; index < this.rows.length; index++) {
+                if (signal.aborted) return;
+                if (this.rows[index].state !== PREFLIGHT_STATE.WAITING) continue;
+
+                await this.inspectRow(index, signal);
+            }
+        } catch (error) {
+            if (error.cancelled) return;
+
+            this.logger.error('批量预检中止:', error.message);
+            this.notificationManager.error('预检已中止', error.getUserMessage?.() ?? error.message);
+            this.rows.forEach((row, index) => {
+                if (row.state !== PREFLIGHT_STATE.DONE) {
+                    row.state = PREFLIGHT_STATE.DONE;
+                    row.inspection = { alive: null, needPasscode: false, error };
+                    this.renderRow(index);
+                }
+            });
+        } finally {
+            this.updateConfirmButton();
+        }
+    }
+
+    /**
+     * 读取网盘容量
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<Object|null>} 容量 {total, used, free}，获取失败时为 null
+     */
+    async loadCapacity(signal) {
+        try {
+            return await this.quarkService.getCapacity(signal);
+        } catch (error) {
+            if (error.cancelled || error.category === ERROR_CATEGORIES.AUTH_EXPIRED) throw error;
+            this.logger.warn('获取网盘容量失败，预检不检查剩余空间:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 检查单行：读取分享详情，并按分享名称检查本地记录和网盘中是否已有
+     * @param {number} index - 行索引
+     * @param {AbortSignal} signal - 取消信号
+     */
+    async inspectRow(index, signal) {
+        const row = this.rows[index];
+        row.state = PREFLIGHT_STATE.CHECKING;
+        this.renderRow(index);
+
+        row.inspection = await this.quarkService.inspectShare(row.url, { passcode: row.passcode, signal });
+        row.localDuplicate = null;
+        row.cloudDuplicate = null;
+
+        if (row.inspection.alive && row.inspection.fileName) {
+            const fileName = row.inspection.fileName;
+            try {
+                row.localDuplicate = await this.dbService.checkDuplicate(fileName, row.url);
+            } catch (error) {
+                this.logger.warn(`检查本地重复失败: ${row.url}`, error.message);
+            }
+            row.cloudDuplicate = await this.quarkService.checkDuplicateInCloud(fileName);
+        }
+
+        row.state = PREFLIGHT_STATE.DONE;
+        row.include = row.inspection.alive === true &&
+            !row.inspection.needPasscode &&
+            !row.localDuplicate?.exists &&
+            !row.cloudDuplicate?.exists;
+
+        // 加上已勾选的链接后超出剩余空间时不再勾选
+        row.overQuota = Boolean(this.capacity?.total) && row.inspection.alive === true &&
+            this.getSelectedSize(row) + (row.inspection.totalSize || 0) > this.capacity.free;
+        if (row.overQuota) row.include = false;
+
+        this.renderRow(index);
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 使用输入的提取码重新检查
+     * @param {number} index - 行索引
+     * @param {string} passcode - 提取码
+     */
+    async recheckRow(index, passcode) {
+        const row = this.rows[index];
+        if (!row || !passcode || row.state === PREFLIGHT_STATE.CHECKING) return;
+
+        row.passcode = passcode;
+        try {
+            await this.inspectRow(index, this.abortController?.signal);
+        } catch (error) {
+            if (error.cancelled) return;
+            row.state = PREFLIGHT_STATE.DONE;
+            row.inspection = { alive: null, needPasscode: false, error };
+            this.renderRow(index);
+        }
+    }
+
+    /**
+     * 渲染预检表格
+     */
+    render() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        modalBody.innerHTML = `
+            <div class="quark-gui-table-container share-browser-table">
+                <table class="quark-gui-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>分享</th>
+                            <th>状态</th>
+                            <th>内容</th>
+                            <th>重复</th>
+                        </tr>
+                    </thead>
+                    <tbody id="preflightTableBody">
+                        ${this.rows.map((row, index) => `<tr data-preflight-row="${index}"></tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="share-browser-summary" id="preflightSummary"></div>
+        `;
+
+        this.rows.forEach((row, index) => this.renderRow(index));
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 渲染单行，避免整表刷新打断提取码输入
+     * @param {number} index - 行索引
+     */
+    renderRow(index) {
+        const tr = document.querySelector(`[data-preflight-row="${index}"]`);
+        if (!tr) return;
+
+        const row = this.rows[index];
+        const done = row.state === PREFLIGHT_STATE.DONE;
+
+        tr.innerHTML = `
+            <td><input type="checkbox" class="preflight-check" ${row.include ? 'checked' : ''} ${done ? '' : 'disabled'}></td>
+            <td class="link-importer-cell">
+                ${escapeHtml(row.inspection?.fileName || row.titleHint || '-')}
+                <div class="file-meta">${escapeHtml(row.url)}</div>
+            </td>
+            <td>${this.getStateHtml(row)}</td>
+            <td>${this.getContentText(row)}</td>
+            <td>${this.getDuplicateHtml(row)}</td>
+        `;
+
+        tr.querySelector('.preflight-check')?.addEventListener('change', (e) => {
+            row.include = e.target.checked;
+            this.updateConfirmButton();
+        });
+
+        const passcodeInput = tr.querySelector('.preflight-passcode');
+        const submitPasscode = () => this.recheckRow(index, passcodeInput?.value.trim());
+        tr.querySelector('.preflight-recheck')?.addEventListener('click', submitPasscode);
+        passcodeInput?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submitPasscode();
+        });
+    }
+
+    /**
+     * 有效性列
+     * @param {Object} row - 预检行
+     * @returns {string} HTML
+     */
+    getStateHtml(row) {
+        if (row.state === PREFLIGHT_STATE.WAITING) return '等待检查';
+        if (row.state === PREFLIGHT_STATE.CHECKING) return '<span class="quark-gui-loading"></span> 检查中';
+
+        const { alive, needPasscode, error } = row.inspection;
+        if (needPasscode) {
+            return `
+                <div class="preflight-warning">需要提取码</div>
+                <div class="preflight-passcode-group">
+                    <input type="text" class="quark-gui-input preflight-passcode" placeholder="提取码" maxlength="8" value="${escapeHtml(row.passcode)}">
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small preflight-recheck">检查</button>
+                </div>
+            `;
+        }
+        if (alive === true) return '<span class="preflight-ok">有效</span>';
+
+        const message = escapeHtml(error?.getUserMessage?.() ?? error?.message ?? '');
+        return alive === false ?
+            `<span class="preflight-error">已失效</span><div class="file-meta">${message}</div>` :
+            `<span class="preflight-warning">无法判断</span><div class="file-meta">${message}</div>`;
+    }
+
+    /**
+     * 内容列：文件数量与大小
+     * @param {Object} row - 预检行
+     * @returns {string} 文本
+     */
+    getContentText(row) {
+        const inspection = row.inspection;
+        if (!inspection?.alive || inspection.needPasscode) return '-';
+
+        const counts = [`${inspection.fileCount} 个文件`];
+        if (inspection.folderCount > 0) counts.push(`${inspection.folderCount} 个文件夹`);
+
+        // 文件夹内的大小未统计
+        const size = inspection.totalSize > 0 ? formatFileSize(inspection.totalSize) : '';
+        const quota = row.overQuota ? '<div class="preflight-error">超出剩余空间</div>' : '';
+        return `${counts.join('，')}${size ? `<div class="file-meta">${size}${inspection.folderCount > 0 ? ' + 文件夹' : ''}</div>` : ''}${quota}`;
+    }
+
+    /**
+     * 重复列
+     * @param {Object} row - 预检行
+     * @returns {string} HTML
+     */
+    getDuplicateHtml(row) {
+        const labels = [];
+        if (row.localDuplicate?.exists) {
+            const typeText = row.localDuplicate.duplicateType === 'both' ? '名称和链接' :
+                            row.localDuplicate.duplicateType === 'name' ? '名称' : '链接';
+            labels.push(`本地记录（${typeText}）`);
+        }
+        if (row.cloudDuplicate?.exists) {
+            labels.push('网盘已有同名文件');
+        }
+
+        if (labels.length > 0) {
+            return `<span class="preflight-warning">${labels.join('<br>')}</span>`;
+        }
+        return row.state === PREFLIGHT_STATE.DONE && row.inspection?.alive ? '无' : '-';
+    }
+
+    /**
+     * 获取勾选的行
+     * @returns {Array<Object>} 勾选的行
+     */
+    getSelection() {
+        return this.rows.filter(row => row.include);
+    }
+
+    /**
+     * 勾选链接的文件大小合计
+     * @param {Object} excludeRow - 不计入的行
+     * @returns {number} 字节数
+     */
+    getSelectedSize(excludeRow = null) {
+        return this.getSelection()
+            .filter(row => row !== excludeRow)
+            .reduce((sum, row) => sum + (row.inspection?.totalSize || 0), 0);
+    }
+
+    /**
+     * 更新确认按钮与统计
+     */
+    updateConfirmButton() {
+        // 窗口关闭后仍在返回的检查结果不再更新按钮，避免影响其他对话框
+        if (!this.resolve) return;
+
+        const selection = this.getSelection();
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (modalConfirm) {
+            modalConfirm.textContent = `转存选中 (${selection.length})`;
+            modalConfirm.disabled = selection.length === 0;
+        }
+
+        const summary = document.getElementById('preflightSummary');
+        if (summary) {
+            const done = this.rows.filter(row => row.state === PREFLIGHT_STATE.DONE);
+            const alive = done.filter(row => row.inspection?.alive === true && !row.inspection.needPasscode).length;
+            const needPasscode = done.filter(row => row.inspection?.needPasscode).length;
+            const expired = done.filter(row => row.inspection?.alive === false).length;
+            const duplicates = done.filter(row => row.localDuplicate?.exists || row.cloudDuplicate?.exists).length;
+
+            let text = `已检查 ${done.length}/${this.rows.length}：有效 ${alive}，需要提取码 ${needPasscode}，失效 ${expired}，重复 ${duplicates}；已选 ${selection.length} 个`;
+            if (this.capacity?.total) {
+                const selectedSize = this.getSelectedSize();
+                const free = this.capacity.free > 0 ? formatFileSize(this.capacity.free) : '0 B';
+                text += `，约 ${selectedSize > 0 ? formatFileSize(selectedSize) : '0 B'}，网盘剩余 ${free}`;
+                if (selectedSize > this.capacity.free) text += '（超出剩余空间，队列会在空间用尽时暂停）';
+            }
+            summary.textContent = text;
+        }
+    }
+
+    /**
+     * 确认选择
+     */
+    confirm() {
+        const selection = this.getSelection();
+        if (selection.length === 0) {
+            this.notificationManager.warning('未选择链接', '请至少勾选一个链接');
+            return;
+        }
+
+        this.close(selection.map(row => ({
+            url: row.url,
+            passcode: row.passcode,
+            titleHint: row.inspection?.fileName || row.titleHint
+        })));
+    }
+
+    /**
+     * 关闭预检窗口，停止尚未完成的检查
+     * @param {Array|null} result - 返回给调用方的结果
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        this.abortController?.abort();
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+}
+
+export default BatchPreflight;
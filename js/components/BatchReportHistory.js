@@ -0,0 +1,162 @@
+/**
+ * 批量转存报告历史组件
+ * 列出已保存的批量转存报告，选择后重新打开或删除
+ */
+
+import { getReportSummaryText } from '../utils/batchReport.js';
+import { formatTimestamp } from '../utils/timeUtils.js';
+import { escapeHtml } from '../utils/fileUtils.js';
+import { openModal } from '../utils/modalUtils.js';
+
+export class BatchReportHistory {
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reports = [];
+        this.resolve = null;
+    }
+
+    /**
+     * 打开报告历史
+     * @returns {Promise<Object|null>} 选中的报告，取消时为 null
+     */
+    open() {
+        this.close(null);
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal();
+            this.load();
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     */
+    showModal() {
+        // 报告通过列表中的"查看"按钮打开，确认按钮不使用
+        this.modal = openModal({
+            title: '批量转存报告',
+            wide: true,
+            onConfirm: null,
+            cancelText: '关闭',
+            onDismiss: () => this.close(null)
+        });
+    }
+
+    /**
+     * 读取报告列表
+     */
+    async load() {
+        this.renderMessage('<div class="quark-gui-loading"></div> 加载中...');
+
+        try {
+            this.reports = await this.dbService.getBatchReports();
+            this.render();
+        } catch (error) {
+            this.logger.error('加载转存报告失败:', error.message);
+            this.renderMessage(`❌ ${escapeHtml(error.message)}`);
+        }
+    }
+
+    /**
+     * 渲染报告列表
+     */
+    render() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        if (this.reports.length === 0) {
+            this.renderMessage('暂无批量转存报告');
+            return;
+        }
+
+        const rows = this.reports.map(report => `
+            <tr>
+                <td>${escapeHtml(report.title)}</td>
+                <td>${formatTimestamp(report.createTime, 'YYYY-MM-DD HH:mm')}</td>
+                <td>${escapeHtml(getReportSummaryText(report))}</td>
+                <td class="quark-gui-table-actions">
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-report-open="${report.id}">查看</button>
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-report-delete="${report.id}">删除</button>
+                </td>
+            </tr>
+        `).join('');
+
+        modalBody.innerHTML = `
+            <div class="quark-gui-table-container share-browser-table">
+                <table class="quark-gui-table">
+                    <thead>
+                        <tr>
+                            <th>报告</th>
+                            <th>时间</th>
+                            <th>结果</th>
+                            <th>操作</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+
+        modalBody.querySelectorAll('[data-report-open]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const id = Number(e.currentTarget.dataset.reportOpen);
+                this.close(this.reports.find(report => report.id === id) || null);
+            });
+        });
+
+        modalBody.querySelectorAll('[data-report-delete]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.deleteReport(Number(e.currentTarget.dataset.reportDelete));
+            });
+        });
+    }
+
+    /**
+     * 删除报告
+     * @param {number} id - 报告ID
+     */
+    async deleteReport(id) {
+        try {
+            await this.dbService.deleteBatchReport(id);
+            this.reports = this.reports.filter(report => report.id !== id);
+            this.render();
+        } catch (error) {
+            this.logger.error('删除转存报告失败:', error.message);
+            this.notificationManager.error('删除失败', error.message);
+        }
+    }
+
+    /**
+     * 关闭报告历史
+     * @param {Object|null} result - 返回给调用方的报告
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+
+    /**
+     * 渲染提示信息
+     * @param {string} html - 提示内容
+     */
+    renderMessage(html) {
+        const modalBody = document.getElementById('modalBody');
+        if (modalBody) {
+            modalBody.innerHTML = `<div class="share-browser-message">${html}</div>`;
+        }
+    }
+}
+
+export default BatchReportHistory;
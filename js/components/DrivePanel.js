@@ -0,0 +1,665 @@
+/**
+ * 我的网盘面板组件
+ * 浏览当前账号网盘中的文件，支持分享、重命名、移动和删除
+ */
+
+import { formatFileSize, isFolder, getItemType, getRecordFileType, escapeHtml } from '../utils/fileUtils.js';
+import { formatTimestamp } from '../utils/timeUtils.js';
+import { resolveShareOptions, getShareExpiry } from '../utils/shareUtils.js';
+import { QuarkFile } from '../models/QuarkFile.js';
+import { openModal } from '../utils/modalUtils.js';
+
+export class DrivePanel {
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+        this.onQuarkServiceNeeded = options.onQuarkServiceNeeded;
+        this.folderPicker = options.folderPicker;
+
+        this.breadcrumbs = [{ fid: '0', name: '根目录' }];
+        this.currentPage = 1;
+        this.pageSize = 50;
+        this.totalFiles = 0;
+        this.totalPages = 1;
+        this.sort = 'file_type:asc,updated_at:desc';
+        this.items = [];
+        this.selectedFiles = new Set();
+        this.isLoading = false;
+        this.loaded = false;
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        this.bindEvents();
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const sortSelect = document.getElementById('driveSort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.sort = e.target.value;
+                this.currentPage = 1;
+                this.loadFiles();
+            });
+        }
+
+        const refreshBtn = document.getElementById('driveRefreshBtn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadFiles());
+        }
+
+        const newFolderBtn = document.getElementById('driveNewFolderBtn');
+        if (newFolderBtn) {
+            newFolderBtn.addEventListener('click', () => this.createFolder());
+        }
+
+        const selectAll = document.getElementById('driveSelectAll');
+        if (selectAll) {
+            selectAll.addEventListener('change', (e) => {
+                this.items.forEach(item => {
+                    if (e.target.checked) {
+                        this.selectedFiles.add(item.fid);
+                    } else {
+                        this.selectedFiles.delete(item.fid);
+                    }
+                });
+                this.renderFileList();
+            });
+        }
+
+        const shareBtn = document.getElementById('driveShareBtn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.shareItems(this.getSelectedItems()));
+        }
+
+        const moveBtn = document.getElementById('driveMoveBtn');
+        if (moveBtn) {
+            moveBtn.addEventListener('click', () => this.moveItems(this.getSelectedItems()));
+        }
+
+        const deleteBtn = document.getElementById('driveDeleteBtn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => this.deleteItems(this.getSelectedItems()));
+        }
+
+        const prevBtn = document.getElementById('drivePrevPage');
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => {
+                if (this.currentPage > 1) {
+                    this.currentPage--;
+                    this.loadFiles();
+                }
+            });
+        }
+
+        const nextBtn = document.getElementById('driveNextPage');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                if (this.currentPage < this.totalPages) {
+                    this.currentPage++;
+                    this.loadFiles();
+                }
+            });
+        }
+    }
+
+    /**
+     * 获取夸克服务实例
+     * @returns {Object} 夸克服务实例
+     */
+    getQuarkService() {
+        let cookie = '';
+        try {
+            const settings = JSON.parse(localStorage.getItem('quark-gui-settings') || '{}');
+            cookie = settings.defaultCookie || '';
+        } catch (error) {
+            cookie = '';
+        }
+
+        if (!cookie) {
+            throw new Error('请先在设置中配置Cookie');
+        }
+
+        return this.onQuarkServiceNeeded(cookie);
+    }
+
+    /**
+     * 获取当前目录ID
+     * @returns {string} 目录ID
+     */
+    currentFid() {
+        return this.breadcrumbs[this.breadcrumbs.length - 1].fid;
+    }
+
+    /**
+     * 加载当前目录的文件列表
+     */
+    async loadFiles() {
+        if (this.isLoading) return;
+
+        try {
+            this.isLoading = true;
+            this.showLoading();
+
+            const quarkService = this.getQuarkService();
+            const { list, total } = await quarkService.listDriveFiles(this.currentFid(), {
+                page: this.currentPage,
+                size: this.pageSize,
+                sort: this.sort
+            });
+
+            this.items = list;
+            this.totalFiles = total;
+            this.totalPages = Math.max(1, Math.ceil(total / this.pageSize));
+            this.selectedFiles.clear();
+            this.loaded = true;
+
+            this.renderBreadcrumbs();
+            this.renderFileList();
+            this.updatePagination();
+        } catch (error) {
+            this.logger.error('加载网盘文件失败:', error.message);
+            this.showEmptyState(`加载失败: ${error.getUserMessage?.() ?? error.message}`);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * 进入子文件夹
+     * @param {string} fid - 文件夹ID
+     */
+    enterFolder(fid) {
+        const folder = this.items.find(item => item.fid === fid);
+        if (!folder) return;
+
+        this.breadcrumbs.push({ fid: folder.fid, name: folder.file_name });
+        this.currentPage = 1;
+        this.loadFiles();
+    }
+
+    /**
+     * 返回面包屑中的某一级
+     * @param {number} index - 面包屑索引
+     */
+    goToCrumb(index) {
+        this.breadcrumbs = this.breadcrumbs.slice(0, index + 1);
+        this.currentPage = 1;
+        this.loadFiles();
+    }
+
+    /**
+     * 渲染面包屑
+     */
+    renderBreadcrumbs() {
+        const container = document.getElementById('driveBreadcrumbs');
+        if (!container) return;
+
+        container.innerHTML = this.breadcrumbs.map((crumb, index) =>
+            index === this.breadcrumbs.length - 1 ?
+                `<span>${escapeHtml(crumb.name)}</span>` :
+                `<a href="#" data-crumb="${index}">${escapeHtml(crumb.name)}</a>`
+        ).join(' / ');
+
+        container.querySelectorAll('[data-crumb]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goToCrumb(parseInt(e.currentTarget.dataset.crumb));
+            });
+        });
+    }
+
+    /**
+     * 渲染文件列表
+     */
+    renderFileList() {
+        const tableBody = document.getElementById('driveTableBody');
+        if (!tableBody) return;
+
+        if (this.items.length === 0) {
+            this.showEmptyState('空文件夹');
+            return;
+        }
+
+        tableBody.innerHTML = this.items.map(item => this.createFileRow(item)).join('');
+        this.bindRowEvents();
+        this.updateSelectionUI();
+    }
+
+    /**
+     * 创建文件行HTML
+     * @param {Object} item - 网盘条目
+     * @returns {string} HTML字符串
+     */
+    createFileRow(item) {
+        const isSelected = this.selectedFiles.has(item.fid);
+        const folder = isFolder(item);
+        const name = escapeHtml(item.file_name);
+
+        return `
+            <tr data-fid="${item.fid}" class="${isSelected ? 'selected' : ''}">
+                <td>
+                    <input type="checkbox" class="drive-checkbox" ${isSelected ? 'checked' : ''}>
+                </td>
+                <td class="drive-item-name">
+                    ${getItemType(item).icon}
+                    ${folder ? `<a href="#" data-folder="${item.fid}">${name}</a>` : name}
+                </td>
+                <td>${folder ? '-' : formatFileSize(item.size)}</td>
+                <td>${item.updated_at ? formatTimestamp(item.updated_at, 'YYYY-MM-DD HH:mm') : '-'}</td>
+                <td>
+                    <div class="quark-gui-table-actions">
+                        <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="share" title="分享">🔗</button>
+                        <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="rename" title="重命名">✏️</button>
+                        <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="move" title="移动">📁</button>
+                        <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="delete" title="删除">🗑️</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * 绑定行事件
+     */
+    bindRowEvents() {
+        const tableBody = document.getElementById('driveTableBody');
+        if (!tableBody) return;
+
+        tableBody.querySelectorAll('.drive-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const row = e.target.closest('tr');
+                if (e.target.checked) {
+                    this.selectedFiles.add(row.dataset.fid);
+                } else {
+                    this.selectedFiles.delete(row.dataset.fid);
+                }
+                row.classList.toggle('selected', e.target.checked);
+                this.updateSelectionUI();
+            });
+        });
+
+        tableBody.querySelectorAll('[data-folder]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.enterFolder(e.currentTarget.dataset.folder);
+            });
+        });
+
+        tableBody.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const fid = e.currentTarget.closest('tr').dataset.fid;
+                const item = this.items.find(entry => entry.fid === fid);
+                if (!item) return;
+
+                switch (e.currentTarget.dataset.action) {
+                    case 'share':
+                        this.shareItems([item]);
+                        break;
+                    case 'rename':
+                        this.renameItem(item);
+                        break;
+                    case 'move':
+                        this.moveItems([item]);
+                        break;
+                    case 'delete':
+                        this.deleteItems([item]);
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * 获取选中的条目
+     * @returns {Array<Object>} 选中的条目
+     */
+    getSelectedItems() {
+        return this.items.filter(item => this.selectedFiles.has(item.fid));
+    }
+
+    /**
+     * 更新批量操作栏与全选框
+     */
+    updateSelectionUI() {
+        const count = this.selectedFiles.size;
+
+        const bulkActions = document.getElementById('driveBulkActions');
+        if (bulkActions) {
+            bulkActions.style.display = count > 0 ? 'flex' : 'none';
+        }
+
+        const selectionInfo = document.getElementById('driveSelectionInfo');
+        if (selectionInfo) {
+            selectionInfo.textContent = `已选 ${count} 项`;
+        }
+
+        const selectAll = document.getElementById('driveSelectAll');
+        if (selectAll) {
+            selectAll.checked = this.items.length > 0 && count === this.items.length;
+            selectAll.indeterminate = count > 0 && count < this.items.length;
+        }
+    }
+
+    /**
+     * 更新分页
+     */
+    updatePagination() {
+        const pageInfo = document.getElementById('drivePageInfo');
+        if (pageInfo) {
+            pageInfo.textContent = `第 ${this.currentPage} 页，共 ${this.totalPages} 页（${this.totalFiles} 项）`;
+        }
+
+        const prevBtn = document.getElementById('drivePrevPage');
+        if (prevBtn) {
+            prevBtn.disabled = this.currentPage <= 1;
+        }
+
+        const nextBtn = document.getElementById('driveNextPage');
+        if (nextBtn) {
+            nextBtn.disabled = this.currentPage >= this.totalPages;
+        }
+    }
+
+    /**
+     * 分享条目
+     * @param {Array<Object>} items - 要分享的条目
+     */
+    async shareItems(items) {
+        if (items.length === 0) return;
+
+        try {
+            const quarkService = this.getQuarkService();
+            const share = resolveShareOptions();
+            const title = items.length === 1 ? items[0].file_name : `${items[0].file_name} 等${items.length}个文件`;
+
+            this.notificationManager.info('正在分享', `正在为 "${title}" 生成分享链接`);
+            const result = await quarkService.shareFiles(items.map(item => item.fid), title, share);
+
+            await this.saveShareRecord(items, title, result);
+            this.showShareResult(title, result);
+            this.logger.info(`网盘文件分享成功: ${title}`, result);
+        } catch (error) {
+            this.logger.error('分享失败:', error.message);
+            this.notificationManager.error('分享失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 保存分享记录，使其出现在文件列表中
+     * @param {Array<Object>} items - 分享的条目
+     * @param {string} title - 分享标题
+     * @param {Object} result - 分享结果
+     */
+    async saveShareRecord(items, title, result) {
+        try {
+            await this.dbService.saveFile(new QuarkFile({
+                fileId: items[0].fid,
+                fileIds: items.map(item => item.fid),
+                fileCount: items.length,
+                fileName: title,
+                fileType: getRecordFileType(items),
+                fileSize: items.reduce((sum, item) => sum + (isFolder(item) ? 0 : Number(item.size) || 0), 0),
+                shareLink: result.shareLink,
+                source: 'drive',
+                status: 'completed',
+                saveFolderFid: this.currentFid(),
+                saveFolderPath: `/${this.breadcrumbs.slice(1).map(crumb => crumb.name).join('/')}`,
+                shareExpiredType: result.shareExpiredType,
+                sharePasscode: result.sharePasscode,
+                expiryDate: result.expiryDate
+            }));
+        } catch (error) {
+            this.logger.warn('保存分享记录失败:', error.message);
+        }
+    }
+
+    /**
+     * 显示分享结果
+     * @param {string} title - 分享标题
+     * @param {Object} result - 分享结果
+     */
+    showShareResult(title, result) {
+        const text = result.sharePasscode ?
+            `${result.shareLink} 提取码: ${result.sharePasscode}` :
+            result.shareLink;
+
+        const modal = openModal({
+            title: '分享成功',
+            body: `
+                <p><strong>${escapeHtml(title)}</strong></p>
+                <p><a href="${escapeHtml(result.shareLink)}" target="_blank">${escapeHtml(result.shareLink)}</a></p>
+                ${result.sharePasscode ? `<p>提取码: ${escapeHtml(result.sharePasscode)}</p>` : ''}
+                <p>有效期: ${getShareExpiry(result.shareExpiredType).label}</p>
+            `,
+            confirmText: '复制链接',
+            cancelText: '关闭',
+            onConfirm: async () => {
+                try {
+                    await navigator.clipboard.writeText(text);
+                    this.notificationManager.success('复制成功', '分享链接已复制到剪贴板');
+                } catch (error) {
+                    this.notificationManager.error('复制失败', '无法访问剪贴板');
+                }
+                modal.close();
+            }
+        });
+    }
+
+    /**
+     * 重命名条目
+     * @param {Object} item - 网盘条目
+     */
+    async renameItem(item) {
+        const fileName = await this.showInputDialog('重命名', '新名称', item.file_name);
+        if (!fileName || fileName === item.file_name) return;
+
+        try {
+            const quarkService = this.getQuarkService();
+            await quarkService.renameFile(item.fid, fileName);
+
+            this.notificationManager.success('重命名成功', `已重命名为 "${fileName}"`);
+            await this.loadFiles();
+        } catch (error) {
+            this.logger.error('重命名失败:', error.message);
+            this.notificationManager.error('重命名失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 移动条目到其他目录
+     * @param {Array<Object>} items - 要移动的条目
+     */
+    async moveItems(items) {
+        if (items.length === 0) return;
+
+        try {
+            const quarkService = this.getQuarkService();
+            const folder = await this.folderPicker.open(quarkService, { title: `移动 ${items.length} 项到` });
+            if (!folder) return;
+
+            if (folder.fid === this.currentFid()) {
+                this.notificationManager.warning('无需移动', '目标目录与当前目录相同');
+                return;
+            }
+
+            if (items.some(item => item.fid === folder.fid)) {
+                this.notificationManager.warning('无法移动', '不能将文件夹移动到其自身');
+                return;
+            }
+
+            await quarkService.moveFiles(items.map(item => item.fid), folder.fid);
+
+            this.notificationManager.success('移动成功', `已将 ${items.length} 项移动到 ${this.folderPicker.formatFolder(folder)}`);
+            await this.loadFiles();
+        } catch (error) {
+            this.logger.error('移动失败:', error.message);
+            this.notificationManager.error('移动失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 删除条目
+     * @param {Array<Object>} items - 要删除的条目
+     */
+    async deleteItems(items) {
+        if (items.length === 0) return;
+
+        const target = items.length === 1 ? `"${escapeHtml(items[0].file_name)}"` : `选中的 ${items.length} 项`;
+        const confirmed = await this.showConfirmDialog('删除文件', `确定要删除${target}吗？删除的文件会移入网盘回收站。`);
+        if (!confirmed) return;
+
+        try {
+            const quarkService = this.getQuarkService();
+            await quarkService.deleteFiles(items.map(item => item.fid));
+
+            this.notificationManager.success('删除成功', `已删除 ${items.length} 项`);
+            await this.loadFiles();
+        } catch (error) {
+            this.logger.error('删除失败:', error.message);
+            this.notificationManager.error('删除失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 在当前目录下新建文件夹
+     */
+    async createFolder() {
+        const folderName = await this.showInputDialog('新建文件夹', '文件夹名称', '');
+        if (!folderName) return;
+
+        try {
+            const quarkService = this.getQuarkService();
+            await quarkService.createFolder(this.currentFid(), folderName);
+
+            this.notificationManager.success('新建成功', `文件夹 "${folderName}" 已创建`);
+            await this.loadFiles();
+        } catch (error) {
+            this.logger.error('新建文件夹失败:', error.message);
+            this.notificationManager.error('新建文件夹失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 显示输入对话框
+     * @param {string} title - 标题
+     * @param {string} placeholder - 输入提示
+     * @param {string} value - 初始值
+     * @returns {Promise<string>} 输入值，取消时为空字符串
+     */
+    showInputDialog(title, placeholder, value) {
+        return new Promise((resolve) => {
+            let modal = null;
+            let input = null;
+
+            const submit = () => {
+                const inputValue = input?.value.trim() || '';
+                if (/[\\/:*?"<>|]/.test(inputValue)) {
+                    this.notificationManager.warning('输入错误', '名称不能包含 \\ / : * ? " < > | 等字符');
+                    return;
+                }
+                modal.close();
+                resolve(inputValue);
+            };
+
+            modal = openModal({
+                title,
+                body: `
+                    <input type="text" id="driveDialogInput" class="quark-gui-input" placeholder="${escapeHtml(placeholder)}" maxlength="200">
+                `,
+                confirmText: '确定',
+                onConfirm: submit,
+                onDismiss: () => resolve('')
+            });
+
+            input = document.getElementById('driveDialogInput');
+            if (input) input.value = value;
+
+            input?.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') submit();
+            });
+
+            input?.focus();
+            input?.select();
+        });
+    }
+
+    /**
+     * 显示确认对话框
+     * @param {string} title - 标题
+     * @param {string} message - 消息 HTML
+     * @returns {Promise<boolean>} 是否确认，取消或关闭时为 false
+     */
+    showConfirmDialog(title, message) {
+        return new Promise((resolve) => {
+            const modal = openModal({
+                title,
+                body: `<p>${message}</p>`,
+                confirmText: '确定',
+                onConfirm: () => {
+                    modal.close();
+                    resolve(true);
+                },
+                onDismiss: () => resolve(false)
+            });
+        });
+    }
+
+    /**
+     * 显示加载状态
+     */
+    showLoading() {
+        const tableBody = document.getElementById('driveTableBody');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="5" style="text-align: center; padding: 40px;">
+                    <div class="quark-gui-loading"></div>
+                    <div style="margin-top: 10px;">加载中...</div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * 显示空状态
+     * @param {string} message - 消息
+     */
+    showEmptyState(message) {
+        const tableBody = document.getElementById('driveTableBody');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="5">
+                    <div class="quark-gui-empty">
+                        <div class="quark-gui-empty-icon">☁️</div>
+                        <div class="quark-gui-empty-title">${escapeHtml(message)}</div>
+                    </div>
+                </td>
+            </tr>
+        `;
+        this.updateSelectionUI();
+    }
+
+    /**
+     * 面板激活回调
+     */
+    async onActivated() {
+        this.logger.info('我的网盘面板已激活');
+        if (!this.loaded) {
+            await this.loadFiles();
+        }
+    }
+}
+
+export default DrivePanel;
@@ -0,0 +1,263 @@
+/**
+ * 导出对话框组件
+ * 选择导出范围（当前筛选结果、已选记录、全部记录）、格式和列，下载文件或复制为表格
+ */
+
+import {
+    exportCatalog,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS
+} from '../utils/catalogExport.js';
+import { downloadFile } from '../utils/exportUtils.js';
+import { formatTimestamp } from '../utils/timeUtils.js';
+import { openModal } from '../utils/modalUtils.js';
+
+// 导出范围
+export const EXPORT_SCOPES = {
+    filtered: '当前筛选结果',
+    selected: '已选记录',
+    all: '全部记录'
+};
+
+export class ExportDialog {
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        // 上次的选择，下次打开时沿用
+        this.format = 'csv';
+        this.columns = [...DEFAULT_EXPORT_COLUMNS];
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reset();
+    }
+
+    /**
+     * 重置对话框状态
+     */
+    reset() {
+        this.title = '';
+        this.counts = {};
+        this.scope = 'all';
+        this.loadRecords = null;
+        this.isExporting = false;
+        this.resolve = null;
+    }
+
+    /**
+     * 打开导出对话框
+     * @param {Object} options - 选项
+     * @param {string} options.title - 导出的标题，用于 Markdown 和 HTML 目录页
+     * @param {Object} options.counts - 各导出范围的记录数 {filtered, selected, all}，未提供的范围不显示
+     * @param {Function} options.loadRecords - 读取记录的函数 async (scope) => Array<Object>
+     * @param {string} options.scope - 默认的导出范围
+     * @param {string} options.format - 默认的格式，不提供时沿用上次的选择
+     * @returns {Promise<boolean>} 是否已导出
+     */
+    open(options) {
+        this.close(false);
+        this.reset();
+        this.title = options.title || '夸克网盘分享目录';
+        this.counts = options.counts || {};
+        this.loadRecords = options.loadRecords;
+        this.format = options.format || this.format;
+
+        const scopes = Object.keys(EXPORT_SCOPES).filter(scope => this.counts[scope] !== undefined);
+        this.scope = scopes.includes(options.scope) ? options.scope : (scopes.find(scope => this.counts[scope] > 0) || 'all');
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal();
+            this.render();
+            this.update();
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     */
+    showModal() {
+        this.modal = openModal({
+            title: '导出',
+            onConfirm: () => this.confirm(),
+            onDismiss: () => this.close(false)
+        });
+    }
+
+    /**
+     * 渲染选项
+     */
+    render() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        const scopeOptions = Object.entries(EXPORT_SCOPES)
+            .filter(([scope]) => this.counts[scope] !== undefined)
+            .map(([scope, label]) => `
+                <option value="${scope}" ${scope === this.scope ? 'selected' : ''} ${this.counts[scope] > 0 ? '' : 'disabled'}>
+                    ${label}（${this.counts[scope]} 条）
+                </option>
+            `)
+            .join('');
+
+        const formatOptions = Object.entries(EXPORT_FORMATS)
+            .map(([format, label]) => `<option value="${format}" ${format === this.format ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const columnChecks = Object.entries(EXPORT_COLUMNS)
+            .map(([key, column]) => `
+                <label class="quark-gui-checkbox-label">
+                    <input type="checkbox" class="export-column-check" value="${key}" ${this.columns.includes(key) ? 'checked' : ''}>
+                    ${column.label}
+                </label>
+            `)
+            .join('');
+
+        modalBody.innerHTML = `
+            <div class="quark-gui-form-row">
+                <div class="quark-gui-form-group">
+                    <label for="exportScope">导出范围</label>
+                    <select id="exportScope" class="quark-gui-select">${scopeOptions}</select>
+                </div>
+                <div class="quark-gui-form-group">
+                    <label for="exportFormat">格式</label>
+                    <select id="exportFormat" class="quark-gui-select">${formatOptions}</select>
+                </div>
+            </div>
+            <div class="quark-gui-form-group">
+                <label>导出的列</label>
+                <div class="export-dialog-columns" id="exportColumns">${columnChecks}</div>
+            </div>
+            <div class="share-browser-summary" id="exportDialogHint"></div>
+        `;
+
+        document.getElementById('exportScope')?.addEventListener('change', (e) => {
+            this.scope = e.target.value;
+            this.update();
+        });
+
+        document.getElementById('exportFormat')?.addEventListener('change', (e) => {
+            this.format = e.target.value;
+            this.update();
+        });
+
+        document.getElementById('exportColumns')?.addEventListener('change', () => {
+            // 按 EXPORT_COLUMNS 的顺序排列所选的列
+            this.columns = [...document.querySelectorAll('.export-column-check:checked')].map(input => input.value);
+            this.update();
+        });
+    }
+
+    /**
+     * 按当前选项刷新提示和按钮
+     */
+    update() {
+        const isJson = this.format === 'json';
+        document.querySelectorAll('.export-column-check').forEach(input => {
+            input.disabled = isJson;
+        });
+
+        const hint = document.getElementById('exportDialogHint');
+        if (hint) {
+            const count = this.counts[this.scope] || 0;
+            const hints = {
+                csv: '带 BOM 的 UTF-8 文件，可直接用 Excel 打开；以 =、+、-、@ 开头的内容前加单引号，避免被当作公式',
+                tsv: '复制到剪贴板，可粘贴到 Excel 或在线表格',
+                markdown: '可粘贴到笔记、论坛或 README',
+                html: '单个网页文件，离线打开即可搜索',
+                json: '包含完整字段，可在设置中重新导入，不使用所选的列'
+            };
+            hint.textContent = `将导出 ${count} 条记录。${hints[this.format] || ''}`;
+        }
+
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (modalConfirm) {
+            modalConfirm.textContent = this.format === 'tsv' ? '复制' : '导出';
+            modalConfirm.disabled = this.isExporting || !this.counts[this.scope] || (!isJson && this.columns.length === 0);
+        }
+    }
+
+    /**
+     * 确认导出
+     */
+    async confirm() {
+        if (this.isExporting) return;
+        if (this.format !== 'json' && this.columns.length === 0) {
+            this.notificationManager.warning('请选择列', '至少选择一列');
+            return;
+        }
+
+        this.isExporting = true;
+        this.update();
+
+        try {
+            const records = await this.loadRecords(this.scope);
+            if (records.length === 0) {
+                this.notificationManager.warning('没有可导出的记录', `${EXPORT_SCOPES[this.scope]}为空`);
+                return;
+            }
+
+            const { content, extension, mimeType } = exportCatalog(records, {
+                format: this.format,
+                columns: this.columns,
+                title: this.title,
+                version: this.dbService.version
+            });
+
+            if (this.format === 'tsv') {
+                await this.copyToClipboard(content);
+                this.notificationManager.success('复制成功', `${records.length} 条记录已复制，可粘贴到表格软件`);
+            } else {
+                const filename = `quark-files-${formatTimestamp(Date.now(), 'YYYY-MM-DD-HH-mm-ss')}.${extension}`;
+                downloadFile(content, filename, mimeType);
+                this.notificationManager.success('导出成功', `已导出 ${records.length} 条记录`);
+            }
+
+            this.logger.info('导出记录', { scope: this.scope, format: this.format, count: records.length });
+            this.close(true);
+        } catch (error) {
+            this.logger.error('导出失败:', error.message);
+            this.notificationManager.error('导出失败', error.message);
+        } finally {
+            this.isExporting = false;
+            if (this.resolve) this.update();
+        }
+    }
+
+    /**
+     * 复制到剪贴板，剪贴板接口不可用时改用文本框复制
+     * @param {string} text - 要复制的文本
+     */
+    async copyToClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            document.body.appendChild(textArea);
+            textArea.select();
+            document.execCommand('copy');
+            document.body.removeChild(textArea);
+        }
+    }
+
+    /**
+     * 关闭对话框
+     * @param {boolean} result - 返回给调用方的结果
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+}
+
+export default ExportDialog;
@@ -4,22 +4,38 @@
  */
 
 import { formatTimestamp, getRelativeTime } from '../utils/timeUtils.js';
+import { describeConflictResolution, getConflictPolicy } from '../utils/conflictUtils.js';
+import { resolveShareOptions } from '../utils/shareUtils.js';
+import { openModal } from '../utils/modalUtils.js';
+import { LINK_STATUS } from '../services/LinkHealthMonitor.js';
+import { ERROR_CATEGORIES } from '../services/QuarkApiError.js';
+import { QuarkFile } from '../models/QuarkFile.js';
+import { RELEVANCE_SORT } from '../services/IndexedDBService.js';
+import { highlightMatches } from '../utils/searchUtils.js';
+import { escapeHtml } from '../utils/fileUtils.js';
 
 export class FileList {
     constructor(options) {
         this.dbService = options.dbService;
         this.logger = options.logger;
         this.notificationManager = options.notificationManager;
+        this.linkMonitor = options.linkMonitor; // 分享链接健康检查
+        this.exportDialog = options.exportDialog; // 选择导出范围、格式和列
+        this.onQuarkServiceNeeded = options.onQuarkServiceNeeded; // 获取夸克服务的回调
         
         this.currentPage = 1;
         this.pageSize = 5; // 改为每页显示5个
         this.totalFiles = 0;
         this.totalPages = 0;
+        this.pageCursors = [null]; // 每页起始位置，第 n 页从 pageCursors[n - 1] 继续读取
         this.currentFiles = [];
         this.selectedFiles = new Set();
         this.searchKeyword = '';
         this.sortBy = 'createTime';
         this.sortOrder = 'desc';
+        this.sortBeforeSearch = null; // 搜索时改按相关度排序，清空搜索词后恢复
+        this.linkFilter = 'all'; // 按链接状态过滤：all、dead（失效）、unchecked（未检查）
+        this.isResharing = false;
         
         this.init();
     }
@@ -29,6 +45,11 @@ export class FileList {
      */
     init() {
         this.bindEvents();
+
+        this.linkMonitor?.setHandlers({
+            onRecordChecked: (record) => this.handleRecordChecked(record),
+            onStateChange: (state) => this.updateLinkCheckButton(state)
+        });
     }
 
     /**
@@ -69,6 +90,50 @@ export class FileList {
             });
         }
 
+        // 排序方式
+        const fileSortSelect = document.getElementById('fileSort');
+        if (fileSortSelect) {
+            fileSortSelect.addEventListener('change', (e) => {
+                [this.sortBy, this.sortOrder] = e.target.value.split(':');
+                this.resetPaging();
+                this.loadFiles();
+            });
+        }
+
+        // 链接状态过滤
+        const linkFilterSelect = document.getElementById('linkFilter');
+        if (linkFilterSelect) {
+            linkFilterSelect.addEventListener('change', (e) => {
+                this.linkFilter = e.target.value;
+                this.resetPaging();
+                this.loadFiles();
+            });
+        }
+
+        // 检查链接按钮
+        const checkLinksBtn = document.getElementById('checkLinksBtn');
+        if (checkLinksBtn) {
+            checkLinksBtn.addEventListener('click', () => {
+                this.checkLinks();
+            });
+        }
+
+        // 批量重新分享按钮
+        const reshareBtn = document.getElementById('reshareBtn');
+        if (reshareBtn) {
+            reshareBtn.addEventListener('click', () => {
+                this.reshareSelected();
+            });
+        }
+
+        // 合并分享按钮
+        const bundleShareBtn = document.getElementById('bundleShareBtn');
+        if (bundleShareBtn) {
+            bundleShareBtn.addEventListener('click', () => {
+                this.createBundleShare();
+            });
+        }
+
         // 全选复选框
         const selectAllCheckbox = document.getElementById('selectAll');
         if (selectAllCheckbox) {
@@ -99,11 +164,42 @@ export class FileList {
      */
     async handleSearch() {
         const searchInput = document.getElementById('searchInput');
-        this.searchKeyword = searchInput ? searchInput.value.trim() : '';
-        this.currentPage = 1;
+        const keyword = searchInput ? searchInput.value.trim() : '';
+
+        if (keyword && !this.searchKeyword && this.sortBy !== RELEVANCE_SORT) {
+            this.sortBeforeSearch = `${this.sortBy}:${this.sortOrder}`;
+            this.setSort(`${RELEVANCE_SORT}:desc`);
+        } else if (!keyword && this.sortBy === RELEVANCE_SORT) {
+            this.setSort(this.sortBeforeSearch || 'createTime:desc');
+            this.sortBeforeSearch = null;
+        }
+
+        this.searchKeyword = keyword;
+        this.resetPaging();
         await this.loadFiles();
     }
 
+    /**
+     * 设置排序方式并同步排序下拉框
+     * @param {string} value - "字段:方向"，如 createTime:desc
+     */
+    setSort(value) {
+        [this.sortBy, this.sortOrder] = value.split(':');
+
+        const fileSortSelect = document.getElementById('fileSort');
+        if (fileSortSelect) {
+            fileSortSelect.value = value;
+        }
+    }
+
+    /**
+     * 搜索、过滤或排序变化后回到第一页
+     */
+    resetPaging() {
+        this.currentPage = 1;
+        this.pageCursors = [null];
+    }
+
     /**
      * 刷新文件列表
      */
@@ -114,29 +210,33 @@ export class FileList {
     }
 
     /**
-     * 加载文件列表
+     * 加载当前页，只从数据库读取这一页的记录
      */
     async loadFiles() {
         try {
             this.showLoading(true);
 
-            let files;
-            if (this.searchKeyword) {
-                files = await this.dbService.searchFiles(this.searchKeyword);
-            } else {
-                files = await this.dbService.getAllFiles({
-                    sortBy: this.sortBy,
-                    sortOrder: this.sortOrder
-                });
+            const result = await this.dbService.queryFiles({
+                sortBy: this.sortBy,
+                sortOrder: this.sortOrder,
+                filters: this.getQueryFilters(),
+                pageSize: this.pageSize,
+                cursor: this.pageCursors[this.currentPage - 1],
+                withTotal: true
+            });
+
+            // 删除记录后当前页可能已经没有内容，退回上一页
+            if (result.files.length === 0 && this.currentPage > 1) {
+                this.currentPage--;
+                this.pageCursors.length = this.currentPage;
+                await this.loadFiles();
+                return;
             }
 
-            this.totalFiles = files.length;
+            this.totalFiles = result.total;
             this.totalPages = Math.ceil(this.totalFiles / this.pageSize);
-
-            // 分页处理
-            const startIndex = (this.currentPage - 1) * this.pageSize;
-            const endIndex = startIndex + this.pageSize;
-            this.currentFiles = files.slice(startIndex, endIndex);
+            this.currentFiles = result.files;
+            this.pageCursors[this.currentPage] = result.nextCursor;
 
             this.renderFileList();
             this.updatePagination();
@@ -153,6 +253,21 @@ export class FileList {
         }
     }
 
+    /**
+     * 当前搜索关键词和链接状态对应的查询条件
+     * @returns {Object} IndexedDBService.queryFiles 的过滤条件
+     */
+    getQueryFilters() {
+        const filters = { keyword: this.searchKeyword };
+        if (this.linkFilter === 'dead') {
+            filters.linkStatus = LINK_STATUS.DEAD;
+        }
+        if (this.linkFilter === 'unchecked') {
+            filters.unchecked = true;
+        }
+        return filters;
+    }
+
     /**
      * 渲染文件列表
      */
@@ -180,33 +295,40 @@ export class FileList {
     createFileRow(file) {
         const isSelected = this.selectedFiles.has(file.id);
         const relativeTime = getRelativeTime(new Date(file.createTime).getTime());
+        const rowClasses = [isSelected ? 'selected' : '', file.linkStatus === LINK_STATUS.DEAD ? 'link-dead' : ''].filter(Boolean);
+        const shareLink = this.escapeHtml(file.shareUrl || file.shareLink || '');
         
         return `
-            <tr data-file-id="${file.id}" class="${isSelected ? 'selected' : ''}">
+            <tr data-file-id="${file.id}" class="${rowClasses.join(' ')}">
                 <td>
                     <input type="checkbox" class="file-checkbox" ${isSelected ? 'checked' : ''}>
                 </td>
                 <td>
                     <div class="file-info">
-                        <div class="file-name" title="${file.fileName}">${this.escapeHtml(file.fileName)}</div>
+                        <div class="file-name" title="${this.escapeHtml(file.fileName)}">${highlightMatches(file.fileName, this.searchKeyword)}</div>
                         <div class="file-meta">创建于 ${relativeTime}</div>
                     </div>
                 </td>
                 <td>
                     <div class="share-link-cell">
-                        <input type="text" class="share-link-input" value="${file.shareUrl || file.shareLink || ''}" readonly>
-                        <button class="quark-gui-btn quark-gui-btn-secondary copy-link-btn" data-link="${file.shareUrl || file.shareLink || ''}" title="复制链接">
+                        <input type="text" class="share-link-input" value="${shareLink}" readonly>
+                        <button class="quark-gui-btn quark-gui-btn-secondary copy-link-btn" data-link="${shareLink}" title="复制链接">
                             <span class="quark-gui-icon">📋</span>
                             复制
                         </button>
                     </div>
+                    <div class="file-meta share-link-meta">${this.formatShareMeta(file)}</div>
                 </td>
                 <td>
                     <div class="quark-gui-table-actions">
-                        <button class="quark-gui-btn quark-gui-btn-secondary" onclick="window.open('${file.shareUrl || file.shareLink || ''}', '_blank')" title="打开链接">
+                        <button class="quark-gui-btn quark-gui-btn-secondary open-link-btn" data-link="${shareLink}" title="打开链接">
                             <span class="quark-gui-icon">🔗</span>
                             打开
                         </button>
+                        <button class="quark-gui-btn quark-gui-btn-secondary reshare-file-btn" data-file-id="${file.id}" title="用网盘中保存的文件重新生成分享链接">
+                            <span class="quark-gui-icon">♻️</span>
+                            重新分享
+                        </button>
                         <button class="quark-gui-btn quark-gui-btn-secondary delete-file-btn" data-file-id="${file.id}" title="删除文件">
                             <span class="quark-gui-icon">🗑️</span>
                             删除
@@ -217,6 +339,60 @@ export class FileList {
         `;
     }
 
+    /**
+     * 格式化分享的提取码与有效期
+     * @param {Object} file - 文件对象
+     * @returns {string} HTML字符串
+     */
+    formatShareMeta(file) {
+        // 取消转存时留下的部分文件没有分享链接
+        if (file.status === 'partial') {
+            return `<span class="share-expired">转存已取消，${file.fileCount || 0} 个文件已保存到 ${this.escapeHtml(file.saveFolderPath || '/')}，未生成分享</span>`;
+        }
+
+        const parts = [];
+
+        if (file.bundleMemberIds?.length) {
+            parts.push(`合并分享 · ${file.bundleMemberIds.length} 个记录`);
+        }
+
+        if (file.sharePasscode) {
+            parts.push(`提取码 ${this.escapeHtml(file.sharePasscode)}`);
+        }
+
+        if (!file.expiryDate) {
+            parts.push('永久有效');
+        } else if (new Date(file.expiryDate) < new Date()) {
+            parts.push('<span class="share-expired">已过期</span>');
+        } else {
+            parts.push(`有效期至 ${formatTimestamp(new Date(file.expiryDate).getTime(), 'YYYY-MM-DD HH:mm')}`);
+        }
+
+        // 链接健康检查结果
+        if (file.lastCheckedAt) {
+            const checkedTime = getRelativeTime(new Date(file.lastCheckedAt).getTime());
+            if (file.linkStatus === LINK_STATUS.DEAD) {
+                parts.push(`<span class="share-expired">链接已失效${file.linkError ? `：${this.escapeHtml(file.linkError)}` : ''}（检查于 ${checkedTime}）</span>`);
+            } else if (file.linkStatus === LINK_STATUS.ALIVE) {
+                parts.push(`链接有效（检查于 ${checkedTime}）`);
+            }
+        }
+
+        // 重新分享前的旧链接
+        if (file.shareHistory?.length) {
+            const history = file.shareHistory.map(entry => entry.shareLink).join('\n');
+            parts.push(`<span title="${this.escapeHtml(history)}">已重新分享 ${file.shareHistory.length} 次</span>`);
+        }
+
+        // 保存目录中有同名文件时的处理结果
+        const conflictText = describeConflictResolution({ conflicts: file.conflicts });
+        if (conflictText) {
+            parts.push(`同名处理: ${this.escapeHtml(conflictText)}`);
+        }
+
+        return parts.join(' · ');
+    }
+
     /**
      * 绑定行事件
      */
@@ -235,11 +411,32 @@ export class FileList {
         const copyBtns = document.querySelectorAll('.copy-link-btn');
         copyBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const link = e.target.dataset.link;
+                const link = e.currentTarget.dataset.link;
                 this.copyToClipboard(link);
             });
         });
 
+        // 打开链接按钮，只打开 http(s) 链接
+        const openBtns = document.querySelectorAll('.open-link-btn');
+        openBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const link = e.currentTarget.dataset.link;
+                if (/^https?:\/\//i.test(link)) {
+                    window.open(link, '_blank');
+                }
+            });
+        });
+
+        // 重新分享按钮
+        const reshareBtns = document.querySelectorAll('.reshare-file-btn');
+        reshareBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const fileId = parseInt(e.currentTarget.dataset.fileId);
+                const file = this.currentFiles.find(f => f.id === fileId);
+                if (file) this.reshareFiles([file]);
+            });
+        });
+
         // 删除按钮
         const deleteBtns = document.querySelectorAll('.delete-file-btn');
         deleteBtns.forEach(btn => {
@@ -250,6 +447,400 @@ export class FileList {
         });
     }
 
+    /**
+     * 后台检查完一条记录后更新当前页
+     * @param {Object} record - 更新后的记录
+     */
+    handleRecordChecked(record) {
+        const index = this.currentFiles.findIndex(file => file.id === record.id);
+        if (index === -1) return;
+
+        this.currentFiles[index] = record;
+        this.renderFileList();
+    }
+
+    /**
+     * 更新检查链接按钮
+     * @param {{running: boolean, checked: number, total: number}} state - 检查状态
+     */
+    updateLinkCheckButton(state) {
+        const checkLinksBtn = document.getElementById('checkLinksBtn');
+        if (!checkLinksBtn) return;
+
+        checkLinksBtn.innerHTML = state.running ?
+            `<span class="quark-gui-icon">⏹️</span> 停止检查 (${state.checked}/${state.total})` :
+            '<span class="quark-gui-icon">🩺</span> 检查链接';
+    }
+
+    /**
+     * 立即检查全部分享链接，检查中再次点击时停止
+     */
+    async checkLinks() {
+        if (!this.linkMonitor) return;
+
+        if (this.linkMonitor.running) {
+            this.linkMonitor.cancel();
+            return;
+        }
+
+        try {
+            const summary = await this.linkMonitor.check({ force: true });
+            if (!summary) {
+                this.notificationManager.warning('无法检查', '请先在设置中配置Cookie');
+                return;
+            }
+
+            const message = `已检查 ${summary.checked} 个链接：有效 ${summary.alive}，失效 ${summary.dead}，无法判断 ${summary.unknown}`;
+            if (summary.dead > 0) {
+                this.notificationManager.warning('发现失效链接', message);
+            } else {
+                this.notificationManager.success('链接检查完成', message);
+            }
+            await this.loadFiles();
+        } catch (error) {
+            this.logger.error('检查分享链接失败:', error.message);
+            this.notificationManager.error('检查失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 批量重新分享：有选中的记录时处理选中的，否则处理全部失效链接
+     */
+    async reshareSelected() {
+        try {
+            const files = await this.dbService.getAllFiles();
+            const targets = this.selectedFiles.size > 0 ?
+                files.filter(file => this.selectedFiles.has(file.id)) :
+                files.filter(file => file.linkStatus === LINK_STATUS.DEAD);
+
+            if (targets.length === 0) {
+                this.notificationManager.info('没有可重新分享的记录', '请先选择记录，或检查链接找出失效的分享');
+                return;
+            }
+
+            await this.reshareFiles(targets);
+        } catch (error) {
+            this.logger.error('重新分享失败:', error.message);
+            this.notificationManager.error('重新分享失败', error.message);
+        }
+    }
+
+    /**
+     * 为记录重新生成分享链接
+     * @param {Array<Object>} targets - 文件记录
+     */
+    async reshareFiles(targets) {
+        if (this.isResharing) return;
+
+        const confirmed = await this.showConfirmDialog(
+            '重新分享',
+            targets.length === 1 ?
+                `将为 "${this.escapeHtml(targets[0].fileName)}" 重新生成分享链接（使用默认分享设置），旧链接会保留在历史中。网盘中的文件已删除时将从原始链接重新转存。是否继续？` :
+                `将为 ${targets.length} 个记录重新生成分享链接（使用默认分享设置），旧链接会保留在历史中。网盘中的文件已删除时将从原始链接重新转存。是否继续？`
+        );
+        if (!confirmed) return;
+
+        try {
+            const cookie = this.getDefaultCookie();
+            if (!cookie) {
+                throw new Error('请先在设置中配置Cookie');
+            }
+
+            this.isResharing = true;
+            this.setReshareButtonBusy(true);
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+
+            let successCount = 0;
+            let retransferCount = 0;
+            const failures = [];
+            for (const file of targets) {
+                try {
+                    const { retransferred } = await this.reshareFile(file, quarkService);
+                    successCount++;
+                    if (retransferred) retransferCount++;
+                } catch (error) {
+                    failures.push(`${file.fileName}: ${error.getUserMessage?.() ?? error.message}`);
+                    this.logger.error(`重新分享失败: ${file.fileName}`, error.message);
+                    if (error.category === ERROR_CATEGORIES.AUTH_EXPIRED || error.category === ERROR_CATEGORIES.QUOTA_EXCEEDED) break;
+                }
+            }
+
+            const retransferText = retransferCount > 0 ? `（其中 ${retransferCount} 个文件已从网盘删除，已从原始链接重新转存）` : '';
+            if (failures.length === 0) {
+                this.notificationManager.success('重新分享完成', `已为 ${successCount} 个记录生成新链接${retransferText}`);
+            } else {
+                this.notificationManager.warning('重新分享完成', `成功 ${successCount} 个${retransferText}，失败 ${failures.length} 个：${failures.slice(0, 3).join('；')}`);
+            }
+            await this.loadFiles();
+        } catch (error) {
+            this.logger.error('重新分享失败:', error.message);
+            this.notificationManager.error('重新分享失败', error.message);
+        } finally {
+            this.isResharing = false;
+            this.setReshareButtonBusy(false);
+        }
+    }
+
+    /**
+     * 用记录中保存的网盘文件ID创建新分享并更新记录，旧链接保存到 shareHistory
+     * 网盘中的文件已删除时从原始链接重新转存到原保存目录
+     * @param {Object} file - 文件记录
+     * @param {Object} quarkService - 夸克服务
+     * @returns {Promise<{retransferred: boolean}>} 是否重新转存
+     */
+    async reshareFile(file, quarkService) {
+        const shareOptions = resolveShareOptions();
+        const saveFolderFid = file.saveFolderFid || '0';
+        const fileIds = file.fileIds?.length ? file.fileIds : [file.fileId].filter(Boolean);
+
+        // 合并分享的成员分布在不同目录，没有原始链接可以回退
+        if (file.bundleMemberIds?.length) {
+            try {
+                const bundleShare = await quarkService.shareFiles(fileIds, file.fileName, shareOptions);
+                await this.saveReshareResult(file, {
+                    shareLink: bundleShare.shareLink,
+                    shareUrl: bundleShare.shareLink,
+                    sharePasscode: bundleShare.sharePasscode,
+                    shareExpiredType: bundleShare.shareExpiredType,
+                    expiryDate: bundleShare.expiryDate
+                });
+                return { retransferred: false };
+            } catch (error) {
+                throw new Error(`合并分享中的文件可能已从网盘删除，请重新创建合并分享（${error.getUserMessage?.() ?? error.message}）`);
+            }
+        }
+
+        const share = fileIds.length > 0 ?
+            await quarkService.reshareSavedFiles(fileIds, file.fileName, shareOptions, { pdirFid: saveFolderFid }) :
+            null;
+
+        let update;
+        if (share) {
+            update = {
+                shareLink: share.shareLink,
+                shareUrl: share.shareLink,
+                sharePasscode: share.sharePasscode,
+                shareExpiredType: share.shareExpiredType,
+                expiryDate: share.expiryDate
+            };
+        } else {
+            if (!file.originalUrl) {
+                throw new Error('网盘中的文件已删除，且记录中没有原始链接，无法重新转存');
+            }
+
+            this.logger.info(`网盘中的文件已删除，从原始链接重新转存: ${file.fileName}`);
+            const result = await quarkService.store(file.originalUrl, null, {
+                passcode: file.passcode,
+                toPdirFid: saveFolderFid,
+                title: file.fileName,
+                share: shareOptions,
+                conflictPolicy: getConflictPolicy(),
+                checkQuota: true
+            });
+            if (!result.success) {
+                throw result.error || new Error(result.message);
+            }
+
+            update = {
+                fileId: result.data.fileId,
+                fileIds: result.data.fileIds,
+                fileCount: result.data.fileCount,
+                shareLink: result.data.shareLink,
+                shareUrl: result.data.shareLink,
+                sharePasscode: result.data.sharePasscode,
+                shareExpiredType: result.data.shareExpiredType,
+                expiryDate: result.data.expiryDate
+            };
+        }
+
+        await this.saveReshareResult(file, update);
+        return { retransferred: !share };
+    }
+
+    /**
+     * 保存重新分享的结果，旧链接追加到 shareHistory
+     * @param {Object} file - 文件记录
+     * @param {Object} update - 新的分享字段
+     */
+    async saveReshareResult(file, update) {
+        const previousLink = file.shareLink || file.shareUrl;
+        await this.dbService.updateFile(file.id, {
+            ...update,
+            shareHistory: previousLink ? [...(file.shareHistory || []), {
+                shareLink: previousLink,
+                sharePasscode: file.sharePasscode || '',
+                expiryDate: file.expiryDate || null,
+                linkStatus: file.linkStatus || null,
+                replacedAt: new Date().toISOString()
+            }] : (file.shareHistory || []),
+            // 取消转存时留下的部分文件重新分享后也有了链接
+            status: 'completed',
+            linkStatus: LINK_STATUS.ALIVE,
+            linkError: '',
+            lastCheckedAt: new Date().toISOString()
+        });
+
+        this.logger.info(`重新分享成功: ${file.fileName}`, update.shareLink);
+    }
+
+    /**
+     * 将选中的多个记录合并为一个分享，并保存为引用成员记录的合并分享记录
+     */
+    async createBundleShare() {
+        try {
+            const files = await this.dbService.getAllFiles();
+            const members = files.filter(file => this.selectedFiles.has(file.id));
+
+            if (members.length < 2) {
+                this.notificationManager.info('请选择记录', '合并分享至少需要选择 2 个记录');
+                return;
+            }
+
+            const missing = members.filter(file => !(file.fileIds?.length || file.fileId));
+            if (missing.length > 0) {
+                this.notificationManager.warning('无法合并', `以下记录没有网盘文件ID：${missing.map(file => file.fileName).join('、')}`);
+                return;
+            }
+
+            const options = await this.promptBundleOptions(members);
+            if (!options) return;
+
+            const cookie = this.getDefaultCookie();
+            if (!cookie) {
+                throw new Error('请先在设置中配置Cookie');
+            }
+
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+            // 合并分享本身也可能是成员，去重后提交
+            const fileIds = [...new Set(members.flatMap(file => file.fileIds?.length ? file.fileIds : [file.fileId]))];
+            const share = await quarkService.shareFiles(fileIds, options.title, options.shareOptions);
+
+            await this.dbService.saveFile(new QuarkFile({
+                fileId: fileIds[0],
+                fileIds,
+                fileCount: fileIds.length,
+                fileName: options.title,
+                fileType: 'bundle',
+                fileSize: members.reduce((sum, file) => sum + (file.fileSize || 0), 0),
+                shareLink: share.shareLink,
+                shareExpiredType: share.shareExpiredType,
+                sharePasscode: share.sharePasscode,
+                expiryDate: share.expiryDate,
+                source: 'bundle',
+                bundleMemberIds: members.map(file => file.id)
+            }));
+
+            this.selectedFiles.clear();
+            await this.loadFiles();
+
+            this.notificationManager.success('合并分享已创建', `"${options.title}" 包含 ${members.length} 个记录`);
+            this.logger.info(`合并分享已创建: ${options.title}`, { members: members.length, shareLink: share.shareLink });
+        } catch (error) {
+            this.logger.error('创建合并分享失败:', error.message);
+            this.notificationManager.error('合并分享失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 填写合并分享的标题、有效期和提取码
+     * @param {Array<Object>} members - 成员记录
+     * @returns {Promise<{title: string, shareOptions: Object}|null>} 分享选项，取消时为 null
+     */
+    promptBundleOptions(members) {
+        return new Promise((resolve) => {
+            const names = members.slice(0, 5).map(file => `<li>${this.escapeHtml(file.fileName)}</li>`).join('');
+            const more = members.length > 5 ? `<li>… 共 ${members.length} 个记录</li>` : '';
+
+            let modal = null;
+            const submit = () => {
+                const title = document.getElementById('bundleTitle')?.value.trim();
+                if (!title) {
+                    this.notificationManager.warning('请填写标题', '分享标题不能为空');
+                    return;
+                }
+
+                try {
+                    const shareOptions = resolveShareOptions({
+                        expiredType: document.getElementById('bundleExpiry')?.value || '',
+                        passcodeMode: document.getElementById('bundlePasscodeMode')?.value || '',
+                        fixedPasscode: document.getElementById('bundleFixedPasscode')?.value.trim() || ''
+                    });
+                    modal.close();
+                    resolve({ title, shareOptions });
+                } catch (error) {
+                    this.notificationManager.warning('提取码无效', error.message);
+                }
+            };
+
+            modal = openModal({
+                title: '合并分享',
+                body: `
+                    <ul class="bundle-share-members">${names}${more}</ul>
+                    <div class="quark-gui-form-group">
+                        <label for="bundleTitle">分享标题</label>
+                        <input type="text" id="bundleTitle" class="quark-gui-input" value="${this.escapeHtml(`${members[0].fileName} 等${members.length}个`)}">
+                    </div>
+                    <div class="quark-gui-form-row">
+                        <div class="quark-gui-form-group">
+                            <label for="bundleExpiry">分享有效期</label>
+                            <select id="bundleExpiry" class="quark-gui-select">
+                                <option value="">使用默认设置</option>
+                                <option value="1">永久有效</option>
+                                <option value="2">1天</option>
+                                <option value="3">7天</option>
+                                <option value="4">30天</option>
+                            </select>
+                        </div>
+                        <div class="quark-gui-form-group">
+                            <label for="bundlePasscodeMode">分享提取码</label>
+                            <select id="bundlePasscodeMode" class="quark-gui-select">
+                                <option value="">使用默认设置</option>
+                                <option value="none">无提取码</option>
+                                <option value="random">随机提取码</option>
+                                <option value="fixed">固定提取码</option>
+                            </select>
+                            <input type="text" id="bundleFixedPasscode" class="quark-gui-input quark-gui-share-passcode-input" placeholder="4位字母或数字" maxlength="4" style="display: none;">
+                        </div>
+                    </div>
+                `,
+                confirmText: '创建分享',
+                onConfirm: submit,
+                onDismiss: () => resolve(null)
+            });
+
+            const fixedPasscodeInput = document.getElementById('bundleFixedPasscode');
+            document.getElementById('bundlePasscodeMode')?.addEventListener('change', (e) => {
+                if (fixedPasscodeInput) {
+                    fixedPasscodeInput.style.display = e.target.value === 'fixed' ? 'block' : 'none';
+                }
+            });
+        });
+    }
+
+    /**
+     * 重新分享进行中时禁用按钮
+     * @param {boolean} busy - 是否进行中
+     */
+    setReshareButtonBusy(busy) {
+        const reshareBtn = document.getElementById('reshareBtn');
+        if (reshareBtn) {
+            reshareBtn.disabled = busy;
+        }
+    }
+
+    /**
+     * 读取设置中的默认Cookie
+     * @returns {string} Cookie
+     */
+    getDefaultCookie() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('quark-gui-settings') || '{}');
+            return settings.defaultCookie || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
     /**
      * 处理文件选择
      * @param {number} fileId - 文件ID
@@ -385,61 +976,60 @@ export class FileList {
      * 显示确认对话框
      * @param {string} title - 标题
      * @param {string} message - 消息
-     * @returns {Promise<boolean>} 是否确认
+     * @returns {Promise<boolean>} 是否确认，取消或关闭时为 false
      */
     showConfirmDialog(title, message) {
         return new Promise((resolve) => {
-            const modal = document.getElementById('modal');
-            const modalTitle = document.getElementById('modalTitle');
-            const modalBody = document.getElementById('modalBody');
-            const modalConfirm = document.getElementById('modalConfirm');
-            const modalCancel = document.getElementById('modalCancel');
-
-            if (modalTitle) modalTitle.textContent = title;
-            if (modalBody) modalBody.innerHTML = `<p>${message}</p>`;
-
-            if (modalConfirm) {
-                modalConfirm.textContent = '确定';
-                modalConfirm.onclick = () => {
-                    modal.style.display = 'none';
+            const modal = openModal({
+                title,
+                body: `<p>${message}</p>`,
+                confirmText: '确定',
+                onConfirm: () => {
+                    modal.close();
                     resolve(true);
-                };
-            }
-
-            if (modalCancel) {
-                modalCancel.onclick = () => {
-                    modal.style.display = 'none';
-                    resolve(false);
-                };
-            }
-
-            if (modal) {
-                modal.style.display = 'flex';
-            }
+                },
+                onDismiss: () => resolve(false)
+            });
         });
     }
 
     /**
      * 导出文件列表
+     * 可选择当前筛选结果（按当前排序）、已选记录或全部记录
      */
     async exportFiles() {
         try {
-            const exportData = await this.dbService.exportData();
-            const dataStr = JSON.stringify(exportData, null, 2);
-            const blob = new Blob([dataStr], { type: 'application/json' });
-            
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `quark-files-${formatTimestamp(Date.now(), 'YYYY-MM-DD-HH-mm-ss')}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.notificationManager.success('导出成功', '文件列表已导出');
-            this.logger.info('文件列表导出成功');
-            
+            const hasFilter = Boolean(this.searchKeyword) || this.linkFilter !== 'all';
+            const counts = {
+                selected: this.selectedFiles.size,
+                all: await this.dbService.getFileCount()
+            };
+            if (hasFilter) {
+                counts.filtered = this.totalFiles;
+            }
+
+            await this.exportDialog.open({
+                counts,
+                scope: this.selectedFiles.size > 0 ? 'selected' : (hasFilter ? 'filtered' : 'all'),
+                loadRecords: async (scope) => {
+                    if (scope === 'filtered') {
+                        const { files } = await this.dbService.queryFiles({
+                            sortBy: this.sortBy,
+                            sortOrder: this.sortOrder,
+                            filters: this.getQueryFilters(),
+                            withTotal: false
+                        });
+                        return files;
+                    }
+
+                    // 没有搜索词时无法按相关度排序，改按转存时间
+                    const files = await this.dbService.getAllFiles({
+                        sortBy: this.sortBy === RELEVANCE_SORT ? 'createTime' : this.sortBy,
+                        sortOrder: this.sortOrder
+                    });
+                    return scope === 'selected' ? files.filter(file => this.selectedFiles.has(file.id)) : files;
+                }
+            });
         } catch (error) {
             this.logger.error('导出文件列表失败:', error.message);
             this.notificationManager.error('导出失败', '无法导出文件列表');
@@ -451,7 +1041,9 @@ export class FileList {
      * @param {number} page - 页码
      */
     async goToPage(page) {
+        // 只能翻到已知起始位置的页，即已读过的页及其下一页
         if (page < 1 || page > this.totalPages) return;
+        if (page > 1 && !this.pageCursors[page - 1]) return;
         
         this.currentPage = page;
         await this.loadFiles();
@@ -540,9 +1132,8 @@ export class FileList {
      * @returns {string} 转义后的文本
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        // 同时转义引号，结果也可用于属性值
+        return escapeHtml(text);
     }
 
     /**
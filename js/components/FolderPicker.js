@@ -0,0 +1,289 @@
+/**
+ * 目录选择器组件
+ * 浏览个人网盘的文件夹结构，选择或新建转存的目标目录
+ */
+
+import { isFolder, escapeHtml } from '../utils/fileUtils.js';
+import { formatTimestamp } from '../utils/timeUtils.js';
+import { openModal } from '../utils/modalUtils.js';
+
+// 网盘根目录
+export const ROOT_FOLDER = { fid: '0', path: '/' };
+
+// 目录列表分页大小
+const PAGE_SIZE = 100;
+
+export class FolderPicker {
+    constructor(options) {
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reset();
+    }
+
+    /**
+     * 重置选择状态
+     */
+    reset() {
+        this.quarkService = null;
+        this.breadcrumbs = [];
+        this.folders = [];
+        this.resolve = null;
+    }
+
+    /**
+     * 读取设置中的默认保存目录
+     * @returns {{fid: string, path: string}} 默认保存目录
+     */
+    getDefaultFolder() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('quark-gui-settings') || '{}');
+            return settings.defaultSaveFolder?.fid ? settings.defaultSaveFolder : ROOT_FOLDER;
+        } catch (error) {
+            return ROOT_FOLDER;
+        }
+    }
+
+    /**
+     * 获取目录的显示名称
+     * @param {{fid: string, path: string}} folder - 目录
+     * @returns {string} 显示名称
+     */
+    formatFolder(folder) {
+        return !folder || folder.fid === '0' ? '根目录' : folder.path;
+    }
+
+    /**
+     * 打开目录选择器
+     * @param {Object} quarkService - 夸克服务实例
+     * @param {Object} options - 选择器选项
+     * @param {string} options.title - 标题
+     * @returns {Promise<{fid: string, path: string}|null>} 选中的目录，取消时为 null
+     */
+    open(quarkService, options = {}) {
+        this.reset();
+        this.quarkService = quarkService;
+        this.breadcrumbs = [{ fid: '0', name: '根目录' }];
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal(options.title || '选择保存目录');
+            this.loadFolder('0');
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     * @param {string} title - 标题
+     */
+    showModal(title) {
+        this.modal = openModal({
+            title,
+            wide: true,
+            confirmText: '保存到此处',
+            onConfirm: () => this.confirm(),
+            onDismiss: () => this.close(null)
+        });
+    }
+
+    /**
+     * 加载目录下的子文件夹
+     * 列表按文件类型升序排列，文件夹总在最前，遇到文件即可停止翻页
+     * @param {string} fid - 目录ID
+     */
+    async loadFolder(fid) {
+        this.renderMessage('<div class="quark-gui-loading"></div> 加载中...');
+
+        try {
+            const folders = [];
+
+            for (let page = 1; ; page++) {
+                const { list, total } = await this.quarkService.listDriveFiles(fid, { page, size: PAGE_SIZE });
+                const pageFolders = list.filter(item => isFolder(item));
+                folders.push(...pageFolders);
+
+                const fetched = (page - 1) * PAGE_SIZE + list.length;
+                if (pageFolders.length < list.length || list.length === 0 || fetched >= total) break;
+            }
+
+            this.folders = folders;
+            this.render();
+        } catch (error) {
+            this.logger.error('加载网盘目录失败:', error.message);
+            this.renderMessage(`❌ 加载目录失败: ${escapeHtml(error.getUserMessage?.() ?? error.message)}`);
+        }
+    }
+
+    /**
+     * 获取当前目录的路径
+     * @returns {string} 路径，如 /电影/2024
+     */
+    getCurrentPath() {
+        const names = this.breadcrumbs.slice(1).map(crumb => crumb.name);
+        return `/${names.join('/')}`;
+    }
+
+    /**
+     * 进入子文件夹
+     * @param {string} fid - 文件夹ID
+     */
+    enterFolder(fid) {
+        const folder = this.folders.find(item => item.fid === fid);
+        if (!folder) return;
+
+        this.breadcrumbs.push({ fid: folder.fid, name: folder.file_name });
+        this.loadFolder(folder.fid);
+    }
+
+    /**
+     * 返回面包屑中的某一级
+     * @param {number} index - 面包屑索引
+     */
+    goToCrumb(index) {
+        this.breadcrumbs = this.breadcrumbs.slice(0, index + 1);
+        this.loadFolder(this.breadcrumbs[index].fid);
+    }
+
+    /**
+     * 渲染当前目录
+     */
+    render() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        const crumbs = this.breadcrumbs.map((crumb, index) =>
+            index === this.breadcrumbs.length - 1 ?
+                `<span>${escapeHtml(crumb.name)}</span>` :
+                `<a href="#" data-crumb="${index}">${escapeHtml(crumb.name)}</a>`
+        ).join(' / ');
+
+        const rows = this.folders.map(folder => `
+            <tr>
+                <td class="share-browser-name">
+                    📁 <a href="#" data-folder="${folder.fid}">${escapeHtml(folder.file_name)}</a>
+                </td>
+                <td>${folder.updated_at ? formatTimestamp(folder.updated_at, 'YYYY-MM-DD HH:mm') : '-'}</td>
+            </tr>
+        `).join('');
+
+        modalBody.innerHTML = `
+            <div class="share-browser-breadcrumbs">${crumbs}</div>
+            <div class="quark-gui-search-group folder-picker-create">
+                <input type="text" id="folderPickerName" class="quark-gui-input" placeholder="新文件夹名称" maxlength="100">
+                <button class="quark-gui-btn quark-gui-btn-secondary" id="folderPickerCreateBtn">
+                    <span class="quark-gui-icon">➕</span>
+                    新建文件夹
+                </button>
+            </div>
+            <div class="quark-gui-table-container share-browser-table">
+                <table class="quark-gui-table">
+                    <thead>
+                        <tr>
+                            <th>文件夹</th>
+                            <th>更新时间</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows || '<tr><td colspan="2" style="text-align: center;">没有子文件夹</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+            <div class="share-browser-summary">将保存到：${escapeHtml(this.formatFolder({ fid: this.currentFid(), path: this.getCurrentPath() }))}</div>
+        `;
+
+        modalBody.querySelectorAll('[data-crumb]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goToCrumb(parseInt(e.currentTarget.dataset.crumb));
+            });
+        });
+
+        modalBody.querySelectorAll('[data-folder]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.enterFolder(e.currentTarget.dataset.folder);
+            });
+        });
+
+        const nameInput = document.getElementById('folderPickerName');
+        document.getElementById('folderPickerCreateBtn')?.addEventListener('click', () => this.createFolder());
+        nameInput?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.createFolder();
+        });
+    }
+
+    /**
+     * 获取当前目录ID
+     * @returns {string} 目录ID
+     */
+    currentFid() {
+        return this.breadcrumbs[this.breadcrumbs.length - 1].fid;
+    }
+
+    /**
+     * 在当前目录下新建文件夹并进入
+     */
+    async createFolder() {
+        const nameInput = document.getElementById('folderPickerName');
+        const folderName = nameInput?.value.trim();
+
+        if (!folderName) {
+            this.notificationManager.warning('输入错误', '请输入文件夹名称');
+            return;
+        }
+
+        if (/[\\/:*?"<>|]/.test(folderName)) {
+            this.notificationManager.warning('输入错误', '文件夹名称不能包含 \\ / : * ? " < > | 等字符');
+            return;
+        }
+
+        try {
+            const fid = await this.quarkService.createFolder(this.currentFid(), folderName);
+            this.logger.info(`已新建文件夹: ${this.getCurrentPath()}/${folderName}`);
+            this.notificationManager.success('新建成功', `文件夹 "${folderName}" 已创建`);
+
+            this.breadcrumbs.push({ fid, name: folderName });
+            await this.loadFolder(fid);
+        } catch (error) {
+            this.logger.error('新建文件夹失败:', error.message);
+            this.notificationManager.error('新建文件夹失败', error.getUserMessage?.() ?? error.message);
+        }
+    }
+
+    /**
+     * 渲染提示信息
+     * @param {string} html - 提示内容
+     */
+    renderMessage(html) {
+        const modalBody = document.getElementById('modalBody');
+        if (modalBody) {
+            modalBody.innerHTML = `<div class="share-browser-message">${html}</div>`;
+        }
+    }
+
+    /**
+     * 确认选择当前目录
+     */
+    confirm() {
+        this.close({ fid: this.currentFid(), path: this.getCurrentPath() });
+    }
+
+    /**
+     * 关闭选择器
+     * @param {Object|null} result - 返回给调用方的结果
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+}
+
+export default FolderPicker;
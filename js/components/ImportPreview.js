@@ -0,0 +1,218 @@
+/**
+ * 导入预览组件
+ * 导入前列出每条记录的处理结果（新增、更新、冲突、无效），可切换重复判断依据和处理策略，确认后才写入
+ */
+
+import { escapeHtml } from '../utils/fileUtils.js';
+import {
+    planImport,
+    getImportSummaryText,
+    IMPORT_ROW_STATUS,
+    IMPORT_ROW_STATUS_LABELS,
+    IMPORT_ACTION_LABELS
+} from '../utils/importUtils.js';
+import { IMPORT_STRATEGIES, IMPORT_MATCH_KEYS } from '../config/constants.js';
+import { openModal } from '../utils/modalUtils.js';
+
+// 预览表格最多显示的行数，其余行只计入摘要
+const MAX_PREVIEW_ROWS = 200;
+
+// 结果列的样式
+const STATUS_CLASSES = {
+    added: 'preflight-ok',
+    updated: 'preflight-ok',
+    conflict: 'preflight-warning',
+    invalid: 'preflight-error'
+};
+
+export class ImportPreview {
+    constructor(options) {
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reset();
+    }
+
+    /**
+     * 重置预览状态
+     */
+    reset() {
+        this.rows = [];
+        this.existingRecords = [];
+        this.strategy = 'skip';
+        this.matchBy = 'shareLink';
+        this.plan = null;
+        this.resolve = null;
+    }
+
+    /**
+     * 打开预览窗口
+     * @param {Array<Object>} rows - 导入文件中的记录
+     * @param {Array<Object>} existingRecords - 数据库中已有的记录
+     * @returns {Promise<Object|null>} 确认的导入计划，取消时为 null
+     */
+    open(rows, existingRecords) {
+        this.close(null);
+        this.reset();
+        this.rows = rows;
+        this.existingRecords = existingRecords;
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal();
+            this.render();
+            this.update();
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     */
+    showModal() {
+        this.modal = openModal({
+            title: '导入预览',
+            wide: true,
+            confirmText: '导入',
+            onConfirm: () => this.confirm(),
+            onDismiss: () => this.close(null)
+        });
+    }
+
+    /**
+     * 渲染选项和表格框架
+     */
+    render() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        const options = (labels, selected) => Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        modalBody.innerHTML = `
+            <div class="quark-gui-form-row">
+                <div class="quark-gui-form-group">
+                    <label for="importMatchBy">判断重复的依据</label>
+                    <select id="importMatchBy" class="quark-gui-select">${options(IMPORT_MATCH_KEYS, this.matchBy)}</select>
+                </div>
+                <div class="quark-gui-form-group">
+                    <label for="importStrategy">重复时</label>
+                    <select id="importStrategy" class="quark-gui-select">${options(IMPORT_STRATEGIES, this.strategy)}</select>
+                </div>
+            </div>
+            <div class="share-browser-summary" id="importPreviewSummary"></div>
+            <div class="quark-gui-table-container share-browser-table">
+                <table class="quark-gui-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>记录</th>
+                            <th>结果</th>
+                            <th>处理</th>
+                            <th>说明</th>
+                        </tr>
+                    </thead>
+                    <tbody id="importPreviewTableBody"></tbody>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('importMatchBy')?.addEventListener('change', (e) => {
+            this.matchBy = e.target.value;
+            this.update();
+        });
+
+        document.getElementById('importStrategy')?.addEventListener('change', (e) => {
+            this.strategy = e.target.value;
+            this.update();
+        });
+    }
+
+    /**
+     * 按当前选项重新生成导入计划并刷新表格
+     */
+    update() {
+        this.plan = planImport(this.rows, this.existingRecords, {
+            strategy: this.strategy,
+            matchBy: this.matchBy
+        });
+
+        const summary = document.getElementById('importPreviewSummary');
+        if (summary) {
+            summary.textContent = getImportSummaryText(this.plan);
+        }
+
+        const tableBody = document.getElementById('importPreviewTableBody');
+        if (tableBody) {
+            // 冲突和无效的行排在前面，便于核对
+            const order = [IMPORT_ROW_STATUS.INVALID, IMPORT_ROW_STATUS.CONFLICT, IMPORT_ROW_STATUS.UPDATED, IMPORT_ROW_STATUS.ADDED];
+            const items = [...this.plan.items].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.index - b.index);
+
+            tableBody.innerHTML = items.slice(0, MAX_PREVIEW_ROWS).map(item => this.getRowHtml(item)).join('');
+            if (items.length > MAX_PREVIEW_ROWS) {
+                tableBody.innerHTML += `<tr><td colspan="5" class="file-meta">另有 ${items.length - MAX_PREVIEW_ROWS} 条未列出，已计入上方统计</td></tr>`;
+            }
+        }
+
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (modalConfirm) {
+            modalConfirm.disabled = this.plan.summary.add + this.plan.summary.update === 0;
+        }
+    }
+
+    /**
+     * 表格行
+     * @param {Object} item - 导入计划中的一行
+     * @returns {string} HTML
+     */
+    getRowHtml(item) {
+        const record = item.record;
+        const name = record?.fileName || '-';
+        const link = record?.shareLink || record?.originalUrl || '';
+
+        return `
+            <tr>
+                <td>${item.index + 1}</td>
+                <td class="link-importer-cell">
+                    ${escapeHtml(name)}
+                    ${link ? `<div class="file-meta">${escapeHtml(link)}</div>` : ''}
+                </td>
+                <td><span class="${STATUS_CLASSES[item.status]}">${IMPORT_ROW_STATUS_LABELS[item.status]}</span></td>
+                <td>${IMPORT_ACTION_LABELS[item.action]}</td>
+                <td>${escapeHtml(item.message)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * 确认导入
+     */
+    confirm() {
+        if (!this.plan || this.plan.summary.add + this.plan.summary.update === 0) {
+            this.notificationManager.warning('没有可导入的记录', '当前策略下所有记录都会被跳过');
+            return;
+        }
+
+        this.logger.info('确认导入', this.plan.summary);
+        this.close(this.plan);
+    }
+
+    /**
+     * 关闭预览窗口
+     * @param {Object|null} result - 返回给调用方的结果
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+}
+
+export default ImportPreview;
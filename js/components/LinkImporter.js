@@ -0,0 +1,608 @@
+/**
+ * 链接导入组件
+ * 从 .txt/.csv/.md/.html 文件中识别分享链接，预览并勾选后加入转存队列
+ */
+
+import { parseQuarkLinks } from '../utils/linkParser.js';
+import { escapeHtml } from '../utils/fileUtils.js';
+import { openModal } from '../utils/modalUtils.js';
+
+// 支持导入的文件类型
+export const IMPORT_FILE_TYPES = ['.txt', '.csv', '.md', '.markdown', '.html', '.htm'];
+
+// CSV 列映射预览显示的行数
+const CSV_PREVIEW_ROWS = 5;
+
+// 按表头自动识别 CSV 列
+const CSV_COLUMN_PATTERNS = {
+    passcode: /提取码|访问码|密码|pwd|passcode/i,
+    name: /名称|标题|文件名|自定义|name|title/i
+};
+
+/**
+ * 解析 CSV 文本，支持引号包裹的字段和字段内换行
+ * @param {string} text - CSV 文本
+ * @returns {Array<Array<string>>} 行数组，空行已去除
+ */
+export function parseCsv(text) {
+    const content = (text || '').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(cell => cell.trim()))
+        .filter(cells => cells.some(Boolean));
+}
+
+/**
+ * 根据首行判断分隔符（逗号、分号或制表符）
+ * @param {string} text - CSV 文本
+ * @returns {string} 分隔符
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = [',', ';', '\t'].map(delimiter => ({
+        delimiter,
+        count: firstLine.split(delimiter).length - 1
+    }));
+
+    return counts.reduce((best, item) => item.count > best.count ? item : best).delimiter;
+}
+
+/**
+ * 将 HTML 页面转换为便于识别链接的纯文本
+ * 块级元素之间保留换行，超链接的地址附在链接文字之后
+ * @param {string} html - HTML 文本
+ * @returns {string} 纯文本
+ */
+export function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    doc.querySelectorAll('script, style, noscript').forEach(node => node.remove());
+    doc.querySelectorAll('a[href]').forEach(anchor => {
+        const href = anchor.getAttribute('href');
+        if (/pan\.quark\.cn\/s\//i.test(href) && !anchor.textContent.includes(href)) {
+            anchor.append(` ${href} `);
+        }
+    });
+    doc.querySelectorAll('br').forEach(node => node.replaceWith('\n'));
+    doc.querySelectorAll('p, div, li, tr, h1, h2, h3, h4, h5, h6, pre, blockquote, section, article').forEach(node => {
+        node.append('\n');
+    });
+
+    return doc.body?.textContent || '';
+}
+
+/**
+ * 将 Markdown 链接 [标题](地址) 展开为 "标题 地址"，便于识别标题
+ * @param {string} text - Markdown 文本
+ * @returns {string} 展开后的文本
+ */
+export function markdownToText(text) {
+    return (text || '').replace(/\[([^\]]*)\]\((\S+?)\)/g, '$1 $2');
+}
+
+export class LinkImporter {
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reset();
+    }
+
+    /**
+     * 重置导入状态
+     */
+    reset() {
+        this.entries = new Map(); // pwdId -> 导入条目
+        this.csvFiles = [];
+        this.currentCsv = null;
+        this.queuedLinks = new Set();
+        this.step = '';
+        this.resolve = null;
+    }
+
+    /**
+     * 判断文件是否为支持导入的类型
+     * @param {File} file - 文件
+     * @returns {boolean} 是否支持
+     */
+    isSupportedFile(file) {
+        const name = (file?.name || '').toLowerCase();
+        return IMPORT_FILE_TYPES.some(ext => name.endsWith(ext));
+    }
+
+    /**
+     * 导入文件并显示预览
+     * @param {Array<File>|FileList} files - 待导入的文件
+     * @param {Object} options - 导入选项
+     * @param {Array<string>} options.queuedLinks - 已在转存队列中的链接，用于标记重复
+     * @returns {Promise<Array<{url: string, passcode: string, titleHint: string, customName: string}>|null>}
+     *   勾选的链接，取消时为 null
+     */
+    async open(files, options = {}) {
+        this.close(null);
+        this.reset();
+        this.queuedLinks = new Set(options.queuedLinks || []);
+
+        const supported = [...files].filter(file => this.isSupportedFile(file));
+        const unsupported = [...files].length - supported.length;
+        if (unsupported > 0) {
+            this.notificationManager.warning('已忽略部分文件', `${unsupported} 个文件类型不支持，仅支持 ${IMPORT_FILE_TYPES.join('、')}`);
+        }
+        if (supported.length === 0) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal();
+            this.loadFiles(supported);
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     */
+    showModal() {
+        this.modal = openModal({
+            title: '导入链接',
+            wide: true,
+            onConfirm: () => this.confirm(),
+            onDismiss: () => this.close(null)
+        });
+
+        // 识别完链接后才能确认
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (modalConfirm) {
+            modalConfirm.disabled = true;
+        }
+    }
+
+    /**
+     * 读取文件并识别链接，CSV 文件留到列映射步骤处理
+     * @param {Array<File>} files - 文件列表
+     */
+    async loadFiles(files) {
+        this.renderMessage('<div class="quark-gui-loading"></div> 正在读取文件...');
+
+        for (const file of files) {
+            try {
+                const text = await this.readFileAsText(file);
+                const name = file.name.toLowerCase();
+
+                if (name.endsWith('.csv')) {
+                    const rows = parseCsv(text);
+                    if (rows.length > 0) {
+                        this.csvFiles.push({ name: file.name, rows });
+                    }
+                } else if (name.endsWith('.html') || name.endsWith('.htm')) {
+                    this.addEntries(parseQuarkLinks(htmlToText(text)), file.name);
+                } else if (name.endsWith('.md') || name.endsWith('.markdown')) {
+                    this.addEntries(parseQuarkLinks(markdownToText(text)), file.name);
+                } else {
+                    this.addEntries(parseQuarkLinks(text), file.name);
+                }
+            } catch (error) {
+                this.logger.error(`读取导入文件失败: ${file.name}`, error.message);
+                this.notificationManager.error('读取文件失败', `${file.name}: ${error.message}`);
+            }
+        }
+
+        if (!this.resolve) return;
+        this.nextStep();
+    }
+
+    /**
+     * 读取文件内容
+     * @param {File} file - 文件
+     * @returns {Promise<string>} 文件文本
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('文件读取失败'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * 合并识别到的链接，同一分享只保留一条
+     * @param {Array<Object>} links - parseQuarkLinks 的结果，可带 customName
+     * @param {string} source - 来源文件名
+     */
+    addEntries(links, source) {
+        links.forEach(link => {
+            const existing = this.entries.get(link.pwdId);
+            if (existing) {
+                existing.passcode = existing.passcode || link.passcode;
+                existing.titleHint = existing.titleHint || link.titleHint;
+                existing.customName = existing.customName || link.customName || '';
+                return;
+            }
+
+            this.entries.set(link.pwdId, {
+                url: link.url,
+                pwdId: link.pwdId,
+                passcode: link.passcode || '',
+                titleHint: link.titleHint || '',
+                customName: link.customName || '',
+                source,
+                duplicate: null,
+                queued: false,
+                include: true
+            });
+        });
+    }
+
+    /**
+     * 进入下一步：还有 CSV 时显示列映射，否则检查重复并显示预览
+     */
+    async nextStep() {
+        this.currentCsv = this.csvFiles.shift() || null;
+        if (this.currentCsv) {
+            this.renderCsvMapping();
+            return;
+        }
+
+        if (this.entries.size === 0) {
+            this.step = '';
+            this.renderMessage('未在文件中识别到夸克网盘链接');
+            this.updateConfirmButton();
+            return;
+        }
+
+        await this.checkDuplicates();
+        if (!this.resolve) return;
+        this.renderPreview();
+    }
+
+    /**
+     * 推测 CSV 的列映射和是否有表头
+     * @param {Array<Array<string>>} rows - CSV 行
+     * @returns {{hasHeader: boolean, link: number, passcode: number, name: number}} 列索引，-1 表示不使用
+     */
+    guessCsvMapping(rows) {
+        const [firstRow] = rows;
+        const sampleRows = rows.slice(0, CSV_PREVIEW_ROWS + 1);
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const hasHeader = !firstRow.some(cell => parseQuarkLinks(cell).length > 0);
+
+        let link = 0;
+        for (let i = 0; i < columnCount; i++) {
+            if (sampleRows.some(row => parseQuarkLinks(row[i] || '').length > 0)) {
+                link = i;
+                break;
+            }
+        }
+
+        const findColumn = (pattern) => hasHeader ?
+            firstRow.findIndex((cell, index) => index !== link && pattern.test(cell)) : -1;
+
+        return {
+            hasHeader,
+            link,
+            passcode: findColumn(CSV_COLUMN_PATTERNS.passcode),
+            name: findColumn(CSV_COLUMN_PATTERNS.name)
+        };
+    }
+
+    /**
+     * 渲染 CSV 列映射步骤
+     */
+    renderCsvMapping() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        this.step = 'mapping';
+        const { name, rows } = this.currentCsv;
+        const mapping = this.guessCsvMapping(rows);
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const headerRow = rows[0];
+
+        const columnOptions = (selected, optional) => {
+            const options = optional ? [`<option value="-1" ${selected === -1 ? 'selected' : ''}>不使用</option>`] : [];
+            for (let i = 0; i < columnCount; i++) {
+                const label = mapping.hasHeader && headerRow[i] ? headerRow[i] : `第 ${i + 1} 列`;
+                options.push(`<option value="${i}" ${selected === i ? 'selected' : ''}>${escapeHtml(label)}</option>`);
+            }
+            return options.join('');
+        };
+
+        const previewRows = rows.slice(0, CSV_PREVIEW_ROWS + 1).map(row => `
+            <tr>${Array.from({ length: columnCount }, (_, i) => `<td class="link-importer-cell">${escapeHtml(row[i] || '')}</td>`).join('')}</tr>
+        `).join('');
+
+        modalBody.innerHTML = `
+            <p class="link-importer-hint">选择 <strong>${escapeHtml(name)}</strong> 中链接、提取码和自定义名称所在的列</p>
+            <div class="quark-gui-form-row">
+                <div class="quark-gui-form-group">
+                    <label for="csvLinkColumn">链接列</label>
+                    <select id="csvLinkColumn" class="quark-gui-select">${columnOptions(mapping.link, false)}</select>
+                </div>
+                <div class="quark-gui-form-group">
+                    <label for="csvPasscodeColumn">提取码列</label>
+                    <select id="csvPasscodeColumn" class="quark-gui-select">${columnOptions(mapping.passcode, true)}</select>
+                </div>
+                <div class="quark-gui-form-group">
+                    <label for="csvNameColumn">自定义名称列</label>
+                    <select id="csvNameColumn" class="quark-gui-select">${columnOptions(mapping.name, true)}</select>
+                </div>
+            </div>
+            <label class="quark-gui-checkbox-label">
+                <input type="checkbox" id="csvHasHeader" ${mapping.hasHeader ? 'checked' : ''}>
+                首行为表头
+            </label>
+            <div class="quark-gui-table-container link-importer-table">
+                <table class="quark-gui-table">
+                    <tbody>${previewRows}</tbody>
+                </table>
+            </div>
+            <div class="share-browser-summary">共 ${rows.length} 行，仅显示前 ${Math.min(rows.length, CSV_PREVIEW_ROWS + 1)} 行</div>
+        `;
+
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (modalConfirm) {
+            modalConfirm.textContent = '下一步';
+            modalConfirm.disabled = false;
+        }
+    }
+
+    /**
+     * 按选择的列映射读取 CSV 中的链接
+     */
+    applyCsvMapping() {
+        const readColumn = (id) => parseInt(document.getElementById(id)?.value ?? '-1');
+        const linkColumn = readColumn('csvLinkColumn');
+        const passcodeColumn = readColumn('csvPasscodeColumn');
+        const nameColumn = readColumn('csvNameColumn');
+        const hasHeader = document.getElementById('csvHasHeader')?.checked;
+
+        const { name, rows } = this.currentCsv;
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+        const links = [];
+
+        dataRows.forEach(row => {
+            const [link] = parseQuarkLinks(row[linkColumn] || '');
+            if (!link) return;
+
+            const customName = nameColumn >= 0 ? (row[nameColumn] || '') : '';
+            links.push({
+                ...link,
+                passcode: (passcodeColumn >= 0 ? row[passcodeColumn] : '') || link.passcode,
+                titleHint: customName || link.titleHint,
+                customName
+            });
+        });
+
+        if (links.length === 0) {
+            this.notificationManager.warning('未识别到链接', `${name} 的链接列中没有夸克网盘链接`);
+        }
+
+        this.addEntries(links, name);
+    }
+
+    /**
+     * 检查条目是否已转存过或已在队列中
+     * 已存在的条目默认不勾选
+     */
+    async checkDuplicates() {
+        this.step = '';
+        this.renderMessage('<div class="quark-gui-loading"></div> 正在检查重复链接...');
+
+        for (const entry of this.entries.values()) {
+            entry.queued = this.queuedLinks.has(entry.url);
+
+            try {
+                entry.duplicate = await this.dbService.checkDuplicate(entry.customName || entry.titleHint, entry.url);
+            } catch (error) {
+                this.logger.warn(`检查重复失败: ${entry.url}`, error.message);
+                entry.duplicate = null;
+            }
+
+            entry.include = !entry.queued && !entry.duplicate?.exists;
+        }
+    }
+
+    /**
+     * 获取条目的状态文字
+     * @param {Object} entry - 导入条目
+     * @returns {string} 状态 HTML
+     */
+    getEntryStatus(entry) {
+        if (entry.queued) {
+            return '<span class="link-importer-duplicate">已在队列中</span>';
+        }
+
+        if (entry.duplicate?.exists) {
+            const typeText = entry.duplicate.duplicateType === 'both' ? '名称和链接' :
+                            entry.duplicate.duplicateType === 'name' ? '名称' : '链接';
+            return `<span class="link-importer-duplicate">已转存（${typeText}重复）</span>`;
+        }
+
+        return '新链接';
+    }
+
+    /**
+     * 渲染导入预览表格
+     */
+    renderPreview() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        this.step = 'preview';
+        const entries = [...this.entries.values()];
+        const allSelected = entries.every(entry => entry.include);
+
+        const rows = entries.map(entry => `
+            <tr>
+                <td><input type="checkbox" class="link-importer-check" data-pwd-id="${escapeHtml(entry.pwdId)}" ${entry.include ? 'checked' : ''}></td>
+                <td class="link-importer-cell">
+                    ${escapeHtml(entry.customName || entry.titleHint || '-')}
+                    <div class="file-meta">${escapeHtml(entry.url)}</div>
+                </td>
+                <td>${escapeHtml(entry.passcode || '-')}</td>
+                <td class="link-importer-cell">${escapeHtml(entry.source)}</td>
+                <td>${this.getEntryStatus(entry)}</td>
+            </tr>
+        `).join('');
+
+        modalBody.innerHTML = `
+            <div class="quark-gui-table-container link-importer-table">
+                <table class="quark-gui-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" id="linkImporterSelectAll" ${allSelected ? 'checked' : ''}></th>
+                            <th>名称 / 链接</th>
+                            <th>提取码</th>
+                            <th>来源</th>
+                            <th>状态</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="share-browser-summary" id="linkImporterSummary"></div>
+        `;
+
+        modalBody.querySelectorAll('.link-importer-check').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const entry = this.entries.get(e.target.dataset.pwdId);
+                if (entry) entry.include = e.target.checked;
+                this.updateConfirmButton();
+            });
+        });
+
+        document.getElementById('linkImporterSelectAll')?.addEventListener('change', (e) => {
+            this.entries.forEach(entry => {
+                entry.include = e.target.checked;
+            });
+            modalBody.querySelectorAll('.link-importer-check').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+            });
+            this.updateConfirmButton();
+        });
+
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 获取勾选的条目
+     * @returns {Array<Object>} 勾选的导入条目
+     */
+    getSelection() {
+        return [...this.entries.values()].filter(entry => entry.include);
+    }
+
+    /**
+     * 更新确认按钮与统计
+     */
+    updateConfirmButton() {
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (this.step !== 'preview') {
+            if (modalConfirm && this.step !== 'mapping') modalConfirm.disabled = true;
+            return;
+        }
+
+        const selection = this.getSelection();
+        if (modalConfirm) {
+            modalConfirm.textContent = `加入队列 (${selection.length})`;
+            modalConfirm.disabled = selection.length === 0;
+        }
+
+        const summary = document.getElementById('linkImporterSummary');
+        if (summary) {
+            const entries = [...this.entries.values()];
+            const duplicateCount = entries.filter(entry => entry.queued || entry.duplicate?.exists).length;
+            summary.textContent = `共识别 ${entries.length} 个链接，其中 ${duplicateCount} 个已转存或已在队列中，已选 ${selection.length} 个`;
+        }
+    }
+
+    /**
+     * 确认当前步骤
+     */
+    confirm() {
+        if (this.step === 'mapping') {
+            this.applyCsvMapping();
+            this.nextStep();
+            return;
+        }
+
+        if (this.step !== 'preview') return;
+
+        const selection = this.getSelection();
+        if (selection.length === 0) {
+            this.notificationManager.warning('未选择链接', '请至少勾选一个链接');
+            return;
+        }
+
+        this.close(selection.map(({ url, passcode, titleHint, customName }) => ({ url, passcode, titleHint, customName })));
+    }
+
+    /**
+     * 关闭导入窗口
+     * @param {Array|null} result - 返回给调用方的结果
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.step = '';
+
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+
+    /**
+     * 渲染提示信息
+     * @param {string} html - 提示内容
+     */
+    renderMessage(html) {
+        const modalBody = document.getElementById('modalBody');
+        if (modalBody) {
+            modalBody.innerHTML = `<div class="share-browser-message">${html}</div>`;
+        }
+    }
+}
+
+export default LinkImporter;
@@ -4,6 +4,13 @@
  */
 
 import SearchService from '../services/SearchService.js';
+import { getPasscodeFromUrl } from '../utils/urlUtils.js';
+import { resolveShareOptions } from '../utils/shareUtils.js';
+import { getConflictPolicy } from '../utils/conflictUtils.js';
+import { promptPasscode } from '../utils/modalUtils.js';
+import { QuarkApiError } from '../services/QuarkApiError.js';
+import { QuarkFile } from '../models/QuarkFile.js';
+import { getItemType, escapeHtml } from '../utils/fileUtils.js';
 
 export default class SearchPanel {
     constructor(options = {}) {
@@ -12,6 +19,8 @@ export default class SearchPanel {
         this.dbService = options.dbService; // 数据库服务
         this.onQuarkServiceNeeded = options.onQuarkServiceNeeded; // 获取夸克服务的回调
         this.onFileTransferred = options.onFileTransferred; // 文件转存成功的回调
+        this.shareBrowser = options.shareBrowser; // 分享浏览器
+        this.folderPicker = options.folderPicker; // 保存目录选择器
 
         // 初始化搜索服务
         this.searchService = new SearchService(this.logger);
@@ -25,6 +34,8 @@ export default class SearchPanel {
         // 转存状态跟踪
         this.transferringItems = new Set(); // 正在转存的项目ID
         this.transferredItems = new Set(); // 已转存的项目ID
+        this.transferControllers = new Map(); // 正在转存项目的取消控制器
+        this.saveFolder = null; // 临时指定的保存目录，为空时使用默认目录
 
         this.init();
     }
@@ -34,6 +45,7 @@ export default class SearchPanel {
      */
     init() {
         this.bindEvents();
+        this.updateSaveFolderDisplay();
         this.logger.info('搜索面板初始化完成');
     }
 
@@ -74,6 +86,31 @@ export default class SearchPanel {
         if (nextBtn) {
             nextBtn.addEventListener('click', () => this.goToNextPage());
         }
+
+        // 分享提取码模式
+        const sharePasscodeMode = document.getElementById('searchSharePasscodeMode');
+        if (sharePasscodeMode) {
+            sharePasscodeMode.addEventListener('change', (e) => {
+                const fixedPasscodeInput = document.getElementById('searchShareFixedPasscode');
+                if (fixedPasscodeInput) {
+                    fixedPasscodeInput.style.display = e.target.value === 'fixed' ? 'block' : 'none';
+                }
+            });
+        }
+
+        // 保存目录
+        const saveFolderBtn = document.getElementById('searchSaveFolderBtn');
+        if (saveFolderBtn) {
+            saveFolderBtn.addEventListener('click', () => this.chooseSaveFolder());
+        }
+
+        const saveFolderResetBtn = document.getElementById('searchSaveFolderResetBtn');
+        if (saveFolderResetBtn) {
+            saveFolderResetBtn.addEventListener('click', () => {
+                this.saveFolder = null;
+                this.updateSaveFolderDisplay();
+            });
+        }
     }
 
     /**
@@ -197,6 +234,11 @@ export default class SearchPanel {
      * @returns {string} HTML字符串
      */
     generateResultItemHTML(item) {
+        // 搜索结果来自外部接口，写入属性前转义
+        const link = escapeHtml(item.link);
+        const name = escapeHtml(item.name);
+        const passcode = escapeHtml(item.passcode || '');
+
         return `
             <div class="quark-gui-search-result-item" data-item-id="${item.id}">
                 <div class="quark-gui-search-result-header">
@@ -216,20 +258,29 @@ export default class SearchPanel {
                 ${item.link ? `
                     <div class="quark-gui-search-result-link">
                         <strong>🔗 分享链接:</strong>
-                        <a href="${item.link}" target="_blank">${item.link}</a>
+                        <a href="${link}" target="_blank">${link}</a>
                     </div>
                 ` : ''}
                 
                 <div class="quark-gui-search-result-actions">
                     ${item.link && item.platform === 'QUARK' ? `
                         <button class="quark-gui-btn quark-gui-btn-primary quark-gui-btn-small transfer-btn"
-                                data-link="${item.link}" data-name="${item.name}">
+                                data-link="${link}" data-name="${name}" data-passcode="${passcode}">
                             <span class="quark-gui-icon">📤</span>
                             转存
                         </button>
+                        <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small cancel-transfer-btn" style="display: none;">
+                            <span class="quark-gui-icon">⏹️</span>
+                            取消
+                        </button>
+                        <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small browse-btn"
+                                data-link="${link}" data-name="${name}" data-passcode="${passcode}">
+                            <span class="quark-gui-icon">📂</span>
+                            浏览
+                        </button>
                     ` : ''}
                     <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small copy-link-btn"
-                            data-link="${item.link}">
+                            data-link="${link}">
                         <span class="quark-gui-icon">📋</span>
                         复制链接
                     </button>
@@ -262,8 +313,28 @@ export default class SearchPanel {
             btn.addEventListener('click', (e) => {
                 const link = e.currentTarget.dataset.link;
                 const name = e.currentTarget.dataset.name;
+                const passcode = e.currentTarget.dataset.passcode;
+                const itemId = e.currentTarget.closest('.quark-gui-search-result-item').dataset.itemId;
+                this.handleTransferRequest(link, name, itemId, passcode);
+            });
+        });
+
+        // 取消转存按钮
+        const cancelBtns = document.querySelectorAll('.cancel-transfer-btn');
+        cancelBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const itemId = e.currentTarget.closest('.quark-gui-search-result-item').dataset.itemId;
+                this.cancelTransfer(itemId);
+            });
+        });
+
+        // 浏览按钮
+        const browseBtns = document.querySelectorAll('.browse-btn');
+        browseBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const { link, name, passcode } = e.currentTarget.dataset;
                 const itemId = e.currentTarget.closest('.quark-gui-search-result-item').dataset.itemId;
-                this.handleTransferRequest(link, name, itemId);
+                this.handleBrowseRequest(link, name, itemId, passcode);
             });
         });
 
@@ -282,8 +353,10 @@ export default class SearchPanel {
      * @param {string} link - 分享链接
      * @param {string} name - 文件名
      * @param {string} itemId - 搜索结果项ID
+     * @param {string} passcode - 提取码（从链接或资源描述中识别）
+     * @param {Object} storeOptions - 转存选项，selection 为分享浏览器中勾选的条目
      */
-    async handleTransferRequest(link, name, itemId) {
+    async handleTransferRequest(link, name, itemId, passcode = '', storeOptions = {}) {
         if (!link || !link.trim()) {
             this.notificationManager.error('转存失败', '分享链接不能为空');
             return;
@@ -307,10 +380,13 @@ export default class SearchPanel {
             return;
         }
 
+        const controller = new AbortController();
+
         try {
             // 设置转存状态
             this.setTransferState(itemId, 'transferring');
             this.transferringItems.add(itemId);
+            this.transferControllers.set(itemId, controller);
 
             this.logger.info(`开始转存文件: ${cleanName}`, {
                 originalName: name,
@@ -320,7 +396,8 @@ export default class SearchPanel {
             });
 
             // 检查是否已经转存过相同文件（使用清理后的文件名）
-            if (this.dbService && typeof this.dbService.checkDuplicate === 'function') {
+            // 手动勾选的部分转存不做重复检测
+            if (!storeOptions.selection && this.dbService && typeof this.dbService.checkDuplicate === 'function') {
                 const duplicateCheck = await this.dbService.checkDuplicate(cleanName, link);
                 if (duplicateCheck.exists) {
                     this.setTransferState(itemId, 'success');
@@ -364,7 +441,37 @@ export default class SearchPanel {
             }
 
             // 执行转存操作（使用清理后的文件名）
-            const result = await this.performTransfer(quarkService, link, cleanName);
+            const saveFolder = this.saveFolder || this.folderPicker.getDefaultFolder();
+            const result = await this.performTransfer(quarkService, link, cleanName, passcode, {
+                ...storeOptions,
+                toPdirFid: saveFolder.fid,
+                share: resolveShareOptions(this.getShareOverrides()),
+                conflictPolicy: getConflictPolicy(),
+                checkQuota: true,
+                signal: controller.signal
+            });
+            result.saveFolderPath = saveFolder.path;
+
+            // 保存目录中已有同名文件，按冲突策略跳过
+            if (result.skipped) {
+                this.setTransferState(itemId, 'success');
+                this.transferredItems.add(itemId);
+                this.notificationManager.info('同名文件', `"${cleanName}" ${result.message}`);
+                this.logger.info(`按冲突策略跳过转存: ${cleanName}`, result.conflict);
+                return;
+            }
+
+            // 取消时记录已保存到网盘的部分文件，避免其无人知晓
+            if (result.cancelled) {
+                if (this.dbService && result.fileCount > 0) {
+                    await this.saveTransferRecord(result, link, cleanName);
+                }
+
+                this.setTransferState(itemId, 'cancelled');
+                this.notificationManager.warning('转存已取消', `"${cleanName}" ${result.message}`);
+                this.logger.info(`转存已取消: ${cleanName}`, result);
+                return;
+            }
 
             // 保存转存记录到数据库
             if (this.dbService && result.success) {
@@ -393,25 +500,116 @@ export default class SearchPanel {
             this.logger.error(`转存失败: ${cleanName}`, {
                 originalName: name,
                 cleanName,
-                error: error.message
+                error: error.message,
+                step: error.step,
+                category: error.category
             });
 
-            // 根据错误类型提供不同的用户提示
-            let userMessage = error.message;
-            if (error.message.includes('ECONNRESET') || error.message.includes('network')) {
-                userMessage = '网络连接不稳定，请检查网络后重试';
-            } else if (error.message.includes('HTTP 500')) {
-                userMessage = '服务器暂时不可用，请稍后重试';
-            } else if (error.message.includes('HTTP 401') || error.message.includes('HTTP 403')) {
-                userMessage = 'Cookie已过期或无效，请重新配置Cookie';
-            } else if (error.message.includes('timeout') || error.message.includes('超时')) {
-                userMessage = '请求超时，请检查网络连接后重试';
-            }
+            // 根据错误分类提供不同的用户提示
+            const userMessage = error instanceof QuarkApiError ? error.getUserMessage() : error.message;
 
             this.notificationManager.error('转存失败', userMessage);
             this.setTransferState(itemId, 'error');
         } finally {
             this.transferringItems.delete(itemId);
+            this.transferControllers.delete(itemId);
+        }
+    }
+
+    /**
+     * 取消正在转存的项目
+     * @param {string} itemId - 搜索结果项ID
+     */
+    cancelTransfer(itemId) {
+        const controller = this.transferControllers.get(itemId);
+        if (!controller || controller.signal.aborted) return;
+
+        controller.abort();
+        this.logger.info(`用户取消转存: ${itemId}`);
+
+        const cancelButton = document.querySelector(`[data-item-id="${itemId}"] .cancel-transfer-btn`);
+        if (cancelButton) {
+            cancelButton.disabled = true;
+            cancelButton.innerHTML = '<span class="quark-gui-icon">⏳</span> 取消中...';
+        }
+    }
+
+    /**
+     * 打开分享浏览器，勾选后只转存选中的条目
+     * @param {string} link - 分享链接
+     * @param {string} name - 文件名
+     * @param {string} itemId - 搜索结果项ID
+     * @param {string} passcode - 提取码
+     */
+    async handleBrowseRequest(link, name, itemId, passcode = '') {
+        if (this.transferringItems.has(itemId)) {
+            return;
+        }
+
+        try {
+            const cookie = await this.getCookieFromSettings();
+            if (!cookie) {
+                throw new Error('请先在设置面板中配置夸克网盘Cookie后再进行转存操作');
+            }
+
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+            const browseResult = await this.shareBrowser.open(quarkService, link, passcode);
+            if (!browseResult) return;
+
+            // 部分转存允许对已转存过的结果再次执行
+            this.transferredItems.delete(itemId);
+            await this.handleTransferRequest(link, name, itemId, browseResult.passcode, {
+                selection: browseResult.selection
+            });
+        } catch (error) {
+            this.logger.error('浏览分享失败:', error.message);
+            this.notificationManager.error('浏览分享失败', error.message);
+        }
+    }
+
+    /**
+     * 读取临时指定的分享选项，未指定的项使用设置中的默认值
+     * @returns {{expiredType: string, passcodeMode: string, fixedPasscode: string}} 分享选项覆盖项
+     */
+    getShareOverrides() {
+        return {
+            expiredType: document.getElementById('searchShareExpiry')?.value || '',
+            passcodeMode: document.getElementById('searchSharePasscodeMode')?.value || '',
+            fixedPasscode: document.getElementById('searchShareFixedPasscode')?.value.trim() || ''
+        };
+    }
+
+    /**
+     * 更新保存目录显示
+     */
+    updateSaveFolderDisplay() {
+        const saveFolderInput = document.getElementById('searchSaveFolder');
+        if (saveFolderInput) {
+            const folder = this.saveFolder || this.folderPicker.getDefaultFolder();
+            const folderName = this.folderPicker.formatFolder(folder);
+            saveFolderInput.value = this.saveFolder ? folderName : `${folderName}（默认）`;
+        }
+    }
+
+    /**
+     * 选择搜索结果转存的保存目录
+     */
+    async chooseSaveFolder() {
+        try {
+            const cookie = await this.getCookieFromSettings();
+            if (!cookie) {
+                throw new Error('请先在设置面板中配置夸克网盘Cookie');
+            }
+
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+            const folder = await this.folderPicker.open(quarkService, { title: '选择保存目录' });
+            if (!folder) return;
+
+            this.saveFolder = folder;
+            this.updateSaveFolderDisplay();
+        } catch (error) {
+            this.logger.error('选择保存目录失败:', error.message);
+            this.notificationManager.error('选择目录失败', error.message);
         }
     }
 
@@ -459,17 +657,60 @@ export default class SearchPanel {
      * @param {Object} quarkService - 夸克服务实例
      * @param {string} link - 分享链接
      * @param {string} name - 文件名
-     * @returns {Promise<Object>} 转存结果
+     * @param {string} passcode - 提取码
+     * @param {Object} storeOptions - 其他转存选项，signal 为取消信号
+     * @returns {Promise<Object>} 转存结果；取消时 cancelled 为 true，fileIds 为已保存但未分享的文件；
+     *   按冲突策略跳过时 skipped 为 true
      */
-    async performTransfer(quarkService, link, name) {
-        // 使用QuarkWebService的store方法执行转存
-        const result = await quarkService.store(link, (step, message, progress) => {
+    async performTransfer(quarkService, link, name, passcode = '', storeOptions = {}) {
+        const progressCallback = (step, message, progress) => {
             // 可以在这里更新UI进度，但为了简化暂时不实现
             this.logger.info(`转存进度: 步骤${step} - ${message} (${progress}%)`);
+        };
+
+        // 使用QuarkWebService的store方法执行转存，需要提取码时提示输入
+        let result = await quarkService.store(link, progressCallback, {
+            ...storeOptions,
+            passcode: passcode || getPasscodeFromUrl(link)
         });
 
+        while (!result.success && result.needPasscode) {
+            const input = await promptPasscode({ name, reason: result.message });
+            if (!input) break;
+
+            result = await quarkService.store(link, progressCallback, { ...storeOptions, passcode: input });
+        }
+
+        if (result.cancelled) {
+            return {
+                success: false,
+                cancelled: true,
+                message: result.message,
+                originalLink: link,
+                fileName: name,
+                newShareLink: '',
+                fileId: result.partial?.fileId || '',
+                fileIds: result.partial?.fileIds || [],
+                fileCount: result.partial?.fileCount || 0,
+                passcode: passcode || getPasscodeFromUrl(link),
+                saveFolderFid: result.partial?.saveFolderFid || '0',
+                timestamp: new Date().toISOString(),
+                rawResult: result
+            };
+        }
+
+        if (result.skipped) {
+            return {
+                success: false,
+                skipped: true,
+                message: result.message,
+                conflict: result.conflict,
+                rawResult: result
+            };
+        }
+
         if (!result.success) {
-            throw new Error(result.message || '转存失败');
+            throw result.error || new Error(result.message || '转存失败');
         }
 
         return {
@@ -478,6 +719,16 @@ export default class SearchPanel {
             fileName: name,
             newShareLink: result.data?.shareLink || '',
             fileId: result.data?.fileId || '',
+            fileIds: result.data?.fileIds || [],
+            fileCount: result.data?.fileCount || 1,
+            fileSize: result.data?.fileSize || 0,
+            fileType: result.data?.fileType || '',
+            passcode: result.data?.passcode || '',
+            saveFolderFid: result.data?.saveFolderFid || '0',
+            shareExpiredType: result.data?.shareExpiredType || 1,
+            sharePasscode: result.data?.sharePasscode || '',
+            expiryDate: result.data?.expiryDate || null,
+            conflict: result.data?.conflict || null,
             timestamp: new Date().toISOString(),
             rawResult: result
         };
@@ -496,25 +747,36 @@ export default class SearchPanel {
                 return;
             }
 
-            const record = {
+            const record = new QuarkFile({
                 fileName: fileName,
                 originalUrl: originalLink,
                 shareUrl: result.newShareLink || '', // 保持shareUrl字段用于显示
                 shareLink: result.newShareLink || '', // 同时保存shareLink字段用于重复检测
                 transferTime: result.timestamp,
                 source: 'search', // 标记来源为搜索
-                status: 'completed',
+                status: result.cancelled ? 'partial' : 'completed', // 取消转存时只保存了部分文件
                 fileId: result.fileId || '',
-                fileType: this.extractFileType(fileName) // 添加文件类型
-            };
+                fileIds: result.fileIds,
+                fileCount: result.fileCount,
+                fileSize: result.fileSize || 0,
+                passcode: result.passcode || '', // 保存提取码以便之后重试转存
+                saveFolderFid: result.saveFolderFid,
+                saveFolderPath: result.saveFolderPath,
+                shareExpiredType: result.shareExpiredType,
+                sharePasscode: result.sharePasscode,
+                expiryDate: result.expiryDate,
+                conflictPolicy: result.conflict?.policy || null, // 保存目录中同名文件的处理方式
+                conflicts: result.conflict?.conflicts || [],
+                fileType: result.fileType || getItemType({ file_name: fileName }).key // 与其他来源的记录使用同样的类型键
+            });
 
-            // 检查数据库服务是否有addFile方法
-            if (typeof this.dbService.addFile === 'function') {
+            // 检查数据库服务是否有saveFile方法
+            if (typeof this.dbService.saveFile === 'function') {
                 this.logger.info('准备保存转存记录到数据库', record);
-                const recordId = await this.dbService.addFile(record);
+                const recordId = await this.dbService.saveFile(record);
                 this.logger.info('转存记录已保存到数据库', { recordId, record });
             } else {
-                this.logger.warn('数据库服务缺少addFile方法，无法保存转存记录');
+                this.logger.warn('数据库服务缺少saveFile方法，无法保存转存记录');
             }
         } catch (error) {
             this.logger.error('保存转存记录失败:', error.message);
@@ -527,12 +789,19 @@ export default class SearchPanel {
     /**
      * 设置转存状态
      * @param {string} itemId - 项目ID
-     * @param {string} state - 状态：transferring, success, error
+     * @param {string} state - 状态：transferring, success, error, cancelled
      */
     setTransferState(itemId, state) {
         const button = document.querySelector(`[data-item-id="${itemId}"] .transfer-btn`);
         if (!button) return;
 
+        const cancelButton = document.querySelector(`[data-item-id="${itemId}"] .cancel-transfer-btn`);
+        if (cancelButton) {
+            cancelButton.style.display = state === 'transferring' ? '' : 'none';
+            cancelButton.disabled = false;
+            cancelButton.innerHTML = '<span class="quark-gui-icon">⏹️</span> 取消';
+        }
+
         // 重置所有状态类
         button.classList.remove('transferring', 'success', 'error');
 
@@ -552,6 +821,10 @@ export default class SearchPanel {
                 button.disabled = false;
                 button.innerHTML = '<span class="quark-gui-icon">📤</span> 转存';
                 break;
+            case 'cancelled':
+                button.disabled = false;
+                button.innerHTML = '<span class="quark-gui-icon">📤</span> 重新转存';
+                break;
             default:
                 button.disabled = false;
                 button.innerHTML = '<span class="quark-gui-icon">📤</span> 转存';
@@ -589,24 +862,6 @@ export default class SearchPanel {
         return cleanName;
     }
 
-    /**
-     * 从文件名提取文件类型
-     * @param {string} fileName - 文件名
-     * @returns {string} 文件类型
-     */
-    extractFileType(fileName) {
-        if (!fileName || typeof fileName !== 'string') {
-            return 'unknown';
-        }
-
-        const lastDotIndex = fileName.lastIndexOf('.');
-        if (lastDotIndex === -1 || lastDotIndex === fileName.length - 1) {
-            return 'unknown';
-        }
-
-        return fileName.substring(lastDotIndex + 1).toLowerCase();
-    }
-
     /**
      * 验证Cookie格式是否正确
      * @param {string} cookie - Cookie字符串
@@ -737,6 +992,9 @@ export default class SearchPanel {
      */
     onActivated() {
         this.logger.info('搜索面板已激活');
+
+        // 默认保存目录可能已在设置中修改
+        this.updateSaveFolderDisplay();
         
         // 聚焦搜索框
         const searchQuery = document.getElementById('searchQuery');
@@ -3,7 +3,9 @@
  * 处理应用设置和配置管理
  */
 
-import { formatTimestamp } from '../utils/timeUtils.js';
+import { ROOT_FOLDER } from './FolderPicker.js';
+import { isValidSharePasscode } from '../utils/shareUtils.js';
+import { DEFAULT_SETTINGS, CONFLICT_POLICIES } from '../config/constants.js';
 
 export class Settings {
     constructor(options) {
@@ -12,12 +14,25 @@ export class Settings {
         this.notificationManager = options.notificationManager;
         this.onCookieTest = options.onCookieTest;
         this.fileListComponent = options.fileListComponent;
+        this.folderPicker = options.folderPicker;
+        this.importPreview = options.importPreview; // 导入前预览每条记录的处理结果
+        this.exportDialog = options.exportDialog; // 选择导出格式和列
+        this.onQuarkServiceNeeded = options.onQuarkServiceNeeded;
+        this.onSettingsApplied = options.onSettingsApplied; // 设置加载或保存后的回调，用于同步到各服务
         
         this.settings = {
             defaultCookie: '',
             autoSaveEnabled: true,
             duplicateCheckEnabled: true,
-            requestTimeout: 30
+            requestTimeout: 30,
+            transferConcurrency: DEFAULT_SETTINGS.transferConcurrency,
+            requestsPerSecond: DEFAULT_SETTINGS.requestsPerSecond,
+            reportTextFormat: DEFAULT_SETTINGS.reportTextFormat,
+            conflictPolicy: DEFAULT_SETTINGS.conflictPolicy,
+            defaultSaveFolder: ROOT_FOLDER,
+            shareExpiredType: 1,
+            sharePasscodeMode: 'none',
+            shareFixedPasscode: ''
         };
         
         this.hasUnsavedChanges = false;
@@ -93,7 +108,33 @@ export class Settings {
         const importFile = document.getElementById('importFile');
         if (importFile) {
             importFile.addEventListener('change', (e) => {
-                this.handleFileImport(e.target.files[0]);
+                const file = e.target.files[0];
+                // 清空选择，预览取消后可以再次选择同一个文件
+                e.target.value = '';
+                this.handleFileImport(file);
+            });
+        }
+
+        // 分享提取码模式
+        const sharePasscodeMode = document.getElementById('sharePasscodeMode');
+        if (sharePasscodeMode) {
+            sharePasscodeMode.addEventListener('change', () => {
+                this.updateFixedPasscodeVisibility();
+            });
+        }
+
+        // 默认保存目录
+        const chooseSaveFolderBtn = document.getElementById('chooseSaveFolderBtn');
+        if (chooseSaveFolderBtn) {
+            chooseSaveFolderBtn.addEventListener('click', () => {
+                this.chooseSaveFolder();
+            });
+        }
+
+        const resetSaveFolderBtn = document.getElementById('resetSaveFolderBtn');
+        if (resetSaveFolderBtn) {
+            resetSaveFolderBtn.addEventListener('click', () => {
+                this.updateSaveFolder(ROOT_FOLDER);
             });
         }
 
@@ -109,13 +150,20 @@ export class Settings {
             'defaultCookie',
             'autoSaveEnabled',
             'duplicateCheckEnabled',
-            'requestTimeout'
+            'requestTimeout',
+            'transferConcurrency',
+            'requestsPerSecond',
+            'reportTextFormat',
+            'conflictPolicy',
+            'shareExpiredType',
+            'sharePasscodeMode',
+            'shareFixedPasscode'
         ];
 
         settingsInputs.forEach(inputId => {
             const element = document.getElementById(inputId);
             if (element) {
-                const eventType = element.type === 'checkbox' ? 'change' : 'input';
+                const eventType = element.type === 'checkbox' || element.tagName === 'SELECT' ? 'change' : 'input';
                 element.addEventListener(eventType, () => {
                     this.markAsChanged();
                 });
@@ -164,7 +212,7 @@ export class Settings {
             
         } catch (error) {
             this.logger.error('保存Cookie失败:', error.message);
-            this.notificationManager.error('保存失败', '无法保存Cookie');
+            this.notificationManager.error('保存失败', error.message || '无法保存Cookie');
         }
     }
 
@@ -240,17 +288,25 @@ export class Settings {
                 throw new Error('导入文件格式错误');
             }
 
-            const confirmed = await this.showConfirmDialog(
-                '确认导入',
-                `即将导入 ${importData.data.length} 个文件记录，是否继续？`
-            );
+            const existingRecords = await this.dbService.getAllFiles();
+            const plan = await this.importPreview.open(importData.data, existingRecords);
+            if (!plan) return;
 
-            if (!confirmed) return;
+            const result = await this.dbService.applyImportPlan(plan);
 
-            const importCount = await this.dbService.importData(importData);
-            
-            this.notificationManager.success('导入成功', `成功导入 ${importCount} 个文件记录`);
-            this.logger.info(`数据导入成功: ${importCount} 个记录`);
+            if (this.fileListComponent && typeof this.fileListComponent.loadFiles === 'function') {
+                await this.fileListComponent.loadFiles();
+            }
+
+            const message = `新增 ${result.added} 条，更新 ${result.updated} 条，跳过 ${result.skipped} 条`;
+            if (result.failed.length > 0) {
+                this.logger.error('部分记录导入失败:', result.failed);
+                const names = result.failed.slice(0, 3).map(item => item.fileName || `第 ${item.index + 1} 条`).join('、');
+                this.notificationManager.warning('部分记录导入失败', `${message}；${result.failed.length} 条写入失败：${names}${result.failed.length > 3 ? ' 等' : ''}`);
+            } else {
+                this.notificationManager.success('导入成功', message);
+            }
+            this.logger.info(`数据导入完成: ${message}`, { strategy: plan.strategy, matchBy: plan.matchBy });
 
         } catch (error) {
             this.logger.error('导入数据失败:', error.message);
@@ -273,26 +329,16 @@ export class Settings {
     }
 
     /**
-     * 导出数据
+     * 导出数据，默认导出可重新导入的 JSON
      */
     async exportData() {
         try {
-            const exportData = await this.dbService.exportData();
-            const dataStr = JSON.stringify(exportData, null, 2);
-            const blob = new Blob([dataStr], { type: 'application/json' });
-            
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `quark-gui-data-${formatTimestamp(Date.now(), 'YYYY-MM-DD-HH-mm-ss')}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.notificationManager.success('导出成功', '数据已导出到文件');
-            this.logger.info('数据导出成功');
-            
+            await this.exportDialog.open({
+                counts: { all: await this.dbService.getFileCount() },
+                scope: 'all',
+                format: 'json',
+                loadRecords: () => this.dbService.getAllFiles()
+            });
         } catch (error) {
             this.logger.error('导出数据失败:', error.message);
             this.notificationManager.error('导出失败', '无法导出数据');
@@ -415,6 +461,66 @@ export class Settings {
         });
     }
 
+    /**
+     * 选择默认保存目录
+     */
+    async chooseSaveFolder() {
+        try {
+            const cookieInput = document.getElementById('defaultCookie');
+            const cookie = cookieInput?.value.trim() || this.settings.defaultCookie;
+            if (!cookie) {
+                this.notificationManager.warning('缺少Cookie', '请先输入Cookie后再选择目录');
+                return;
+            }
+
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+            const folder = await this.folderPicker.open(quarkService, { title: '选择默认保存目录' });
+            if (folder) {
+                await this.updateSaveFolder(folder);
+            }
+        } catch (error) {
+            this.logger.error('选择默认保存目录失败:', error.message);
+            this.notificationManager.error('选择目录失败', error.message);
+        }
+    }
+
+    /**
+     * 更新并保存默认保存目录
+     * @param {{fid: string, path: string}} folder - 保存目录
+     */
+    async updateSaveFolder(folder) {
+        try {
+            this.settings.defaultSaveFolder = folder;
+            this.applySaveFolderToUI();
+            await this.saveAllSettings();
+
+            this.notificationManager.success('保存成功', `默认保存目录已设置为 ${this.folderPicker.formatFolder(folder)}`);
+        } catch (error) {
+            this.notificationManager.error('保存失败', error.message);
+        }
+    }
+
+    /**
+     * 显示默认保存目录
+     */
+    applySaveFolderToUI() {
+        const saveFolderInput = document.getElementById('defaultSaveFolder');
+        if (saveFolderInput) {
+            saveFolderInput.value = this.folderPicker.formatFolder(this.settings.defaultSaveFolder);
+        }
+    }
+
+    /**
+     * 仅在固定提取码模式下显示提取码输入框
+     */
+    updateFixedPasscodeVisibility() {
+        const sharePasscodeMode = document.getElementById('sharePasscodeMode');
+        const shareFixedPasscode = document.getElementById('shareFixedPasscode');
+        if (sharePasscodeMode && shareFixedPasscode) {
+            shareFixedPasscode.style.display = sharePasscodeMode.value === 'fixed' ? 'block' : 'none';
+        }
+    }
+
     /**
      * 加载设置
      */
@@ -429,6 +535,7 @@ export class Settings {
             this.applySettingsToUI();
             this.hasUnsavedChanges = false;
             this.updateSaveButtonState();
+            this.onSettingsApplied?.(this.settings);
             
             this.logger.info('设置加载完成');
             
@@ -467,6 +574,50 @@ export class Settings {
         if (requestTimeoutInput) {
             requestTimeoutInput.value = this.settings.requestTimeout;
         }
+
+        // 并行与限流设置
+        const transferConcurrencyInput = document.getElementById('transferConcurrency');
+        if (transferConcurrencyInput) {
+            transferConcurrencyInput.value = this.settings.transferConcurrency;
+        }
+
+        const requestsPerSecondInput = document.getElementById('requestsPerSecond');
+        if (requestsPerSecondInput) {
+            requestsPerSecondInput.value = this.settings.requestsPerSecond;
+        }
+
+        // 报告复制格式
+        const reportTextFormatInput = document.getElementById('reportTextFormat');
+        if (reportTextFormatInput) {
+            reportTextFormatInput.value = this.settings.reportTextFormat || DEFAULT_SETTINGS.reportTextFormat;
+        }
+
+        // 同名文件处理策略
+        const conflictPolicySelect = document.getElementById('conflictPolicy');
+        if (conflictPolicySelect) {
+            conflictPolicySelect.value = this.settings.conflictPolicy || DEFAULT_SETTINGS.conflictPolicy;
+        }
+
+        // 默认保存目录
+        this.applySaveFolderToUI();
+
+        // 分享设置
+        const shareExpiredTypeSelect = document.getElementById('shareExpiredType');
+        if (shareExpiredTypeSelect) {
+            shareExpiredTypeSelect.value = String(this.settings.shareExpiredType);
+        }
+
+        const sharePasscodeModeSelect = document.getElementById('sharePasscodeMode');
+        if (sharePasscodeModeSelect) {
+            sharePasscodeModeSelect.value = this.settings.sharePasscodeMode;
+        }
+
+        const shareFixedPasscodeInput = document.getElementById('shareFixedPasscode');
+        if (shareFixedPasscodeInput) {
+            shareFixedPasscodeInput.value = this.settings.shareFixedPasscode || '';
+        }
+
+        this.updateFixedPasscodeVisibility();
     }
 
     /**
@@ -482,6 +633,7 @@ export class Settings {
 
             this.hasUnsavedChanges = false;
             this.updateSaveButtonState();
+            this.onSettingsApplied?.(this.settings);
             
             this.logger.info('所有设置已保存');
             
@@ -514,6 +666,45 @@ export class Settings {
         if (requestTimeoutInput) {
             this.settings.requestTimeout = parseInt(requestTimeoutInput.value) || 30;
         }
+
+        const transferConcurrencyInput = document.getElementById('transferConcurrency');
+        if (transferConcurrencyInput) {
+            const concurrency = parseInt(transferConcurrencyInput.value) || DEFAULT_SETTINGS.transferConcurrency;
+            this.settings.transferConcurrency = Math.min(Math.max(concurrency, 1), 10);
+        }
+
+        const requestsPerSecondInput = document.getElementById('requestsPerSecond');
+        if (requestsPerSecondInput) {
+            const rate = parseFloat(requestsPerSecondInput.value) || DEFAULT_SETTINGS.requestsPerSecond;
+            this.settings.requestsPerSecond = Math.min(Math.max(rate, 0.5), 20);
+        }
+
+        const reportTextFormatInput = document.getElementById('reportTextFormat');
+        if (reportTextFormatInput) {
+            this.settings.reportTextFormat = reportTextFormatInput.value.trim() || DEFAULT_SETTINGS.reportTextFormat;
+        }
+
+        const conflictPolicySelect = document.getElementById('conflictPolicy');
+        if (conflictPolicySelect) {
+            this.settings.conflictPolicy = CONFLICT_POLICIES[conflictPolicySelect.value] ? conflictPolicySelect.value : DEFAULT_SETTINGS.conflictPolicy;
+        }
+
+        const shareExpiredTypeSelect = document.getElementById('shareExpiredType');
+        if (shareExpiredTypeSelect) {
+            this.settings.shareExpiredType = parseInt(shareExpiredTypeSelect.value) || 1;
+        }
+
+        const sharePasscodeModeSelect = document.getElementById('sharePasscodeMode');
+        const shareFixedPasscodeInput = document.getElementById('shareFixedPasscode');
+        if (sharePasscodeModeSelect && shareFixedPasscodeInput) {
+            const fixedPasscode = shareFixedPasscodeInput.value.trim();
+            if (sharePasscodeModeSelect.value === 'fixed' && !isValidSharePasscode(fixedPasscode)) {
+                throw new Error('固定提取码需为4位字母或数字');
+            }
+
+            this.settings.sharePasscodeMode = sharePasscodeModeSelect.value;
+            this.settings.shareFixedPasscode = fixedPasscode;
+        }
     }
 
     /**
@@ -557,7 +748,15 @@ export class Settings {
                 defaultCookie: '',
                 autoSaveEnabled: true,
                 duplicateCheckEnabled: true,
-                requestTimeout: 30
+                requestTimeout: 30,
+                transferConcurrency: DEFAULT_SETTINGS.transferConcurrency,
+                requestsPerSecond: DEFAULT_SETTINGS.requestsPerSecond,
+                reportTextFormat: DEFAULT_SETTINGS.reportTextFormat,
+                conflictPolicy: DEFAULT_SETTINGS.conflictPolicy,
+                defaultSaveFolder: ROOT_FOLDER,
+                shareExpiredType: 1,
+                sharePasscodeMode: 'none',
+                shareFixedPasscode: ''
             };
 
             this.applySettingsToUI();
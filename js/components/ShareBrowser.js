@@ -0,0 +1,338 @@
+/**
+ * 分享浏览器组件
+ * 浏览分享链接的目录结构，勾选需要转存的文件或文件夹
+ */
+
+import { getIdFromUrl, getPasscodeFromUrl } from '../utils/urlUtils.js';
+import { formatFileSize, isFolder, getItemType, escapeHtml } from '../utils/fileUtils.js';
+import { formatTimestamp } from '../utils/timeUtils.js';
+import { openModal } from '../utils/modalUtils.js';
+
+export class ShareBrowser {
+    constructor(options) {
+        this.logger = options.logger;
+        this.notificationManager = options.notificationManager;
+
+        this.modal = null; // 模态框句柄，见 openModal
+        this.reset();
+    }
+
+    /**
+     * 重置浏览状态
+     */
+    reset() {
+        this.quarkService = null;
+        this.pwdId = '';
+        this.stoken = '';
+        this.passcode = '';
+        this.breadcrumbs = [];
+        this.currentItems = [];
+        this.selected = new Map();
+        this.resolve = null;
+    }
+
+    /**
+     * 打开分享浏览器
+     * @param {Object} quarkService - 夸克服务实例
+     * @param {string} url - 分享链接
+     * @param {string} passcode - 提取码
+     * @returns {Promise<{selection: Array, passcode: string}|null>} 选中的条目，取消时为 null
+     */
+    open(quarkService, url, passcode = '') {
+        this.reset();
+        this.quarkService = quarkService;
+        this.pwdId = getIdFromUrl(url);
+        this.passcode = passcode || getPasscodeFromUrl(url);
+
+        if (!this.pwdId) {
+            return Promise.reject(new Error('无法从链接中提取文件ID'));
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.showModal();
+            this.connect();
+        });
+    }
+
+    /**
+     * 显示模态框并接管按钮
+     */
+    showModal() {
+        this.modal = openModal({
+            title: '浏览分享内容',
+            wide: true,
+            onConfirm: () => this.confirm(),
+            onDismiss: () => this.close(null)
+        });
+
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 获取分享令牌并加载根目录
+     */
+    async connect() {
+        this.renderMessage('<div class="quark-gui-loading"></div> 正在读取分享...');
+
+        try {
+            this.stoken = await this.quarkService.getStoken(this.pwdId, this.passcode);
+
+            this.breadcrumbs = [{ fid: '0', name: '全部文件' }];
+            await this.loadFolder('0');
+        } catch (error) {
+            if (error.needPasscode) {
+                this.renderPasscodeForm(error.message);
+                return;
+            }
+            this.logger.error('读取分享失败:', error.message);
+            this.renderMessage(`❌ ${escapeHtml(error.getUserMessage?.() ?? error.message)}`);
+        }
+    }
+
+    /**
+     * 加载分享内的目录
+     * @param {string} fid - 目录ID，根目录为 '0'
+     */
+    async loadFolder(fid) {
+        this.renderMessage('<div class="quark-gui-loading"></div> 加载中...');
+
+        try {
+            const { list } = await this.quarkService.listShareFiles(this.pwdId, this.stoken, fid);
+            const ancestors = this.breadcrumbs.map(crumb => crumb.fid);
+
+            this.currentItems = list.map(item => ({ ...item, share_pdir_fid: fid, ancestors }));
+            this.render();
+        } catch (error) {
+            this.logger.error('加载分享目录失败:', error.message);
+            this.renderMessage(`❌ 加载目录失败: ${escapeHtml(error.getUserMessage?.() ?? error.message)}`);
+        }
+    }
+
+    /**
+     * 进入子目录
+     * @param {string} fid - 目录ID
+     */
+    enterFolder(fid) {
+        const item = this.currentItems.find(entry => entry.fid === fid);
+        if (!item) return;
+
+        this.breadcrumbs.push({ fid: item.fid, name: item.file_name });
+        this.loadFolder(item.fid);
+    }
+
+    /**
+     * 返回面包屑中的某一级
+     * @param {number} index - 面包屑索引
+     */
+    goToCrumb(index) {
+        this.breadcrumbs = this.breadcrumbs.slice(0, index + 1);
+        this.loadFolder(this.breadcrumbs[index].fid);
+    }
+
+    /**
+     * 渲染当前目录
+     */
+    render() {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        const crumbs = this.breadcrumbs.map((crumb, index) =>
+            index === this.breadcrumbs.length - 1 ?
+                `<span>${escapeHtml(crumb.name)}</span>` :
+                `<a href="#" data-crumb="${index}">${escapeHtml(crumb.name)}</a>`
+        ).join(' / ');
+
+        const allSelected = this.currentItems.length > 0 &&
+            this.currentItems.every(item => this.selected.has(item.fid));
+
+        const rows = this.currentItems.map(item => {
+            const type = getItemType(item);
+            const folder = isFolder(item);
+            const name = escapeHtml(item.file_name);
+
+            return `
+                <tr>
+                    <td><input type="checkbox" class="share-browser-check" data-fid="${item.fid}" ${this.selected.has(item.fid) ? 'checked' : ''}></td>
+                    <td class="share-browser-name">
+                        ${type.icon}
+                        ${folder ? `<a href="#" data-folder="${item.fid}">${name}</a>` : name}
+                    </td>
+                    <td>${folder ? `${item.include_items ?? '-'} 项` : formatFileSize(item.size)}</td>
+                    <td>${item.updated_at ? formatTimestamp(item.updated_at, 'YYYY-MM-DD HH:mm') : '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        modalBody.innerHTML = `
+            <div class="share-browser-breadcrumbs">${crumbs}</div>
+            <div class="quark-gui-table-container share-browser-table">
+                <table class="quark-gui-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" id="shareBrowserSelectAll" ${allSelected ? 'checked' : ''}></th>
+                            <th>名称</th>
+                            <th>大小</th>
+                            <th>更新时间</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows || '<tr><td colspan="4" style="text-align: center;">空文件夹</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+            <div class="share-browser-summary" id="shareBrowserSummary"></div>
+        `;
+
+        modalBody.querySelectorAll('[data-crumb]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goToCrumb(parseInt(e.currentTarget.dataset.crumb));
+            });
+        });
+
+        modalBody.querySelectorAll('[data-folder]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.enterFolder(e.currentTarget.dataset.folder);
+            });
+        });
+
+        modalBody.querySelectorAll('.share-browser-check').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.toggleItem(e.target.dataset.fid, e.target.checked);
+            });
+        });
+
+        document.getElementById('shareBrowserSelectAll')?.addEventListener('change', (e) => {
+            this.currentItems.forEach(item => this.toggleItem(item.fid, e.target.checked));
+            modalBody.querySelectorAll('.share-browser-check').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+            });
+        });
+
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 切换条目的选中状态
+     * @param {string} fid - 条目ID
+     * @param {boolean} checked - 是否选中
+     */
+    toggleItem(fid, checked) {
+        const item = this.currentItems.find(entry => entry.fid === fid);
+        if (!item) return;
+
+        if (checked) {
+            this.selected.set(fid, item);
+        } else {
+            this.selected.delete(fid);
+        }
+
+        this.updateConfirmButton();
+    }
+
+    /**
+     * 获取最终选中的条目
+     * 已选中文件夹内的条目会被父文件夹覆盖，避免重复保存
+     * @returns {Array<Object>} 选中的条目
+     */
+    getSelection() {
+        const items = [...this.selected.values()];
+        return items.filter(item => !item.ancestors.some(fid => this.selected.has(fid)));
+    }
+
+    /**
+     * 更新确认按钮与选中统计
+     */
+    updateConfirmButton() {
+        const selection = this.getSelection();
+        const modalConfirm = document.getElementById('modalConfirm');
+        if (modalConfirm) {
+            modalConfirm.textContent = `转存选中 (${selection.length})`;
+            modalConfirm.disabled = selection.length === 0;
+        }
+
+        const summary = document.getElementById('shareBrowserSummary');
+        if (summary) {
+            const folderCount = selection.filter(item => isFolder(item)).length;
+            const totalSize = selection.reduce((sum, item) => sum + (isFolder(item) ? 0 : Number(item.size) || 0), 0);
+            summary.textContent = selection.length > 0 ?
+                `已选 ${selection.length} 项（文件夹 ${folderCount} 个，文件共 ${formatFileSize(totalSize)}）` :
+                '勾选需要转存的文件或文件夹，点击文件夹名称进入下一级';
+        }
+    }
+
+    /**
+     * 渲染提取码输入表单
+     * @param {string} message - 提示消息
+     */
+    renderPasscodeForm(message) {
+        const modalBody = document.getElementById('modalBody');
+        if (!modalBody) return;
+
+        modalBody.innerHTML = `
+            <p>${escapeHtml(message)}</p>
+            <div class="quark-gui-search-group">
+                <input type="text" id="shareBrowserPasscode" class="quark-gui-input" placeholder="请输入提取码" maxlength="8">
+                <button class="quark-gui-btn quark-gui-btn-primary" id="shareBrowserPasscodeBtn">确定</button>
+            </div>
+        `;
+
+        const input = document.getElementById('shareBrowserPasscode');
+        const submit = () => {
+            const value = input?.value.trim();
+            if (!value) return;
+            this.passcode = value;
+            this.connect();
+        };
+
+        document.getElementById('shareBrowserPasscodeBtn')?.addEventListener('click', submit);
+        input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+        input?.focus();
+    }
+
+    /**
+     * 渲染提示信息
+     * @param {string} html - 提示内容
+     */
+    renderMessage(html) {
+        const modalBody = document.getElementById('modalBody');
+        if (modalBody) {
+            modalBody.innerHTML = `<div class="share-browser-message">${html}</div>`;
+        }
+    }
+
+    /**
+     * 确认选择
+     */
+    confirm() {
+        const selection = this.getSelection();
+        if (selection.length === 0) {
+            this.notificationManager.warning('未选择文件', '请至少勾选一个文件或文件夹');
+            return;
+        }
+
+        this.close({ selection, passcode: this.passcode });
+    }
+
+    /**
+     * 关闭浏览器
+     * @param {Object|null} result - 返回给调用方的结果
+     */
+    close(result) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        this.modal?.close();
+        this.modal = null;
+
+        resolve(result);
+    }
+}
+
+export default ShareBrowser;
@@ -1,4 +1,27 @@
-import { isValidQuarkUrl } from '../utils/urlUtils.js';
+import { isValidQuarkUrl, getPasscodeFromUrl } from '../utils/urlUtils.js';
+import { parseQuarkLinks } from '../utils/linkParser.js';
+import { resolveShareOptions, getShareExpiry } from '../utils/shareUtils.js';
+import { escapeHtml } from '../utils/fileUtils.js';
+import { formatTimestamp } from '../utils/timeUtils.js';
+import { downloadFile } from '../utils/exportUtils.js';
+import { promptPasscode } from '../utils/modalUtils.js';
+import { getConflictPolicy, describeConflictResolution } from '../utils/conflictUtils.js';
+import {
+    REPORT_ITEM_STATUS,
+    createBatchReport,
+    reportToCsv,
+    reportToJson,
+    reportToMarkdown,
+    reportToText,
+    getReportTextFormat
+} from '../utils/batchReport.js';
+import { QUEUE_STATUS, QUEUE_STATUS_LABELS, QUEUE_PRIORITY, QUEUE_PRIORITY_LABELS, PAUSE_REASONS } from '../services/TransferQueue.js';
+import { TASK_MAX_TRIES } from '../services/QuarkWebService.js';
+import { ERROR_CATEGORIES } from '../services/QuarkApiError.js';
+import { QuarkFile } from '../models/QuarkFile.js';
+
+// 重试时延长的任务轮询次数
+const EXTENDED_TASK_MAX_TRIES = TASK_MAX_TRIES * 3;
 
 export class TransferPanel {
     constructor(options) {
@@ -6,6 +29,13 @@ export class TransferPanel {
         this.logger = options.logger;
         this.notificationManager = options.notificationManager;
         this.onQuarkServiceNeeded = options.onQuarkServiceNeeded;
+        this.shareBrowser = options.shareBrowser;
+        this.folderPicker = options.folderPicker;
+        this.transferQueue = options.transferQueue;
+        this.linkImporter = options.linkImporter;
+        this.reportHistory = options.reportHistory;
+        this.batchPreflight = options.batchPreflight;
+        this.onFileTransferred = options.onFileTransferred; // 文件转存成功的回调
 
         this.isTransferring = false;
         this.currentStep = 0;
@@ -13,6 +43,9 @@ export class TransferPanel {
         this.isBatchMode = false;
         this.detectedLinks = [];
         this.batchResults = [];
+        this.currentReport = null; // 结果区显示的批量转存报告
+        this.saveFolder = null; // 本面板临时指定的保存目录，为空时使用默认目录
+        this.abortController = null; // 当前转存的取消控制器
 
         this.init();
     }
@@ -20,6 +53,14 @@ export class TransferPanel {
     init() {
         this.bindEvents();
         this.loadSavedData();
+        this.updateSaveFolderDisplay();
+
+        this.transferQueue.setHandlers({
+            processJob: (job, context) => this.processQueueJob(job, context),
+            onChange: (jobs) => this.renderQueue(jobs),
+            onIdle: (pauseReason) => this.handleQueueIdle(pauseReason)
+        });
+        this.restoreQueue();
     }
 
     bindEvents() {
@@ -33,6 +74,49 @@ export class TransferPanel {
             clearBtn.addEventListener('click', () => this.clearForm());
         }
 
+        const cancelTransferBtn = document.getElementById('cancelTransferBtn');
+        if (cancelTransferBtn) {
+            cancelTransferBtn.addEventListener('click', () => this.cancelTransfer());
+        }
+
+        const browseShareBtn = document.getElementById('browseShareBtn');
+        if (browseShareBtn) {
+            browseShareBtn.addEventListener('click', () => this.handleBrowseShare());
+        }
+
+        const preflightBtn = document.getElementById('preflightBtn');
+        if (preflightBtn) {
+            preflightBtn.addEventListener('click', () => this.handlePreflight());
+        }
+
+        const reportHistoryBtn = document.getElementById('reportHistoryBtn');
+        if (reportHistoryBtn) {
+            reportHistoryBtn.addEventListener('click', () => this.openReportHistory());
+        }
+
+        const saveFolderBtn = document.getElementById('transferSaveFolderBtn');
+        if (saveFolderBtn) {
+            saveFolderBtn.addEventListener('click', () => this.chooseSaveFolder());
+        }
+
+        const saveFolderResetBtn = document.getElementById('transferSaveFolderResetBtn');
+        if (saveFolderResetBtn) {
+            saveFolderResetBtn.addEventListener('click', () => {
+                this.saveFolder = null;
+                this.updateSaveFolderDisplay();
+            });
+        }
+
+        const sharePasscodeMode = document.getElementById('transferSharePasscodeMode');
+        if (sharePasscodeMode) {
+            sharePasscodeMode.addEventListener('change', (e) => {
+                const fixedPasscodeInput = document.getElementById('transferShareFixedPasscode');
+                if (fixedPasscodeInput) {
+                    fixedPasscodeInput.style.display = e.target.value === 'fixed' ? 'block' : 'none';
+                }
+            });
+        }
+
         const shareUrlInput = document.getElementById('shareUrl');
         if (shareUrlInput) {
             shareUrlInput.addEventListener('input', (e) => this.validateUrl(e.target.value));
@@ -42,6 +126,7 @@ export class TransferPanel {
         }
 
         this.bindBatchEvents();
+        this.bindQueueEvents();
     }
 
     validateUrl(url) {
@@ -99,7 +184,65 @@ export class TransferPanel {
         }
     }
 
-    async handleSingleTransfer() {
+    /**
+     * 取消正在进行的转存
+     * 队列执行时取消当前任务并暂停队列，剩余任务保留在队列中
+     */
+    cancelTransfer() {
+        if (this.transferQueue.running) {
+            this.transferQueue.stop();
+        } else if (this.abortController && !this.abortController.signal.aborted) {
+            this.abortController.abort();
+        } else {
+            return;
+        }
+
+        this.logger.info('用户取消了转存');
+
+        const cancelTransferBtn = document.getElementById('cancelTransferBtn');
+        if (cancelTransferBtn) {
+            cancelTransferBtn.disabled = true;
+            cancelTransferBtn.textContent = '正在取消...';
+        }
+    }
+
+    /**
+     * 打开分享浏览器，只转存勾选的条目
+     */
+    async handleBrowseShare() {
+        if (this.isTransferring) return;
+
+        const shareUrl = document.getElementById('shareUrl')?.value.trim();
+        if (!shareUrl || !isValidQuarkUrl(shareUrl)) {
+            this.notificationManager.warning('链接无效', '请先在分享链接输入框中填写有效的夸克网盘链接');
+            return;
+        }
+
+        try {
+            const cookie = await this.getDefaultCookie();
+            if (!cookie) {
+                throw new Error('请先在设置中配置Cookie');
+            }
+
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+            const passcode = document.getElementById('sharePasscode')?.value.trim() || getPasscodeFromUrl(shareUrl);
+            const browseResult = await this.shareBrowser.open(quarkService, shareUrl, passcode);
+            if (!browseResult) return;
+
+            await this.handleSingleTransfer({
+                selection: browseResult.selection,
+                passcode: browseResult.passcode
+            });
+        } catch (error) {
+            this.notificationManager.error('浏览分享失败', error.message);
+        }
+    }
+
+    /**
+     * 单链接转存
+     * @param {Object} storeOptions - 转存选项，selection 为分享浏览器中勾选的条目
+     */
+    async handleSingleTransfer(storeOptions = {}) {
         const shareUrl = document.getElementById('shareUrl')?.value.trim();
 
         if (!shareUrl) {
@@ -114,6 +257,8 @@ export class TransferPanel {
 
         try {
             this.isTransferring = true;
+            this.abortController = new AbortController();
+            const { signal } = this.abortController;
             this.showProgress(true);
             this.updateTransferButton(true);
 
@@ -123,8 +268,14 @@ export class TransferPanel {
             }
 
             const quarkService = this.onQuarkServiceNeeded(cookie);
-
-            const fileName = await this.extractFileName(shareUrl, quarkService);
+            const saveFolder = this.getSaveFolder();
+            const share = resolveShareOptions(this.getShareOverrides());
+            const passcode = storeOptions.passcode ||
+                document.getElementById('sharePasscode')?.value.trim() ||
+                getPasscodeFromUrl(shareUrl);
+
+            // 手动勾选的部分转存不做重复检测
+            const fileName = storeOptions.selection ? null : await this.extractFileName(shareUrl, quarkService, passcode, signal);
             if (fileName) {
                 const duplicateCheck = await this.dbService.checkDuplicate(fileName, shareUrl);
                 if (duplicateCheck.exists) {
@@ -142,21 +293,25 @@ export class TransferPanel {
                 }
             }
 
-            const result = await quarkService.store(shareUrl, (step, message, progress) => {
+            const result = await this.storeWithPasscode(quarkService, shareUrl, passcode, (step, message, progress) => {
                 this.updateProgress(step, message, progress);
-            });
+            }, { ...storeOptions, toPdirFid: saveFolder.fid, share, conflictPolicy: getConflictPolicy(), checkQuota: true, signal });
 
             if (result.success) {
-                await this.dbService.insertFile(
-                    result.data.fileId,
-                    result.data.fileName,
-                    result.data.fileType,
-                    result.data.shareLink
-                );
+                await this.saveTransferRecord(result, shareUrl, 'manual', saveFolder);
 
                 this.showResult(true, result);
                 this.notificationManager.success('转存成功', `文件 "${result.data.fileName}" 已成功转存`);
                 this.clearForm();
+                this.onFileTransferred?.();
+            } else if (result.skipped) {
+                this.showResult(false, result);
+                this.notificationManager.info('同名文件', result.message);
+            } else if (result.cancelled) {
+                await this.savePartialRecord(result, shareUrl, 'manual', saveFolder);
+
+                this.showResult(false, result);
+                this.notificationManager.warning('转存已取消', result.message);
             } else {
                 this.showResult(false, result);
                 this.notificationManager.error('转存失败', result.message);
@@ -170,6 +325,9 @@ export class TransferPanel {
         }
     }
 
+    /**
+     * 批量转存：将识别到的链接加入持久化队列并开始执行
+     */
     async handleBatchTransfer() {
         if (this.detectedLinks.length === 0) {
             this.notificationManager.warning('输入错误', '未检测到有效的夸克网盘链接');
@@ -177,116 +335,502 @@ export class TransferPanel {
         }
 
         try {
-            this.isTransferring = true;
-            this.batchResults = [];
-            this.showProgress(true);
-            this.updateTransferButton(true);
+            const cookie = await this.getDefaultCookie();
+            if (!cookie) {
+                throw new Error('请先在设置中配置Cookie');
+            }
+
+            const shareOverrides = this.getShareOverrides();
+            resolveShareOptions(shareOverrides); // 提前校验固定提取码
+
+            await this.transferQueue.enqueue(this.detectedLinks, {
+                saveFolder: this.getSaveFolder(),
+                shareOverrides,
+                source: 'batch'
+            });
+            this.clearBatchInput();
+
+            await this.runQueue();
+        } catch (error) {
+            this.showResult(false, { message: error.message });
+            this.notificationManager.error('批量转存失败', error.message);
+            this.logger.error('批量转存过程出错:', error.message);
+        }
+    }
+
+    /**
+     * 批量预检：检查每个链接的有效性、内容和重复情况，只把勾选的链接加入队列
+     */
+    async handlePreflight() {
+        if (this.detectedLinks.length === 0) {
+            this.notificationManager.warning('输入错误', '未检测到有效的夸克网盘链接');
+            return;
+        }
 
+        try {
             const cookie = await this.getDefaultCookie();
             if (!cookie) {
                 throw new Error('请先在设置中配置Cookie');
             }
 
+            const shareOverrides = this.getShareOverrides();
+            resolveShareOptions(shareOverrides); // 提前校验固定提取码
+
             const quarkService = this.onQuarkServiceNeeded(cookie);
-            const totalLinks = this.detectedLinks.length;
-            let successCount = 0;
-            let failCount = 0;
-            let skipCount = 0;
-
-            for (let i = 0; i < totalLinks; i++) {
-                const link = this.detectedLinks[i];
-                const currentProgress = Math.round(((i + 1) / totalLinks) * 100);
-
-                this.updateProgress(
-                    1,
-                    `正在转存第 ${i + 1}/${totalLinks} 个文件...`,
-                    currentProgress
-                );
-
-                try {
-                    const fileName = await this.extractFileName(link, quarkService);
-                    if (fileName) {
-                        const duplicateCheck = await this.dbService.checkDuplicate(fileName, link);
-                        if (duplicateCheck.exists) {
-                            const duplicateTypeText = duplicateCheck.duplicateType === 'both' ? '文件名和链接都' :
-                                                    duplicateCheck.duplicateType === 'name' ? '文件名' : '链接';
-                            this.batchResults.push({
-                                link,
-                                success: false,
-                                message: `文件 "${fileName}" 已存在（${duplicateTypeText}重复），跳过转存`,
-                                skipped: true,
-                                duplicateType: duplicateTypeText,
-                                fileName: fileName
-                            });
-                            skipCount++;
-                            continue;
-                        }
-                    }
+            const links = await this.batchPreflight.open(quarkService, this.detectedLinks);
+            if (!links?.length) return;
 
-                    const result = await quarkService.store(link);
-
-                    if (result.success) {
-                        await this.dbService.insertFile(
-                            result.data.fileId,
-                            result.data.fileName,
-                            result.data.fileType,
-                            result.data.shareLink
-                        );
-
-                        this.batchResults.push({
-                            link,
-                            success: true,
-                            data: result.data
-                        });
-                        successCount++;
-                    } else {
-                        this.batchResults.push({
-                            link,
-                            success: false,
-                            message: result.message
-                        });
-                        failCount++;
-                    }
-                } catch (error) {
-                    this.batchResults.push({
-                        link,
-                        success: false,
-                        message: error.message
-                    });
-                    failCount++;
-                }
+            await this.transferQueue.enqueue(links, {
+                saveFolder: this.getSaveFolder(),
+                shareOverrides,
+                source: 'batch'
+            });
+            this.clearBatchInput();
 
-                if (i < totalLinks - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
+            await this.runQueue();
+        } catch (error) {
+            this.notificationManager.error('批量预检失败', error.message);
+            this.logger.error('批量预检失败:', error.message);
+        }
+    }
+
+    /**
+     * 从文件导入链接：预览、去重并勾选后加入转存队列
+     * @param {Array<File>} files - 选择或拖放的文件
+     */
+    async handleImportFiles(files) {
+        try {
+            const queuedLinks = this.transferQueue.getJobs()
+                .filter(job => job.status === QUEUE_STATUS.PENDING || job.status === QUEUE_STATUS.RUNNING)
+                .map(job => job.link);
+
+            const links = await this.linkImporter.open(files, { queuedLinks });
+            if (!links?.length) return;
+
+            const shareOverrides = this.getShareOverrides();
+            resolveShareOptions(shareOverrides); // 提前校验固定提取码
+
+            await this.transferQueue.enqueue(links, {
+                saveFolder: this.getSaveFolder(),
+                shareOverrides,
+                source: 'import'
+            });
+            this.notificationManager.success('导入成功', `已将 ${links.length} 个链接加入转存队列`);
+
+            const cookie = await this.getDefaultCookie();
+            if (!cookie) {
+                this.notificationManager.warning('队列未开始', '请先在设置中配置Cookie，配置后点击继续执行队列');
+                return;
+            }
+
+            await this.runQueue();
+        } catch (error) {
+            this.notificationManager.error('导入链接失败', error.message);
+            this.logger.error('导入链接失败:', error.message);
+        }
+    }
+
+    /**
+     * 执行转存队列，直到队列清空、暂停或断网
+     * @param {Object} options - 本轮执行选项 {concurrency}
+     */
+    async runQueue(options = {}) {
+        if (this.transferQueue.running) {
+            await this.transferQueue.start(options);
+            return;
+        }
+
+        if (this.isTransferring) {
+            this.notificationManager.warning('正在转存', '请等待当前转存完成后再继续队列');
+            return;
+        }
+
+        try {
+            this.isTransferring = true;
+            this.batchResults = [];
+            this.showProgress(true);
+            this.updateTransferButton(true);
+
+            await this.transferQueue.start(options);
+        } catch (error) {
+            this.notificationManager.error('转存队列出错', error.message);
+            this.logger.error('转存队列执行出错:', error.message);
+        } finally {
+            this.resetTransferState();
+        }
+    }
+
+    /**
+     * 从数据库恢复队列，有未完成的任务时自动继续
+     */
+    async restoreQueue() {
+        try {
+            const pendingCount = await this.transferQueue.restore();
+            if (pendingCount > 0) {
+                await this.resumeQueue(`上次未完成的 ${pendingCount} 个任务将继续转存`);
             }
+        } catch (error) {
+            this.logger.error('恢复转存队列失败:', error.message);
+        }
+    }
+
+    /**
+     * 自动继续队列（应用启动或网络恢复时）
+     * @param {string} message - 提示信息
+     */
+    async resumeQueue(message = '网络已恢复，继续执行转存队列') {
+        if (!this.transferQueue.canAutoResume() || this.isTransferring) return;
+
+        const cookie = await this.getDefaultCookie();
+        if (!cookie) {
+            this.logger.warn('未配置Cookie，转存队列暂不继续');
+            return;
+        }
 
-            // 显示批量转存结果
-            this.showBatchResult(successCount, failCount, skipCount, totalLinks);
+        this.notificationManager.info('继续转存队列', message);
+        await this.runQueue();
+    }
+
+    /**
+     * 执行单个队列任务
+     * @param {Object} job - 队列任务
+     * @param {Object} context - 执行上下文
+     * @param {AbortSignal} context.signal - 取消信号
+     * @param {Function} context.onStep - 步骤回调 (step, name)
+     * @returns {Promise<Object>} 执行结果 {status, message, error, result}
+     */
+    async processQueueJob(job, { signal, onStep }) {
+        const { link, passcode } = job;
+        // 并行执行时各任务的步骤会互相覆盖，进度区改为显示队列整体进度
+        const showSteps = this.transferQueue.runConcurrency === 1;
+
+        if (showSteps) {
+            const pendingCount = this.transferQueue.getPendingJobs().length;
+            this.updateProgress(1, `正在转存: ${link}（队列剩余 ${pendingCount} 个）`, 0);
+        }
+
+        const cookie = await this.getDefaultCookie();
+        if (!cookie) {
+            throw new Error('请先在设置中配置Cookie');
+        }
 
-            // 构建结果消息
-            let resultMessage = `成功转存 ${successCount} 个文件`;
-            if (failCount > 0) {
-                resultMessage += `，失败 ${failCount} 个`;
+        const quarkService = this.onQuarkServiceNeeded(cookie);
+        const saveFolder = job.saveFolder || this.folderPicker.getDefaultFolder();
+
+        const fileName = job.customName || await this.extractFileName(link, quarkService, passcode, signal);
+        if (fileName) {
+            const duplicateCheck = await this.dbService.checkDuplicate(fileName, link);
+            if (duplicateCheck.exists) {
+                const duplicateTypeText = duplicateCheck.duplicateType === 'both' ? '文件名和链接都' :
+                                        duplicateCheck.duplicateType === 'name' ? '文件名' : '链接';
+                const message = `文件 "${fileName}" 已存在（${duplicateTypeText}重复），跳过转存`;
+                this.batchResults.push({
+                    link,
+                    success: false,
+                    message,
+                    skipped: true,
+                    duplicateType: duplicateTypeText,
+                    fileName: fileName
+                });
+                return { status: QUEUE_STATUS.SKIPPED, message, result: { fileName } };
             }
-            if (skipCount > 0) {
-                resultMessage += `，跳过重复文件 ${skipCount} 个`;
+        }
+
+        // 随机提取码模式下每个链接单独生成；
+        // 队列任务可能并行执行或在无人操作时自动继续，不弹出提取码输入框，缺少提取码时以 PASSCODE_REQUIRED 失败，重试时再填写
+        const result = await quarkService.store(link, (step, message, progress) => {
+            if (showSteps) this.updateProgress(step, message, progress);
+            if (step > 0) onStep(step, message);
+        }, {
+            passcode,
+            toPdirFid: saveFolder.fid,
+            share: resolveShareOptions(job.shareOverrides),
+            title: job.customName,
+            taskMaxTries: job.taskMaxTries,
+            conflictPolicy: getConflictPolicy(),
+            checkQuota: true,
+            signal
+        });
+
+        if (result.success) {
+            await this.saveTransferRecord(result, link, job.source, saveFolder);
+
+            this.batchResults.push({
+                link,
+                success: true,
+                data: result.data
+            });
+            return {
+                status: QUEUE_STATUS.COMPLETED,
+                result: { fileName: result.data.fileName, shareLink: result.data.shareLink }
+            };
+        }
+
+        if (result.skipped) {
+            this.batchResults.push({
+                link,
+                success: false,
+                message: result.message,
+                skipped: true,
+                fileName: job.customName || job.titleHint
+            });
+            return { status: QUEUE_STATUS.SKIPPED, message: result.message, result: { fileName: job.customName || job.titleHint } };
+        }
+
+        if (result.cancelled) {
+            await this.savePartialRecord(result, link, job.source, saveFolder);
+
+            this.batchResults.push({
+                link,
+                success: false,
+                cancelled: true,
+                message: result.message,
+                passcode,
+                fileName: result.partial?.fileName || job.customName || job.titleHint,
+                jobId: job.id
+            });
+            return { status: QUEUE_STATUS.CANCELLED, message: result.message, error: result.error };
+        }
+
+        this.batchResults.push({
+            link,
+            success: false,
+            message: result.message,
+            passcode,
+            fileName: job.customName || job.titleHint,
+            jobId: job.id
+        });
+        return { status: QUEUE_STATUS.FAILED, message: result.message, error: result.error };
+    }
+
+    /**
+     * 一轮队列执行结束，汇总本轮结果
+     * @param {string|null} pauseReason - 暂停原因，队列清空时为 null
+     */
+    handleQueueIdle(pauseReason) {
+        if (pauseReason === PAUSE_REASONS.AUTH) {
+            this.notificationManager.error('转存队列已暂停', 'Cookie已过期或无效，请重新配置Cookie后继续队列');
+        } else if (pauseReason === PAUSE_REASONS.NETWORK) {
+            this.notificationManager.warning('转存队列已暂停', '网络已断开，恢复连接后将自动继续');
+        } else if (pauseReason === PAUSE_REASONS.QUOTA) {
+            this.notificationManager.error('转存队列已暂停', '网盘空间不足，清理空间后可继续队列并重试失败的任务');
+        }
+
+        if (this.batchResults.some(result => result.success)) {
+            this.onFileTransferred?.();
+        }
+
+        if (this.batchResults.length === 0) return;
+
+        // 生成并保存本轮的批量转存报告
+        const report = createBatchReport(this.batchResults);
+        this.showBatchResult(report);
+        this.saveBatchReport(report);
+
+        const {
+            success: successCount,
+            failed: failCount,
+            skipped: skipCount,
+            cancelled: cancelCount
+        } = report.summary;
+
+        // 构建结果消息
+        let resultMessage = `成功转存 ${successCount} 个文件`;
+        if (failCount > 0) {
+            resultMessage += `，失败 ${failCount} 个`;
+        }
+        if (skipCount > 0) {
+            resultMessage += `，跳过重复文件 ${skipCount} 个`;
+        }
+
+        if (pauseReason === PAUSE_REASONS.USER) {
+            const pendingCount = this.transferQueue.getPendingJobs().length;
+            this.notificationManager.warning('转存队列已暂停', `${resultMessage}${cancelCount > 0 ? `，取消 ${cancelCount} 个` : ''}，剩余 ${pendingCount} 个任务`);
+        } else if (successCount > 0) {
+            this.notificationManager.success('批量转存完成', resultMessage);
+        } else if (skipCount > 0 && failCount === 0) {
+            this.notificationManager.info('批量转存完成', `所有文件都是重复文件，已跳过 ${skipCount} 个`);
+        } else if (failCount > 0) {
+            this.notificationManager.error('批量转存失败', '所有文件转存都失败了');
+        }
+    }
+
+    /**
+     * 渲染转存队列
+     * @param {Array<Object>} jobs - 按执行顺序排列的任务
+     */
+    renderQueue(jobs) {
+        const queueSection = document.getElementById('queueSection');
+        const queueTableBody = document.getElementById('queueTableBody');
+        if (!queueSection || !queueTableBody) return;
+
+        queueSection.style.display = jobs.length > 0 ? 'block' : 'none';
+
+        const summary = this.transferQueue.getSummary();
+        const queueSummary = document.getElementById('queueSummary');
+        if (queueSummary) {
+            queueSummary.textContent = `等待 ${summary.pending} · 完成 ${summary.completed} · 失败 ${summary.failed} · 跳过 ${summary.skipped}`;
+        }
+
+        const queuePauseBtn = document.getElementById('queuePauseBtn');
+        if (queuePauseBtn) {
+            const isRunning = this.transferQueue.running && !this.transferQueue.paused;
+            queuePauseBtn.dataset.action = isRunning ? 'pause' : 'resume';
+            queuePauseBtn.innerHTML = isRunning ?
+                '<span class="quark-gui-icon">⏸️</span> 暂停' :
+                '<span class="quark-gui-icon">▶️</span> 继续';
+            queuePauseBtn.disabled = !isRunning && summary.pending === 0;
+        }
+
+        const queueRetryBtn = document.getElementById('queueRetryBtn');
+        if (queueRetryBtn) {
+            queueRetryBtn.disabled = summary.failed === 0;
+        }
+
+        if (this.isTransferring && this.transferQueue.running && this.transferQueue.runConcurrency > 1) {
+            this.updateQueueProgress(summary);
+        }
+
+        queueTableBody.innerHTML = jobs.map(job => {
+            const isPending = job.status === QUEUE_STATUS.PENDING;
+            const canRetry = job.status === QUEUE_STATUS.FAILED || job.status === QUEUE_STATUS.CANCELLED;
+            const isRunning = job.status === QUEUE_STATUS.RUNNING;
+
+            let detail = '';
+            if (isRunning && job.step) {
+                detail = `第${job.step.step}步: ${escapeHtml(job.step.name)}`;
+            } else if (job.lastError && !isPending) {
+                detail = escapeHtml(job.lastError.message);
+            } else if (job.result?.fileName || job.titleHint) {
+                detail = escapeHtml(job.result?.fileName || job.titleHint);
             }
 
-            if (successCount > 0) {
-                this.notificationManager.success('批量转存完成', resultMessage);
-            } else if (skipCount > 0 && failCount === 0) {
-                this.notificationManager.info('批量转存完成', `所有文件都是重复文件，已跳过 ${skipCount} 个`);
+            const priorityOptions = Object.entries(QUEUE_PRIORITY_LABELS).map(([value, label]) =>
+                `<option value="${value}" ${Number(value) === job.priority ? 'selected' : ''}>${label}</option>`
+            ).join('');
+
+            return `
+                <tr class="queue-job-${job.status}">
+                    <td class="queue-job-link">
+                        <div>${escapeHtml(job.link)}</div>
+                        ${detail ? `<div class="file-meta">${detail}</div>` : ''}
+                    </td>
+                    <td>
+                        <select class="quark-gui-select quark-gui-select-small" data-priority-job="${job.id}" ${isPending ? '' : 'disabled'}>
+                            ${priorityOptions}
+                        </select>
+                    </td>
+                    <td>${QUEUE_STATUS_LABELS[job.status] || job.status}</td>
+                    <td>${job.attempts || 0}</td>
+                    <td>
+                        <div class="quark-gui-table-actions">
+                            ${isPending ? `
+                                <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="up" data-job-id="${job.id}" title="上移">⬆️</button>
+                                <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="down" data-job-id="${job.id}" title="下移">⬇️</button>
+                            ` : ''}
+                            ${canRetry ? `
+                                <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="retry" data-job-id="${job.id}">重试</button>
+                            ` : ''}
+                            ${isRunning ? '' : `
+                                <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-action="remove" data-job-id="${job.id}">移除</button>
+                            `}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 并行执行时显示队列整体进度
+     * @param {Object} summary - 各状态的任务数
+     */
+    updateQueueProgress(summary) {
+        const processed = this.batchResults.length;
+        const total = processed + summary.running + summary.pending;
+        const progress = total > 0 ? Math.round((processed / total) * 100) : 0;
+
+        this.updateProgress(0, `并行转存中：进行中 ${summary.running} 个，已处理 ${processed}/${total}`, progress);
+    }
+
+    /**
+     * 绑定转存队列事件
+     */
+    bindQueueEvents() {
+        document.getElementById('queuePauseBtn')?.addEventListener('click', (e) => {
+            if (e.currentTarget.dataset.action === 'pause') {
+                this.transferQueue.pause();
             } else {
-                this.notificationManager.error('批量转存失败', '所有文件转存都失败了');
+                this.runQueue();
+            }
+        });
+
+        document.getElementById('queueRetryBtn')?.addEventListener('click', async () => {
+            const count = await this.transferQueue.retryFailed();
+            if (count > 0) {
+                this.notificationManager.info('重试失败任务', `${count} 个任务已重新排队`);
+                this.runQueue();
+            }
+        });
+
+        document.getElementById('queueClearBtn')?.addEventListener('click', async () => {
+            const count = await this.transferQueue.clearFinished();
+            this.notificationManager.info('清除完成', `已清除 ${count} 个已完成的任务`);
+        });
+
+        const queueTableBody = document.getElementById('queueTableBody');
+        if (!queueTableBody) return;
+
+        queueTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleQueueAction(button.dataset.action, Number(button.dataset.jobId));
             }
+        });
 
+        queueTableBody.addEventListener('change', (e) => {
+            const jobId = e.target.dataset.priorityJob;
+            if (jobId) {
+                this.transferQueue.setPriority(Number(jobId), Number(e.target.value))
+                    .catch(error => this.notificationManager.error('设置优先级失败', error.message));
+            }
+        });
+    }
+
+    /**
+     * 处理队列任务的操作按钮
+     * @param {string} action - 操作 (up, down, retry, remove)
+     * @param {number} jobId - 任务ID
+     */
+    async handleQueueAction(action, jobId) {
+        try {
+            switch (action) {
+                case 'up':
+                    await this.transferQueue.moveJob(jobId, -1);
+                    break;
+                case 'down':
+                    await this.transferQueue.moveJob(jobId, 1);
+                    break;
+                case 'retry': {
+                    // 因缺少提取码失败的任务，重试前先填写提取码
+                    const job = this.transferQueue.getJobs().find(item => item.id === jobId);
+                    if (job?.lastError?.category === ERROR_CATEGORIES.PASSCODE_REQUIRED) {
+                        const passcode = await promptPasscode({ url: job.link, reason: job.lastError.message });
+                        if (!passcode) return;
+                        await this.transferQueue.retryJob(jobId, { passcode });
+                    } else {
+                        await this.transferQueue.retryJob(jobId);
+                    }
+                    this.runQueue();
+                    break;
+                }
+                case 'remove':
+                    await this.transferQueue.removeJob(jobId);
+                    break;
+            }
         } catch (error) {
-            this.showResult(false, { message: error.message });
-            this.notificationManager.error('批量转存失败', error.message);
-            this.logger.error('批量转存过程出错:', error.message);
-        } finally {
-            this.resetTransferState();
+            this.logger.error('队列操作失败:', error.message);
+            this.notificationManager.error('队列操作失败', error.message);
         }
     }
 
@@ -294,17 +838,101 @@ export class TransferPanel {
      * 提取文件名（用于重复检查）
      * @param {string} url - 分享链接
      * @param {Object} quarkService - 夸克服务
+     * @param {string} passcode - 提取码
+     * @param {AbortSignal} signal - 取消信号
      * @returns {Promise<string>} 文件名
      */
-    async extractFileName(url, quarkService) {
+    async extractFileName(url, quarkService, passcode = '', signal) {
         try {
-            const fileInfo = await quarkService.getFileInfo(url);
+            const fileInfo = await quarkService.getFileInfo(url, { passcode, signal });
             return fileInfo?.fileName || null;
         } catch (error) {
             return null;
         }
     }
 
+    /**
+     * 执行转存，分享需要提取码时提示用户输入并重试
+     * @param {Object} quarkService - 夸克服务
+     * @param {string} url - 分享链接
+     * @param {string} passcode - 已知的提取码
+     * @param {Function} progressCallback - 进度回调
+     * @param {Object} storeOptions - 其他转存选项
+     * @returns {Promise<Object>} 转存结果
+     */
+    async storeWithPasscode(quarkService, url, passcode, progressCallback, storeOptions = {}) {
+        let result = await quarkService.store(url, progressCallback, { ...storeOptions, passcode });
+
+        while (!result.success && result.needPasscode) {
+            const input = await promptPasscode({ url, reason: result.message });
+            if (!input) break;
+
+            result = await quarkService.store(url, progressCallback, { ...storeOptions, passcode: input });
+        }
+
+        return result;
+    }
+
+    /**
+     * 保存转存记录到数据库
+     * @param {Object} result - 转存结果
+     * @param {string} originalUrl - 原始分享链接
+     * @param {string} source - 记录来源 (manual, batch, import)
+     * @returns {Promise<number>} 记录ID
+     */
+    async saveTransferRecord(result, originalUrl, source, saveFolder) {
+        return this.dbService.saveFile(new QuarkFile({
+            fileId: result.data.fileId,
+            fileIds: result.data.fileIds,
+            fileCount: result.data.fileCount,
+            fileName: result.data.fileName,
+            fileType: result.data.fileType,
+            fileSize: result.data.fileSize,
+            shareLink: result.data.shareLink,
+            originalUrl,
+            passcode: result.data.passcode || '',
+            transferTime: new Date().toISOString(),
+            source,
+            status: 'completed',
+            saveFolderFid: saveFolder?.fid,
+            saveFolderPath: saveFolder?.path,
+            shareExpiredType: result.data.shareExpiredType,
+            sharePasscode: result.data.sharePasscode,
+            expiryDate: result.data.expiryDate,
+            conflictPolicy: result.data.conflict?.policy || null,
+            conflicts: result.data.conflict?.conflicts || []
+        }));
+    }
+
+    /**
+     * 保存取消转存时已落到网盘中的文件
+     * 这些文件没有生成分享，记录为 partial 以便在文件列表中找到并处理
+     * @param {Object} result - 取消后的转存结果
+     * @param {string} originalUrl - 原始分享链接
+     * @param {string} source - 记录来源 (manual, batch, import)
+     * @param {{fid: string, path: string}} saveFolder - 保存目录
+     * @returns {Promise<number|null>} 记录ID，没有已保存的文件时为 null
+     */
+    async savePartialRecord(result, originalUrl, source, saveFolder) {
+        if (!result.partial?.fileCount) return null;
+
+        this.logger.warn(`取消转存后保留了 ${result.partial.fileCount} 个已保存的文件: ${result.partial.fileName}`);
+        return this.dbService.saveFile(new QuarkFile({
+            fileId: result.partial.fileId,
+            fileIds: result.partial.fileIds,
+            fileCount: result.partial.fileCount,
+            fileName: result.partial.fileName,
+            fileType: result.partial.fileCount > 1 ? 'multiple' : 'unknown',
+            shareLink: '',
+            originalUrl,
+            transferTime: new Date().toISOString(),
+            source,
+            status: 'partial',
+            saveFolderFid: saveFolder?.fid,
+            saveFolderPath: saveFolder?.path
+        }));
+    }
+
     /**
      * 确认重复文件处理
      * @param {string} fileName - 文件名
@@ -364,6 +992,58 @@ export class TransferPanel {
         });
     }
 
+    /**
+     * 读取面板中临时指定的分享选项，未指定的项使用设置中的默认值
+     * @returns {{expiredType: string, passcodeMode: string, fixedPasscode: string}} 分享选项覆盖项
+     */
+    getShareOverrides() {
+        return {
+            expiredType: document.getElementById('transferShareExpiry')?.value || '',
+            passcodeMode: document.getElementById('transferSharePasscodeMode')?.value || '',
+            fixedPasscode: document.getElementById('transferShareFixedPasscode')?.value.trim() || ''
+        };
+    }
+
+    /**
+     * 获取本次转存的保存目录
+     * @returns {{fid: string, path: string}} 保存目录
+     */
+    getSaveFolder() {
+        return this.saveFolder || this.folderPicker.getDefaultFolder();
+    }
+
+    /**
+     * 更新保存目录显示
+     */
+    updateSaveFolderDisplay() {
+        const saveFolderInput = document.getElementById('transferSaveFolder');
+        if (saveFolderInput) {
+            const folderName = this.folderPicker.formatFolder(this.getSaveFolder());
+            saveFolderInput.value = this.saveFolder ? folderName : `${folderName}（默认）`;
+        }
+    }
+
+    /**
+     * 选择本面板的保存目录
+     */
+    async chooseSaveFolder() {
+        try {
+            const cookie = await this.getDefaultCookie();
+            if (!cookie) {
+                throw new Error('请先在设置中配置Cookie');
+            }
+
+            const quarkService = this.onQuarkServiceNeeded(cookie);
+            const folder = await this.folderPicker.open(quarkService, { title: '选择保存目录' });
+            if (!folder) return;
+
+            this.saveFolder = folder;
+            this.updateSaveFolderDisplay();
+        } catch (error) {
+            this.notificationManager.error('选择目录失败', error.message);
+        }
+    }
+
     /**
      * 获取默认Cookie
      * @returns {Promise<string>} Cookie字符串
@@ -484,32 +1164,56 @@ export class TransferPanel {
                     <div class="quark-gui-result-info">
                         <div class="quark-gui-result-title">转存成功</div>
                         <div class="quark-gui-result-detail">
-                            <p><strong>文件名:</strong> ${result.data.fileName}</p>
-                            <p><strong>文件类型:</strong> ${result.data.fileType}</p>
-                            <p><strong>分享链接:</strong> <a href="${result.data.shareLink}" target="_blank">${result.data.shareLink}</a></p>
+                            <p><strong>文件名:</strong> ${escapeHtml(result.data.fileName)}</p>
+                            <p><strong>文件类型:</strong> ${escapeHtml(result.data.fileType)}</p>
+                            ${result.data.fileCount > 1 ? `<p><strong>文件数量:</strong> ${result.data.fileCount}</p>` : ''}
+                            <p><strong>分享链接:</strong> <a href="${escapeHtml(result.data.shareLink)}" target="_blank">${escapeHtml(result.data.shareLink)}</a></p>
+                            ${result.data.sharePasscode ? `<p><strong>提取码:</strong> ${escapeHtml(result.data.sharePasscode)}</p>` : ''}
+                            <p><strong>有效期:</strong> ${getShareExpiry(result.data.shareExpiredType).label}</p>
+                            ${result.data.conflict?.conflicts.length ? `<p><strong>同名处理:</strong> ${escapeHtml(describeConflictResolution(result.data.conflict))}</p>` : ''}
                         </div>
                     </div>
                     <div class="quark-gui-result-actions">
-                        <button class="quark-gui-btn quark-gui-btn-small" onclick="navigator.clipboard.writeText('${result.data.shareLink}')">
+                        <button class="quark-gui-btn quark-gui-btn-small" data-copy-link="${escapeHtml(result.data.shareLink)}">
                             复制链接
                         </button>
-                        <button class="quark-gui-btn quark-gui-btn-small" onclick="window.open('${result.data.shareLink}', '_blank')">
+                        <button class="quark-gui-btn quark-gui-btn-small" data-open-link="${escapeHtml(result.data.shareLink)}">
                             打开链接
                         </button>
                     </div>
                 </div>
             `;
+
+            resultContent.querySelector('[data-copy-link]')?.addEventListener('click', (e) => {
+                this.copyToClipboard(e.currentTarget.dataset.copyLink);
+            });
+            resultContent.querySelector('[data-open-link]')?.addEventListener('click', (e) => {
+                window.open(e.currentTarget.dataset.openLink, '_blank');
+            });
         } else {
             // 检查是否为跳过状态
-            if (result.skipped) {
+            if (result.cancelled) {
+                resultContent.innerHTML = `
+                    <div class="quark-gui-result-item skipped">
+                        <div class="quark-gui-result-icon">⏹️</div>
+                        <div class="quark-gui-result-info">
+                            <div class="quark-gui-result-title">转存已取消</div>
+                            <div class="quark-gui-result-detail">
+                                <p>${escapeHtml(result.message)}</p>
+                                ${result.partial?.fileCount ? `<p><strong>已保存:</strong> ${escapeHtml(result.partial.fileName)}（${result.partial.fileCount} 个文件，已记录到文件列表）</p>` : ''}
+                            </div>
+                        </div>
+                    </div>
+                `;
+            } else if (result.skipped) {
                 resultContent.innerHTML = `
                     <div class="quark-gui-result-item skipped">
                         <div class="quark-gui-result-icon">⏭️</div>
                         <div class="quark-gui-result-info">
-                            <div class="quark-gui-result-title">重复文件，已跳过</div>
+                            <div class="quark-gui-result-title">${result.conflict ? '同名文件，已跳过' : '重复文件，已跳过'}</div>
                             <div class="quark-gui-result-detail">
-                                <p>${result.message}</p>
-                                ${result.duplicateType ? `<p><strong>重复类型:</strong> ${result.duplicateType}重复</p>` : ''}
+                                <p>${escapeHtml(result.message)}</p>
+                                ${result.duplicateType ? `<p><strong>重复类型:</strong> ${escapeHtml(result.duplicateType)}重复</p>` : ''}
                             </div>
                         </div>
                     </div>
@@ -521,7 +1225,7 @@ export class TransferPanel {
                         <div class="quark-gui-result-info">
                             <div class="quark-gui-result-title">转存失败</div>
                             <div class="quark-gui-result-detail">
-                                <p>${result.message}</p>
+                                <p>${escapeHtml(result.message)}</p>
                             </div>
                         </div>
                     </div>
@@ -531,87 +1235,296 @@ export class TransferPanel {
     }
 
     /**
-     * 显示批量转存结果
-     * @param {number} successCount - 成功数量
-     * @param {number} failCount - 失败数量
-     * @param {number} skipCount - 跳过数量
-     * @param {number} totalCount - 总数量
+     * 显示批量转存报告
+     * @param {Object} report - 批量转存报告，见 createBatchReport
      */
-    showBatchResult(successCount, failCount, skipCount, totalCount) {
+    showBatchResult(report) {
         const resultSection = document.getElementById('resultSection');
         const resultContent = document.getElementById('resultContent');
 
         if (!resultSection || !resultContent) return;
 
         resultSection.style.display = 'block';
+        this.currentReport = report;
+
+        const itemsByStatus = (status) => report.items.filter(item => item.status === status);
+        const retryCheckbox = (item) => `
+            <div class="quark-gui-result-actions">
+                <label class="quark-gui-checkbox-label" title="勾选后可重试选中项">
+                    <input type="checkbox" data-retry-item="${report.items.indexOf(item)}">
+                    重试
+                </label>
+            </div>
+        `;
 
-        const successItems = this.batchResults
-            .filter(item => item.success)
+        const successItems = itemsByStatus(REPORT_ITEM_STATUS.SUCCESS)
             .map(item => `
                 <div class="quark-gui-batch-result-item success">
                     <div class="quark-gui-result-icon">✅</div>
                     <div class="quark-gui-result-info">
-                        <div class="quark-gui-result-title">${item.data.fileName}</div>
+                        <div class="quark-gui-result-title">${escapeHtml(item.fileName)}</div>
                         <div class="quark-gui-result-detail">
-                            <p><strong>原链接:</strong> ${item.link}</p>
-                            <p><strong>新链接:</strong> <a href="${item.data.shareLink}" target="_blank">${item.data.shareLink}</a></p>
+                            <p><strong>原链接:</strong> ${escapeHtml(item.sourceLink)}</p>
+                            ${item.fileCount > 1 ? `<p><strong>文件数量:</strong> ${item.fileCount}</p>` : ''}
+                            <p><strong>新链接:</strong> <a href="${escapeHtml(item.shareLink)}" target="_blank">${escapeHtml(item.shareLink)}</a></p>
+                            ${item.sharePasscode ? `<p><strong>提取码:</strong> ${escapeHtml(item.sharePasscode)}</p>` : ''}
                         </div>
                     </div>
                     <div class="quark-gui-result-actions">
-                        <button class="quark-gui-btn quark-gui-btn-small" onclick="navigator.clipboard.writeText('${item.data.shareLink}')">
+                        <button class="quark-gui-btn quark-gui-btn-small" data-copy-link="${escapeHtml(item.shareLink)}">
                             复制
                         </button>
                     </div>
                 </div>
             `).join('');
 
-        const skipItems = this.batchResults
-            .filter(item => !item.success && item.skipped)
+        const skipItems = itemsByStatus(REPORT_ITEM_STATUS.SKIPPED)
             .map(item => `
                 <div class="quark-gui-batch-result-item skipped">
                     <div class="quark-gui-result-icon">⏭️</div>
                     <div class="quark-gui-result-info">
-                        <div class="quark-gui-result-title">重复文件，已跳过</div>
+                        <div class="quark-gui-result-title">已跳过</div>
+                        <div class="quark-gui-result-detail">
+                            <p><strong>文件名:</strong> ${escapeHtml(item.fileName || '未知')}</p>
+                            <p><strong>链接:</strong> ${escapeHtml(item.sourceLink)}</p>
+                            <p><strong>原因:</strong> ${escapeHtml(item.skipReason)}</p>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+
+        const cancelItems = itemsByStatus(REPORT_ITEM_STATUS.CANCELLED)
+            .map(item => `
+                <div class="quark-gui-batch-result-item skipped">
+                    <div class="quark-gui-result-icon">⏹️</div>
+                    <div class="quark-gui-result-info">
+                        <div class="quark-gui-result-title">已取消</div>
                         <div class="quark-gui-result-detail">
-                            <p><strong>文件名:</strong> ${item.fileName || '未知'}</p>
-                            <p><strong>链接:</strong> ${item.link}</p>
-                            <p><strong>重复类型:</strong> ${item.duplicateType}重复</p>
+                            <p><strong>链接:</strong> ${escapeHtml(item.sourceLink)}</p>
+                            <p>${escapeHtml(item.error)}</p>
                         </div>
                     </div>
+                    ${retryCheckbox(item)}
                 </div>
             `).join('');
 
-        const failItems = this.batchResults
-            .filter(item => !item.success && !item.skipped)
+        const failItems = itemsByStatus(REPORT_ITEM_STATUS.FAILED)
             .map(item => `
                 <div class="quark-gui-batch-result-item error">
                     <div class="quark-gui-result-icon">❌</div>
                     <div class="quark-gui-result-info">
                         <div class="quark-gui-result-title">转存失败</div>
                         <div class="quark-gui-result-detail">
-                            <p><strong>链接:</strong> ${item.link}</p>
-                            <p><strong>错误:</strong> ${item.message}</p>
+                            <p><strong>链接:</strong> ${escapeHtml(item.sourceLink)}</p>
+                            <p><strong>错误:</strong> ${escapeHtml(item.error)}</p>
                         </div>
                     </div>
+                    ${retryCheckbox(item)}
                 </div>
             `).join('');
 
+        const { summary } = report;
+        const retryActions = summary.failed + summary.cancelled > 0 ? `
+            <div class="quark-gui-report-actions quark-gui-retry-actions">
+                <button class="quark-gui-btn quark-gui-btn-primary quark-gui-btn-small" data-retry-action="failed" ${summary.failed ? '' : 'disabled'}>重试失败 (${summary.failed})</button>
+                <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-retry-action="selected" disabled>重试选中</button>
+                <select class="quark-gui-select quark-gui-select-small" id="retryConcurrency" title="重试时的并行数">
+                    <option value="">默认并行数</option>
+                    <option value="1">逐个重试</option>
+                    <option value="2">并行 2 个</option>
+                </select>
+                <label class="quark-gui-checkbox-label" title="大文件转存较慢时，延长保存和分享任务的等待时间">
+                    <input type="checkbox" id="retryExtendTask">
+                    延长任务等待
+                </label>
+            </div>
+        ` : '';
+
         resultContent.innerHTML = `
             <div class="quark-gui-batch-summary">
-                <h3>批量转存结果</h3>
+                <h3>${escapeHtml(report.title || '批量转存结果')}</h3>
                 <div class="quark-gui-batch-stats">
-                    <span class="success">成功: ${successCount}</span>
-                    <span class="fail">失败: ${failCount}</span>
-                    <span class="skip">跳过: ${skipCount}</span>
-                    <span class="total">总计: ${totalCount}</span>
+                    <span class="success">成功: ${summary.success}</span>
+                    <span class="fail">失败: ${summary.failed}</span>
+                    <span class="skip">跳过: ${summary.skipped}</span>
+                    ${summary.cancelled ? `<span class="skip">取消: ${summary.cancelled}</span>` : ''}
+                    <span class="total">总计: ${summary.total}</span>
+                </div>
+                <div class="quark-gui-report-actions">
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-report-action="text" ${summary.success ? '' : 'disabled'}>复制文本</button>
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-report-action="csv">导出 CSV</button>
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-report-action="json">导出 JSON</button>
+                    <button class="quark-gui-btn quark-gui-btn-secondary quark-gui-btn-small" data-report-action="markdown">导出 Markdown</button>
                 </div>
+                ${retryActions}
             </div>
             <div class="quark-gui-batch-results">
                 ${successItems}
                 ${skipItems}
+                ${cancelItems}
                 ${failItems}
             </div>
         `;
+
+        resultContent.querySelectorAll('[data-report-action]').forEach(button => {
+            button.addEventListener('click', (e) => this.handleReportAction(e.currentTarget.dataset.reportAction));
+        });
+
+        resultContent.querySelectorAll('[data-copy-link]').forEach(button => {
+            button.addEventListener('click', (e) => this.copyToClipboard(e.currentTarget.dataset.copyLink));
+        });
+
+        const retrySelectedBtn = resultContent.querySelector('[data-retry-action="selected"]');
+        resultContent.querySelectorAll('[data-retry-item]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (retrySelectedBtn) {
+                    retrySelectedBtn.disabled = !resultContent.querySelector('[data-retry-item]:checked');
+                }
+            });
+        });
+
+        resultContent.querySelectorAll('[data-retry-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const items = e.currentTarget.dataset.retryAction === 'failed' ?
+                    itemsByStatus(REPORT_ITEM_STATUS.FAILED) :
+                    [...resultContent.querySelectorAll('[data-retry-item]:checked')]
+                        .map(checkbox => report.items[Number(checkbox.dataset.retryItem)]);
+
+                this.retryReportItems(items, {
+                    concurrency: document.getElementById('retryConcurrency')?.value,
+                    extendTaskPolling: document.getElementById('retryExtendTask')?.checked
+                });
+            });
+        });
+    }
+
+    /**
+     * 重新执行报告中失败或已取消的条目
+     * 队列中仍保留的任务直接重新排队，已清除的任务按原链接和提取码重新加入
+     * @param {Array<Object>} items - 报告条目
+     * @param {Object} options - 重试选项
+     * @param {string|number} options.concurrency - 本轮并行数，为空时使用设置中的并行数
+     * @param {boolean} options.extendTaskPolling - 是否延长保存和分享任务的轮询次数
+     */
+    async retryReportItems(items, options = {}) {
+        if (items.length === 0) return;
+
+        if (this.isTransferring) {
+            this.notificationManager.warning('正在转存', '请等待当前转存完成后再重试');
+            return;
+        }
+
+        try {
+            const cookie = await this.getDefaultCookie();
+            if (!cookie) {
+                throw new Error('请先在设置中配置Cookie');
+            }
+
+            const taskMaxTries = options.extendTaskPolling ? EXTENDED_TASK_MAX_TRIES : null;
+            const jobIds = new Set(this.transferQueue.getJobs().map(job => job.id));
+            const missing = [];
+
+            for (const item of items) {
+                if (jobIds.has(item.jobId)) {
+                    // 已在等待或已完成的任务不会重复排队
+                    await this.transferQueue.retryJob(item.jobId, { taskMaxTries });
+                } else {
+                    missing.push(item);
+                }
+            }
+
+            if (missing.length > 0) {
+                const shareOverrides = this.getShareOverrides();
+                resolveShareOptions(shareOverrides); // 提前校验固定提取码
+
+                await this.transferQueue.enqueue(missing.map(item => ({
+                    url: item.sourceLink,
+                    passcode: item.passcode,
+                    titleHint: item.fileName
+                })), {
+                    priority: QUEUE_PRIORITY.HIGH,
+                    saveFolder: this.getSaveFolder(),
+                    shareOverrides,
+                    taskMaxTries,
+                    source: 'batch'
+                });
+            }
+
+            this.notificationManager.info('重新转存', `${items.length} 个条目已重新排队`);
+            await this.runQueue({ concurrency: options.concurrency });
+        } catch (error) {
+            this.notificationManager.error('重试失败', error.message);
+            this.logger.error('重试批量转存条目失败:', error.message);
+        }
+    }
+
+    /**
+     * 导出或复制当前报告
+     * @param {string} action - text, csv, json 或 markdown
+     */
+    async handleReportAction(action) {
+        const report = this.currentReport;
+        if (!report) return;
+
+        const baseName = `quark-batch-report-${formatTimestamp(report.createTime, 'YYYY-MM-DD-HH-mm-ss')}`;
+
+        switch (action) {
+            case 'text':
+                await this.copyToClipboard(reportToText(report, getReportTextFormat()), '已复制转存成功的名称和链接');
+                break;
+            case 'csv':
+                downloadFile(reportToCsv(report), `${baseName}.csv`, 'text/csv');
+                break;
+            case 'json':
+                downloadFile(reportToJson(report), `${baseName}.json`, 'application/json');
+                break;
+            case 'markdown':
+                downloadFile(reportToMarkdown(report), `${baseName}.md`, 'text/markdown');
+                break;
+        }
+    }
+
+    /**
+     * 保存批量转存报告，失败时只记录日志
+     * @param {Object} report - 报告
+     */
+    async saveBatchReport(report) {
+        try {
+            report.id = await this.dbService.addBatchReport(report);
+        } catch (error) {
+            this.logger.error('保存转存报告失败:', error.message);
+        }
+    }
+
+    /**
+     * 打开历史报告
+     */
+    async openReportHistory() {
+        const report = await this.reportHistory.open();
+        if (report) {
+            this.showBatchResult(report);
+        }
+    }
+
+    /**
+     * 复制到剪贴板
+     * @param {string} text - 要复制的文本
+     * @param {string} message - 成功提示
+     */
+    async copyToClipboard(text, message = '链接已复制到剪贴板') {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // 降级方案
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            document.body.appendChild(textArea);
+            textArea.select();
+            document.execCommand('copy');
+            document.body.removeChild(textArea);
+        }
+
+        this.notificationManager.success('复制成功', message);
     }
 
     /**
@@ -626,6 +1539,13 @@ export class TransferPanel {
                 '<span class="quark-gui-loading"></span> 转存中...' : 
                 '<span class="quark-gui-icon">🚀</span> 开始转存';
         }
+
+        const cancelTransferBtn = document.getElementById('cancelTransferBtn');
+        if (cancelTransferBtn) {
+            cancelTransferBtn.style.display = isTransferring ? 'inline-flex' : 'none';
+            cancelTransferBtn.disabled = false;
+            cancelTransferBtn.textContent = '取消转存';
+        }
     }
 
     /**
@@ -633,6 +1553,7 @@ export class TransferPanel {
      */
     resetTransferState() {
         this.isTransferring = false;
+        this.abortController = null;
         this.updateTransferButton(false);
         this.showProgress(false);
     }
@@ -642,6 +1563,7 @@ export class TransferPanel {
      */
     clearForm() {
         const shareUrlInput = document.getElementById('shareUrl');
+        const sharePasscodeInput = document.getElementById('sharePasscode');
         const resultSection = document.getElementById('resultSection');
 
         if (shareUrlInput) {
@@ -649,6 +1571,10 @@ export class TransferPanel {
             this.removeUrlValidation();
         }
 
+        if (sharePasscodeInput) {
+            sharePasscodeInput.value = '';
+        }
+
         if (resultSection) {
             resultSection.style.display = 'none';
         }
@@ -656,6 +1582,7 @@ export class TransferPanel {
         // 清空批量转存相关数据
         this.clearBatchInput();
         this.batchResults = [];
+        this.currentReport = null;
         this.isBatchMode = false;
 
         this.showProgress(false);
@@ -693,6 +1620,39 @@ export class TransferPanel {
             });
         }
 
+        // 从文件导入链接
+        const importLinksBtn = document.getElementById('importLinksBtn');
+        const importLinksInput = document.getElementById('importLinksInput');
+        if (importLinksBtn && importLinksInput) {
+            importLinksBtn.addEventListener('click', () => importLinksInput.click());
+            importLinksInput.addEventListener('change', (e) => {
+                const files = [...e.target.files];
+                e.target.value = '';
+                if (files.length > 0) this.handleImportFiles(files);
+            });
+        }
+
+        // 拖放文件到批量输入区域
+        const dropZone = document.getElementById('batchDropZone');
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer?.types.includes('Files')) return;
+                e.preventDefault();
+                dropZone.classList.add('quark-gui-drop-active');
+            });
+            dropZone.addEventListener('dragleave', (e) => {
+                if (!dropZone.contains(e.relatedTarget)) {
+                    dropZone.classList.remove('quark-gui-drop-active');
+                }
+            });
+            dropZone.addEventListener('drop', (e) => {
+                if (!e.dataTransfer?.files.length) return;
+                e.preventDefault();
+                dropZone.classList.remove('quark-gui-drop-active');
+                this.handleImportFiles([...e.dataTransfer.files]);
+            });
+        }
+
         // 清空批量输入按钮
         const clearBatchBtn = document.getElementById('clearBatchBtn');
         if (clearBatchBtn) {
@@ -739,23 +1699,10 @@ export class TransferPanel {
     /**
      * 从文本中提取夸克网盘链接
      * @param {string} text - 输入文本
-     * @returns {Array} 提取到的链接数组
+     * @returns {Array<{url: string, pwdId: string, passcode: string, titleHint: string}>} 提取到的链接数组
      */
     extractQuarkLinks(text) {
-        if (!text || !text.trim()) {
-            return [];
-        }
-
-        // 夸克网盘链接正则表达式
-        const quarkLinkRegex = /https:\/\/pan\.quark\.cn\/s\/[a-zA-Z0-9]+/g;
-        const matches = text.match(quarkLinkRegex);
-
-        if (!matches) {
-            return [];
-        }
-
-        // 去重并返回
-        return [...new Set(matches)];
+        return parseQuarkLinks(text);
     }
 
     /**
@@ -782,7 +1729,13 @@ export class TransferPanel {
         if (this.detectedLinks.length > 0) {
             linkPreview.style.display = 'block';
             linkList.innerHTML = this.detectedLinks
-                .map(link => `<li>${link}</li>`)
+                .map(link => {
+                    const details = [
+                        link.titleHint ? `标题: ${escapeHtml(link.titleHint)}` : '',
+                        link.passcode ? `提取码: ${escapeHtml(link.passcode)}` : ''
+                    ].filter(Boolean).join('，');
+                    return `<li>${escapeHtml(link.url)}${details ? ` <small>（${details}）</small>` : ''}</li>`;
+                })
                 .join('');
         } else {
             linkPreview.style.display = 'none';
@@ -884,6 +1837,12 @@ export class TransferPanel {
         const transferBtn = document.getElementById('transferBtn');
         if (!transferBtn) return;
 
+        const preflightBtn = document.getElementById('preflightBtn');
+        if (preflightBtn) {
+            preflightBtn.style.display = this.isBatchMode ? '' : 'none';
+            preflightBtn.disabled = this.detectedLinks.length === 0;
+        }
+
         if (this.isBatchMode) {
             transferBtn.innerHTML = '<span class="quark-gui-icon">📦</span> 批量转存';
             transferBtn.disabled = this.detectedLinks.length === 0;
@@ -914,7 +1873,8 @@ export class TransferPanel {
      * 面板激活回调
      */
     onActivated() {
-        // 面板激活时的处理逻辑
+        // 默认保存目录可能已在设置中修改
+        this.updateSaveFolderDisplay();
         this.logger.info('转存面板已激活');
     }
 }
@@ -28,10 +28,50 @@ export const API_CONFIG = {
         sharePassword: '/1/clouddrive/share/password',
         fileSort: '/1/clouddrive/file/sort',
         fileSearch: '/1/clouddrive/file/search',
-        fileDelete: '/1/clouddrive/file/delete'
+        fileDelete: '/1/clouddrive/file/delete',
+        fileCreate: '/1/clouddrive/file',
+        fileRename: '/1/clouddrive/file/rename',
+        fileMove: '/1/clouddrive/file/move',
+        member: '/1/clouddrive/member'
     }
 };
 
+// 分享有效期配置（对应分享接口的 expired_type）
+export const SHARE_EXPIRY = {
+    permanent: { expiredType: 1, days: 0, label: '永久有效' },
+    oneDay: { expiredType: 2, days: 1, label: '1天' },
+    sevenDays: { expiredType: 3, days: 7, label: '7天' },
+    thirtyDays: { expiredType: 4, days: 30, label: '30天' }
+};
+
+// 分享提取码模式
+export const SHARE_PASSCODE_MODES = {
+    none: '无提取码',
+    random: '随机提取码',
+    fixed: '固定提取码'
+};
+
+// 转存到网盘时遇到同名文件的处理策略
+export const CONFLICT_POLICIES = {
+    skip: '跳过',
+    rename: '重命名保存',
+    overwrite: '覆盖旧文件'
+};
+
+// 导入数据时与已有记录重复的处理策略
+export const IMPORT_STRATEGIES = {
+    skip: '跳过，保留已有记录',
+    overwrite: '覆盖已有记录',
+    keepBoth: '保留两者',
+    mergeNewest: '保留较新的记录'
+};
+
+// 导入数据时判断重复的依据
+export const IMPORT_MATCH_KEYS = {
+    shareLink: '分享链接',
+    fileId: '网盘文件ID'
+};
+
 // 请求头配置
 export const REQUEST_HEADERS = {
     'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
@@ -172,8 +212,14 @@ export const ERROR_MESSAGES = {
     network: {
         timeout: '请求超时，请检查网络连接',
         offline: '网络连接已断开',
+        unreachable: '无法连接到夸克服务器，请检查网络或代理设置',
         serverError: '服务器错误，请稍后重试'
     },
+    api: {
+        authExpired: 'Cookie已过期或无效，请重新配置Cookie',
+        passcodeRequired: '该分享需要提取码',
+        rateLimited: '请求过于频繁，请稍后重试'
+    },
     validation: {
         invalidUrl: '请输入有效的夸克网盘分享链接',
         emptyCookie: 'Cookie不能为空',
@@ -189,7 +235,8 @@ export const ERROR_MESSAGES = {
         failed: '文件转存失败',
         duplicateFile: '文件已存在',
         invalidShare: '分享链接无效或已过期',
-        quotaExceeded: '存储空间不足'
+        quotaExceeded: '存储空间不足',
+        cancelled: '转存已取消'
     }
 };
 
@@ -216,6 +263,13 @@ export const DEFAULT_SETTINGS = {
     autoSaveEnabled: true,
     duplicateCheckEnabled: true,
     requestTimeout: 30,
+    transferConcurrency: 2,
+    requestsPerSecond: 4,
+    reportTextFormat: '{name} {link} {passcode}',
+    conflictPolicy: 'rename',
+    shareExpiredType: 1,
+    sharePasscodeMode: 'none',
+    shareFixedPasscode: '',
     theme: 'light',
     language: 'zh-CN',
     pageSize: 20,
@@ -287,6 +341,11 @@ export const SECURITY_CONFIG = {
 export default {
     APP_INFO,
     API_CONFIG,
+    SHARE_EXPIRY,
+    SHARE_PASSCODE_MODES,
+    CONFLICT_POLICIES,
+    IMPORT_STRATEGIES,
+    IMPORT_MATCH_KEYS,
     REQUEST_HEADERS,
     DB_CONFIG,
     STORAGE_KEYS,
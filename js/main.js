@@ -1,13 +1,24 @@
 import QuarkWebService from './services/QuarkWebService.js';
 import IndexedDBService from './services/IndexedDBService.js';
+import TransferQueue from './services/TransferQueue.js';
+import LinkHealthMonitor from './services/LinkHealthMonitor.js';
 import TransferPanel from './components/TransferPanel.js';
 import FileList from './components/FileList.js';
 import Settings from './components/Settings.js';
 import SearchPanel from './components/SearchPanel.js';
+import ShareBrowser from './components/ShareBrowser.js';
+import FolderPicker from './components/FolderPicker.js';
+import LinkImporter from './components/LinkImporter.js';
+import BatchReportHistory from './components/BatchReportHistory.js';
+import BatchPreflight from './components/BatchPreflight.js';
+import ImportPreview from './components/ImportPreview.js';
+import ExportDialog from './components/ExportDialog.js';
+import DrivePanel from './components/DrivePanel.js';
 import Logger from './utils/Logger.js';
 import NotificationManager from './utils/NotificationManager.js';
 import ProxyManager from './utils/ProxyManager.js';
 import ThemeManager from './utils/ThemeManager.js';
+import { formatFileSize } from './utils/fileUtils.js';
 
 class QuarkGUIApp {
     constructor() {
@@ -38,21 +49,90 @@ class QuarkGUIApp {
     async initServices() {
         this.services.db = new IndexedDBService();
         await this.services.db.init();
+        this.services.transferQueue = new TransferQueue({
+            dbService: this.services.db,
+            logger: this.logger
+        });
+        this.services.linkMonitor = new LinkHealthMonitor({
+            dbService: this.services.db,
+            logger: this.logger,
+            getQuarkService: () => {
+                const cookie = this.components.settings?.getSetting('defaultCookie');
+                return cookie ? this.createQuarkService(cookie) : null;
+            }
+        });
         this.services.quark = null;
     }
 
     initComponents() {
+        this.components.shareBrowser = new ShareBrowser({
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
+        this.components.folderPicker = new FolderPicker({
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
+        this.components.linkImporter = new LinkImporter({
+            dbService: this.services.db,
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
+        this.components.reportHistory = new BatchReportHistory({
+            dbService: this.services.db,
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
+        this.components.batchPreflight = new BatchPreflight({
+            dbService: this.services.db,
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
+        this.components.importPreview = new ImportPreview({
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
+        this.components.exportDialog = new ExportDialog({
+            dbService: this.services.db,
+            logger: this.logger,
+            notificationManager: this.notificationManager
+        });
+
         this.components.transfer = new TransferPanel({
             dbService: this.services.db,
             logger: this.logger,
             notificationManager: this.notificationManager,
-            onQuarkServiceNeeded: (cookie) => this.createQuarkService(cookie)
+            onQuarkServiceNeeded: (cookie) => this.createQuarkService(cookie),
+            shareBrowser: this.components.shareBrowser,
+            folderPicker: this.components.folderPicker,
+            transferQueue: this.services.transferQueue,
+            linkImporter: this.components.linkImporter,
+            reportHistory: this.components.reportHistory,
+            batchPreflight: this.components.batchPreflight,
+            onFileTransferred: () => this.handleFileTransferred()
         });
 
         this.components.fileList = new FileList({
             dbService: this.services.db,
             logger: this.logger,
-            notificationManager: this.notificationManager
+            notificationManager: this.notificationManager,
+            linkMonitor: this.services.linkMonitor,
+            exportDialog: this.components.exportDialog,
+            onQuarkServiceNeeded: (cookie) => this.createQuarkService(cookie)
+        });
+
+        this.components.drive = new DrivePanel({
+            dbService: this.services.db,
+            logger: this.logger,
+            notificationManager: this.notificationManager,
+            onQuarkServiceNeeded: (cookie) => this.createQuarkService(cookie),
+            folderPicker: this.components.folderPicker
         });
 
         this.components.settings = new Settings({
@@ -60,7 +140,15 @@ class QuarkGUIApp {
             logger: this.logger,
             notificationManager: this.notificationManager,
             onCookieTest: (cookie) => this.testCookie(cookie),
-            fileListComponent: this.components.fileList
+            fileListComponent: this.components.fileList,
+            folderPicker: this.components.folderPicker,
+            importPreview: this.components.importPreview,
+            exportDialog: this.components.exportDialog,
+            onQuarkServiceNeeded: (cookie) => this.createQuarkService(cookie),
+            onSettingsApplied: (settings) => {
+                this.applyTransferLimits(settings);
+                this.updateCapacity(settings.defaultCookie);
+            }
         });
 
         this.components.search = new SearchPanel({
@@ -68,7 +156,9 @@ class QuarkGUIApp {
             notificationManager: this.notificationManager,
             dbService: this.services.db,
             onQuarkServiceNeeded: (cookie) => this.createQuarkService(cookie),
-            onFileTransferred: () => this.handleFileTransferred()
+            onFileTransferred: () => this.handleFileTransferred(),
+            shareBrowser: this.components.shareBrowser,
+            folderPicker: this.components.folderPicker
         });
     }
 
@@ -78,11 +168,48 @@ class QuarkGUIApp {
                 await this.components.fileList.refresh();
             }
             await this.updateStatusBar();
+            await this.updateCapacity();
         } catch (error) {
             // 忽略刷新错误
         }
     }
 
+    /**
+     * 更新状态栏中的网盘容量
+     * @param {string} cookie - Cookie，未提供时从设置中读取
+     */
+    async updateCapacity(cookie = this.components.settings?.getSetting('defaultCookie')) {
+        const capacityElement = document.getElementById('driveCapacity');
+        if (!capacityElement) return;
+
+        if (!cookie) {
+            capacityElement.textContent = '未配置Cookie';
+            capacityElement.style.color = '';
+            return;
+        }
+
+        try {
+            const { total, used, free } = await this.createQuarkService(cookie).getCapacity();
+            capacityElement.textContent = `${formatFileSize(used)} / ${formatFileSize(total)}`;
+            capacityElement.title = `剩余 ${free > 0 ? formatFileSize(free) : '0 B'}`;
+            // 剩余不足 5% 时提示
+            capacityElement.style.color = total > 0 && free / total < 0.05 ? 'var(--quark-error-color)' : '';
+        } catch (error) {
+            capacityElement.textContent = '获取失败';
+            capacityElement.style.color = '';
+            this.logger.warn('获取网盘容量失败:', error.message);
+        }
+    }
+
+    /**
+     * 将并行数与限流设置同步到转存队列和共享限流器
+     * @param {Object} settings - 应用设置
+     */
+    applyTransferLimits(settings) {
+        this.services.transferQueue.setConcurrency(settings.transferConcurrency);
+        QuarkWebService.rateLimiter.configure({ rate: settings.requestsPerSecond });
+    }
+
     createQuarkService(cookie) {
         if (!cookie) {
             throw new Error('Cookie不能为空');
@@ -228,11 +355,13 @@ class QuarkGUIApp {
                 }
             }
             
-            // Ctrl+R 刷新文件列表
+            // Ctrl+R 刷新文件列表或网盘目录
             if (e.ctrlKey && e.key === 'r') {
                 e.preventDefault();
                 if (this.currentPanel === 'files') {
                     this.components.fileList.refresh();
+                } else if (this.currentPanel === 'drive') {
+                    this.components.drive.loadFiles();
                 }
             }
         });
@@ -245,6 +374,7 @@ class QuarkGUIApp {
         window.addEventListener('online', () => {
             this.updateNetworkStatus(true);
             this.notificationManager.success('网络已连接', '网络连接已恢复');
+            this.components.transfer?.resumeQueue();
         });
 
         window.addEventListener('offline', () => {
@@ -277,6 +407,7 @@ class QuarkGUIApp {
         this.updateNetworkStatus(navigator.onLine);
         this.handleResize();
         this.loadSettings();
+        this.services.linkMonitor.startBackground();
     }
 
     /**
@@ -322,6 +453,9 @@ class QuarkGUIApp {
             case 'search':
                 this.components.search.onActivated();
                 break;
+            case 'drive':
+                this.components.drive.onActivated();
+                break;
         }
     }
 
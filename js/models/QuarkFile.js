@@ -1,6 +1,6 @@
 /**
  * 夸克文件模型
- * 定义文件数据结构
+ * 定义文件数据结构，也是文件列表中转存记录的统一格式，所有写入数据库的记录都经由此模型
  */
 
 export class QuarkFile {
@@ -11,17 +11,40 @@ export class QuarkFile {
     constructor(data = {}) {
         this.id = data.id || null;
         this.fileId = data.fileId || '';
+        this.fileIds = data.fileIds || (data.fileId ? [data.fileId] : []);
+        this.fileCount = data.fileCount || (data.fileIds ? data.fileIds.length : 1);
         this.fileName = data.fileName || '';
         this.fileType = data.fileType || '';
-        this.shareLink = data.shareLink || '';
+        this.shareLink = data.shareLink || data.shareUrl || '';
         this.createTime = data.createTime || new Date().toISOString();
         this.updateTime = data.updateTime || new Date().toISOString();
         this.fileSize = data.fileSize || 0;
         this.downloadCount = data.downloadCount || 0;
         this.tags = data.tags || [];
         this.description = data.description || '';
-        this.isPublic = data.isPublic !== undefined ? data.isPublic : true;
+        // 设置了提取码的分享不是公开分享
+        this.isPublic = data.isPublic !== undefined ? data.isPublic : !data.sharePasscode;
         this.expiryDate = data.expiryDate || null;
+
+        // 转存记录
+        this.originalUrl = data.originalUrl || '';
+        this.passcode = data.passcode || '';
+        this.saveFolderFid = data.saveFolderFid || '0';
+        this.saveFolderPath = data.saveFolderPath || '/';
+        this.shareExpiredType = data.shareExpiredType || 1;
+        this.sharePasscode = data.sharePasscode || '';
+        this.transferTime = data.transferTime || this.createTime;
+        this.source = data.source || 'unknown';
+        this.status = data.status || 'completed';
+        this.conflictPolicy = data.conflictPolicy || null;
+        this.conflicts = data.conflicts || [];
+        this.bundleMemberIds = data.bundleMemberIds || null;
+
+        // 链接检查与重新分享
+        this.linkStatus = data.linkStatus || null;
+        this.linkError = data.linkError || '';
+        this.lastCheckedAt = data.lastCheckedAt || null;
+        this.shareHistory = data.shareHistory || [];
     }
 
     /**
@@ -31,18 +54,19 @@ export class QuarkFile {
      */
     static fromDatabaseRow(row) {
         return new QuarkFile({
+            ...row,
             id: row.id,
             fileId: row.fileId || row.FILE_ID,
             fileName: row.fileName || row.FILE_NAME,
             fileType: row.fileType || row.FILE_TYPE,
-            shareLink: row.shareLink || row.SHARE_LINK,
+            shareLink: row.shareLink || row.shareUrl || row.SHARE_LINK,
             createTime: row.createTime || row.CREATE_TIME,
             updateTime: row.updateTime || row.UPDATE_TIME,
             fileSize: row.fileSize || row.FILE_SIZE || 0,
             downloadCount: row.downloadCount || row.DOWNLOAD_COUNT || 0,
             tags: row.tags ? (typeof row.tags === 'string' ? JSON.parse(row.tags) : row.tags) : [],
             description: row.description || row.DESCRIPTION || '',
-            isPublic: row.isPublic !== undefined ? row.isPublic : (row.IS_PUBLIC !== undefined ? row.IS_PUBLIC : true),
+            isPublic: row.isPublic !== undefined ? row.isPublic : row.IS_PUBLIC,
             expiryDate: row.expiryDate || row.EXPIRY_DATE
         });
     }
@@ -66,22 +90,16 @@ export class QuarkFile {
 
     /**
      * 转换为数据库插入格式
+     * 标签保存为数组以便按标签建立索引；shareUrl 与 shareLink 相同，保留给旧版本读取；
+     * 新记录没有 id，由数据库自动生成
      * @returns {Object} 数据库插入对象
      */
     toDatabaseObject() {
+        const { id, ...record } = this.toJSON();
         return {
-            fileId: this.fileId,
-            fileName: this.fileName,
-            fileType: this.fileType,
-            shareLink: this.shareLink,
-            createTime: this.createTime,
-            updateTime: this.updateTime,
-            fileSize: this.fileSize,
-            downloadCount: this.downloadCount,
-            tags: JSON.stringify(this.tags),
-            description: this.description,
-            isPublic: this.isPublic,
-            expiryDate: this.expiryDate
+            ...(id ? { id } : {}),
+            ...record,
+            shareUrl: this.shareLink
         };
     }
 
@@ -93,6 +111,8 @@ export class QuarkFile {
         return {
             id: this.id,
             fileId: this.fileId,
+            fileIds: [...this.fileIds],
+            fileCount: this.fileCount,
             fileName: this.fileName,
             fileType: this.fileType,
             shareLink: this.shareLink,
@@ -100,10 +120,26 @@ export class QuarkFile {
             updateTime: this.updateTime,
             fileSize: this.fileSize,
             downloadCount: this.downloadCount,
-            tags: this.tags,
+            tags: [...this.tags],
             description: this.description,
             isPublic: this.isPublic,
-            expiryDate: this.expiryDate
+            expiryDate: this.expiryDate,
+            originalUrl: this.originalUrl,
+            passcode: this.passcode,
+            saveFolderFid: this.saveFolderFid,
+            saveFolderPath: this.saveFolderPath,
+            shareExpiredType: this.shareExpiredType,
+            sharePasscode: this.sharePasscode,
+            transferTime: this.transferTime,
+            source: this.source,
+            status: this.status,
+            conflictPolicy: this.conflictPolicy,
+            conflicts: this.conflicts,
+            bundleMemberIds: this.bundleMemberIds,
+            linkStatus: this.linkStatus,
+            linkError: this.linkError,
+            lastCheckedAt: this.lastCheckedAt,
+            shareHistory: this.shareHistory
         };
     }
 
@@ -124,7 +160,8 @@ export class QuarkFile {
             warnings.push('文件类型未指定');
         }
 
-        if (!this.shareLink) {
+        // 取消转存留下的部分记录没有生成分享
+        if (!this.shareLink && this.status !== 'partial') {
             errors.push('分享链接不能为空');
         }
 
@@ -1,9 +1,22 @@
+import { QuarkFile } from '../models/QuarkFile.js';
+import { buildSearchTerms, parseSearchQuery, getTypoTolerance, isFuzzyMatch } from '../utils/searchUtils.js';
+import { planImport, IMPORT_ACTIONS } from '../utils/importUtils.js';
+
+// 可排序的字段，每个字段都有同名索引；v5 迁移后所有记录都带有这些字段，不会因缺少索引键被遍历漏掉
+export const FILE_SORT_FIELDS = ['createTime', 'fileName', 'fileType', 'fileSize'];
+
+// 按搜索相关度排序，只在有搜索词时生效
+export const RELEVANCE_SORT = 'relevance';
+
 export class IndexedDBService {
-    constructor(dbName = 'QuarkGUI', version = 2) {
+    constructor(dbName = 'QuarkGUI', version = 6) {
         this.dbName = dbName;
         this.version = version;
         this.db = null;
         this.storeName = 'files';
+        this.queueStoreName = 'transferQueue';
+        this.reportStoreName = 'batchReports';
+        this.searchStoreName = 'searchTerms';
     }
 
     async init() {
@@ -41,18 +54,95 @@ export class IndexedDBService {
                         }
                     });
                 }
+
+                // v3: 持久化的转存队列
+                if (!db.objectStoreNames.contains(this.queueStoreName)) {
+                    const queueStore = db.createObjectStore(this.queueStoreName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    queueStore.createIndex('status', 'status', { unique: false });
+                    queueStore.createIndex('createTime', 'createTime', { unique: false });
+                }
+
+                // v4: 批量转存报告
+                if (!db.objectStoreNames.contains(this.reportStoreName)) {
+                    const reportStore = db.createObjectStore(this.reportStoreName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+
+                    reportStore.createIndex('createTime', 'createTime', { unique: false });
+                }
+
+                // v5: 记录统一为 QuarkFile 格式
+                if (oldVersion < 5) {
+                    const store = event.target.transaction.objectStore(this.storeName);
+                    this.migrateFileRecords(store);
+                }
+
+                // v6: 搜索用的倒排索引，按已有记录建立
+                if (!db.objectStoreNames.contains(this.searchStoreName)) {
+                    const searchStore = db.createObjectStore(this.searchStoreName, {
+                        keyPath: ['term', 'fileId']
+                    });
+
+                    searchStore.createIndex('fileId', 'fileId', { unique: false });
+
+                    const fileStore = event.target.transaction.objectStore(this.storeName);
+                    fileStore.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+
+                        // 同一事务中 v5 迁移可能尚未规范到这条记录，按模型读取
+                        this.putSearchTerms(searchStore, QuarkFile.fromDatabaseRow(cursor.value).toJSON());
+                        cursor.continue();
+                    };
+                }
             };
         });
     }
 
+    /**
+     * 把已有记录规范为 QuarkFile 格式，并为新增字段建立索引
+     * 旧版本通过 insertFile 写入的记录缺少来源、转存时间等字段，统一补齐默认值；
+     * isPublic 是布尔值，不能作为索引键，不建立索引
+     * @param {IDBObjectStore} store - 升级事务中的文件记录存储
+     */
+    migrateFileRecords(store) {
+        [
+            ['fileSize', 'fileSize'],
+            ['downloadCount', 'downloadCount'],
+            ['tags', 'tags', { multiEntry: true }],
+            ['expiryDate', 'expiryDate'],
+            ['source', 'source'],
+            ['status', 'status'],
+            ['transferTime', 'transferTime']
+        ].forEach(([indexName, keyPath, options = {}]) => {
+            if (!store.indexNames.contains(indexName)) {
+                store.createIndex(indexName, keyPath, { unique: false, ...options });
+            }
+        });
+
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            cursor.update(QuarkFile.fromDatabaseRow(cursor.value).toDatabaseObject());
+            cursor.continue();
+        };
+    }
+
     async fileExists(fileName) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readonly');
             const store = transaction.objectStore(this.storeName);
             const index = store.index('fileName');
-            const request = index.get(fileName);
+            const request = index.getAll(fileName);
 
-            request.onsuccess = () => resolve(!!request.result);
+            // 取消转存留下的部分记录不算已存在，允许重新转存
+            request.onsuccess = () => resolve(request.result.some(record => record.status !== 'partial'));
             request.onerror = () => reject(new Error('检查文件存在性失败'));
         });
     }
@@ -124,66 +214,53 @@ export class IndexedDBService {
         }
     }
 
-    async addFile(fileData) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-
-            const record = {
-                fileId: fileData.fileId || '',
-                fileName: fileData.fileName || '',
-                fileType: fileData.fileType || 'unknown',
-                shareLink: fileData.shareUrl || fileData.shareLink || '',
-                shareUrl: fileData.shareUrl || fileData.shareLink || '',
-                originalUrl: fileData.originalUrl || '',
-                transferTime: fileData.transferTime || new Date().toISOString(),
-                source: fileData.source || 'unknown',
-                status: fileData.status || 'completed',
-                createTime: new Date().toISOString(),
-                updateTime: new Date().toISOString()
-            };
-
-            const request = store.add(record);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('添加文件记录失败'));
-        });
-    }
+    /**
+     * 保存文件记录，所有面板写入记录都经由此方法
+     * 没有 id 时新增记录，有 id 时覆盖同一条记录
+     * @param {QuarkFile|Object} file - 文件模型或记录数据
+     * @param {Object} options - 选项
+     * @param {boolean} options.preserveUpdateTime - 保留记录自带的修改时间，导入时使用
+     * @returns {Promise<number>} 记录ID
+     */
+    async saveFile(file, options = {}) {
+        const quarkFile = file instanceof QuarkFile ? file : new QuarkFile(file);
+        if (!options.preserveUpdateTime) {
+            quarkFile.updateTime = new Date().toISOString();
+        }
 
-    async insertFile(fileId, fileName, fileType, shareLink) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName, this.searchStoreName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
+            const record = quarkFile.toDatabaseObject();
+            let id = null;
 
-            const fileData = {
-                fileId,
-                fileName,
-                fileType,
-                shareLink,
-                createTime: new Date().toISOString(),
-                updateTime: new Date().toISOString()
+            const request = store.put(record);
+            request.onsuccess = () => {
+                id = request.result;
+                this.replaceSearchTerms(transaction.objectStore(this.searchStoreName), id, { ...record, id });
             };
 
-            const request = store.add(fileData);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('插入文件记录失败'));
+            // 索引与记录在同一事务中写入，事务完成后记录才能被搜到
+            transaction.oncomplete = () => resolve(id);
+            transaction.onerror = () => reject(new Error('保存文件记录失败'));
         });
     }
 
     async updateFile(id, updateData) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName, this.searchStoreName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
             const getRequest = store.get(id);
 
             getRequest.onsuccess = () => {
                 const data = getRequest.result;
                 if (data) {
-                    Object.assign(data, updateData, {
-                        updateTime: new Date().toISOString()
-                    });
+                    const quarkFile = QuarkFile.fromDatabaseRow({ ...data, ...updateData, id });
+                    quarkFile.updateTime = new Date().toISOString();
 
-                    const putRequest = store.put(data);
-                    putRequest.onsuccess = () => resolve();
+                    const record = quarkFile.toDatabaseObject();
+                    const putRequest = store.put(record);
+                    putRequest.onsuccess = () => this.replaceSearchTerms(transaction.objectStore(this.searchStoreName), id, record);
                     putRequest.onerror = () => reject(new Error('更新文件记录失败'));
                 } else {
                     reject(new Error('记录不存在'));
@@ -191,114 +268,332 @@ export class IndexedDBService {
             };
 
             getRequest.onerror = () => reject(new Error('获取文件记录失败'));
+            transaction.oncomplete = () => resolve();
         });
     }
 
     async deleteFile(id) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName, this.searchStoreName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
             const request = store.delete(id);
 
-            request.onsuccess = () => resolve();
+            request.onsuccess = () => this.replaceSearchTerms(transaction.objectStore(this.searchStoreName), id, null);
             request.onerror = () => reject(new Error('删除文件记录失败'));
+            transaction.oncomplete = () => resolve();
         });
     }
 
     async deleteFileByName(fileName) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName, this.searchStoreName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
+            const searchStore = transaction.objectStore(this.searchStoreName);
             const index = store.index('fileName');
             const request = index.openCursor(fileName);
 
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
                 if (cursor) {
+                    this.replaceSearchTerms(searchStore, cursor.primaryKey, null);
                     cursor.delete();
                     cursor.continue();
-                } else {
-                    resolve();
                 }
             };
 
             request.onerror = () => reject(new Error('删除文件记录失败'));
+            transaction.oncomplete = () => resolve();
         });
     }
 
+    /**
+     * 获取文件记录
+     * 不传排序和分页时直接读取整张表；按可排序字段排序或分页时经由 queryFiles 用索引读取
+     * @param {Object} options - 选项 {sortBy, sortOrder, page, pageSize}
+     * @returns {Promise<Array<Object>>} 文件记录
+     */
     async getAllFiles(options = {}) {
+        if (options.sortBy || (options.page && options.pageSize)) {
+            const pageSize = options.page && options.pageSize ? options.pageSize : 0;
+            const { files } = await this.queryFiles({
+                sortBy: options.sortBy,
+                sortOrder: options.sortOrder,
+                pageSize,
+                offset: pageSize ? (options.page - 1) * pageSize : 0,
+                withTotal: false
+            });
+            return files;
+        }
+
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readonly');
             const store = transaction.objectStore(this.storeName);
             const request = store.getAll();
 
-            request.onsuccess = () => {
-                let files = request.result;
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('获取文件列表失败'));
+        });
+    }
 
-                if (options.sortBy) {
-                    files.sort((a, b) => {
-                        const aVal = a[options.sortBy];
-                        const bVal = b[options.sortBy];
+    async searchFiles(keyword, options = {}) {
+        const { files } = await this.queryFiles({
+            filters: {
+                keyword,
+                fileType: options.fileType,
+                startDate: options.startDate,
+                endDate: options.endDate
+            },
+            withTotal: false
+        });
+        return files;
+    }
 
-                        if (options.sortOrder === 'desc') {
-                            return bVal > aVal ? 1 : -1;
-                        } else {
-                            return aVal > bVal ? 1 : -1;
-                        }
-                    });
-                }
+    /**
+     * 按索引和游标查询文件记录
+     * 排序字段的索引直接给出顺序，落在排序字段上的过滤条件转为键范围，其余条件在遍历游标时逐条判断；
+     * 每次只读取一页，下一页从上一页最后一条记录的位置继续，不必读取整张表
+     * @param {Object} options - 查询选项
+     * @param {string} options.sortBy - 排序字段，见 FILE_SORT_FIELDS，默认 createTime；有搜索词时可用 RELEVANCE_SORT 按相关度排序
+     * @param {string} options.sortOrder - asc 或 desc，默认 desc
+     * @param {Object} options.filters - 过滤条件 {keyword, fileType, source, status, linkStatus, unchecked, startDate, endDate}，同时给出时须全部满足
+     * @param {number} options.pageSize - 每页条数，不传时读取全部匹配的记录
+     * @param {Object} options.cursor - 上一页返回的 nextCursor，不传时从第一条开始
+     * @param {number} options.offset - 跳过的匹配记录数，用于按页码读取
+     * @param {boolean} options.withTotal - 是否统计匹配总数，默认只在第一页统计
+     * @returns {Promise<{files: Array<Object>, total: number|null, nextCursor: Object|null}>}
+     *          本页记录、匹配总数（未统计时为 null）和下一页的位置（本页未满时为 null）
+     */
+    async queryFiles(options = {}) {
+        const filters = options.filters || {};
+        const searchScores = filters.keyword ? await this.searchRecordScores(filters.keyword) : null;
+        const withTotal = options.withTotal ?? !options.cursor;
+
+        if (options.sortBy === RELEVANCE_SORT && searchScores) {
+            return this.readRankedPage(searchScores, this.createFileMatcher(null, filters, null), {
+                pageSize: options.pageSize || 0,
+                offset: options.offset || 0,
+                after: options.cursor || null
+            });
+        }
 
-                if (options.page && options.pageSize) {
-                    const start = (options.page - 1) * options.pageSize;
-                    const end = start + options.pageSize;
-                    files = files.slice(start, end);
-                }
+        const sortBy = FILE_SORT_FIELDS.includes(options.sortBy) ? options.sortBy : 'createTime';
+        const direction = options.sortOrder === 'asc' ? 'next' : 'prev';
+        const range = this.getSortKeyRange(sortBy, filters);
+        const matches = this.createFileMatcher(sortBy, filters, searchScores);
+
+        const transaction = this.db.transaction([this.storeName], 'readonly');
+        const index = transaction.objectStore(this.storeName).index(sortBy);
+
+        // 两个请求须在同一事务仍处于活动状态时发出
+        const [page, total] = await Promise.all([
+            this.readFilePage(index, range, direction, matches, {
+                pageSize: options.pageSize || 0,
+                offset: options.offset || 0,
+                after: options.cursor || null
+            }),
+            withTotal ? this.countFileMatches(index, range, matches) : null
+        ]);
+
+        return { ...page, total };
+    }
 
-                resolve(files);
-            };
+    /**
+     * 排序字段上的过滤条件对应的键范围
+     * @param {string} sortBy - 排序字段
+     * @param {Object} filters - 过滤条件
+     * @returns {IDBKeyRange|null} 键范围，没有可用条件时为 null
+     */
+    getSortKeyRange(sortBy, filters) {
+        if (sortBy === 'fileType' && filters.fileType) {
+            return IDBKeyRange.only(filters.fileType);
+        }
 
-            request.onerror = () => reject(new Error('获取文件列表失败'));
+        if (sortBy === 'createTime' && (filters.startDate || filters.endDate)) {
+            const lower = filters.startDate ? new Date(filters.startDate).toISOString() : undefined;
+            const upper = filters.endDate ? new Date(filters.endDate).toISOString() : undefined;
+            if (lower && upper) return IDBKeyRange.bound(lower, upper);
+            return lower ? IDBKeyRange.lowerBound(lower) : IDBKeyRange.upperBound(upper);
+        }
+
+        return null;
+    }
+
+    /**
+     * 不能转为键范围的过滤条件，在遍历游标时逐条判断
+     * @param {string|null} sortBy - 排序字段，其上的条件已由键范围处理
+     * @param {Object} filters - 过滤条件
+     * @param {Map<number, number>|null} searchScores - 搜索词匹配到的记录，只保留其中的记录
+     * @returns {Function|null} 判断函数，没有需要逐条判断的条件时为 null
+     */
+    createFileMatcher(sortBy, filters, searchScores) {
+        const checks = [];
+
+        if (searchScores) {
+            checks.push(file => searchScores.has(file.id));
+        }
+
+        if (filters.fileType && sortBy !== 'fileType') {
+            checks.push(file => file.fileType === filters.fileType);
+        }
+
+        if ((filters.startDate || filters.endDate) && sortBy !== 'createTime') {
+            checks.push(file => {
+                const createTime = new Date(file.createTime);
+                if (filters.startDate && createTime < new Date(filters.startDate)) return false;
+                if (filters.endDate && createTime > new Date(filters.endDate)) return false;
+                return true;
+            });
+        }
+
+        ['source', 'status', 'linkStatus'].forEach(field => {
+            if (filters[field]) {
+                checks.push(file => file[field] === filters[field]);
+            }
         });
+
+        // 从未检查过链接的记录，部分转存的记录没有分享，不在其中
+        if (filters.unchecked) {
+            checks.push(file => !file.lastCheckedAt && file.status !== 'partial');
+        }
+
+        return checks.length > 0 ? (file => checks.every(check => check(file))) : null;
     }
 
-    async searchFiles(keyword, options = {}) {
+    /**
+     * 沿索引读取一页记录
+     * 从上一页最后一条记录的位置继续；该记录已被删除时从其后的第一条开始
+     * @param {IDBIndex} index - 排序字段的索引
+     * @param {IDBKeyRange|null} range - 键范围
+     * @param {string} direction - 游标方向 next 或 prev
+     * @param {Function|null} matches - 逐条判断的过滤函数
+     * @param {Object} page - {pageSize, offset, after}
+     * @returns {Promise<{files: Array<Object>, nextCursor: Object|null}>}
+     */
+    readFilePage(index, range, direction, matches, { pageSize, offset, after }) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.getAll();
+            const request = index.openCursor(range, direction);
+            const files = [];
+            let seek = after;
+            let skip = offset;
 
-            request.onsuccess = () => {
-                let files = request.result;
-
-                if (keyword) {
-                    const lowerKeyword = keyword.toLowerCase();
-                    files = files.filter(file =>
-                        (file.fileName || '').toString().toLowerCase().includes(lowerKeyword) ||
-                        (file.fileType || '').toString().toLowerCase().includes(lowerKeyword)
-                    );
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve({ files, nextCursor: null });
+                    return;
                 }
 
-                if (options.fileType) {
-                    files = files.filter(file => file.fileType === options.fileType);
+                if (seek) {
+                    const order = indexedDB.cmp(cursor.key, seek.key) || indexedDB.cmp(cursor.primaryKey, seek.primaryKey);
+                    const before = direction === 'next' ? order < 0 : order > 0;
+                    if (before) {
+                        cursor.continuePrimaryKey(seek.key, seek.primaryKey);
+                        return;
+                    }
+
+                    seek = null;
+                    if (order === 0) {
+                        cursor.continue();
+                        return;
+                    }
                 }
 
-                if (options.startDate || options.endDate) {
-                    files = files.filter(file => {
-                        const createTime = new Date(file.createTime);
-                        if (options.startDate && createTime < new Date(options.startDate)) {
-                            return false;
-                        }
-                        if (options.endDate && createTime > new Date(options.endDate)) {
-                            return false;
+                if (skip > 0 && !matches) {
+                    const count = skip;
+                    skip = 0;
+                    cursor.advance(count);
+                    return;
+                }
+
+                if (!matches || matches(cursor.value)) {
+                    if (skip > 0) {
+                        skip--;
+                    } else {
+                        files.push(cursor.value);
+                        if (files.length === pageSize) {
+                            resolve({ files, nextCursor: { key: cursor.key, primaryKey: cursor.primaryKey } });
+                            return;
                         }
-                        return true;
-                    });
+                    }
                 }
 
-                resolve(files);
+                cursor.continue();
             };
 
-            request.onerror = () => reject(new Error('搜索文件失败'));
+            request.onerror = () => reject(new Error('查询文件列表失败'));
+        });
+    }
+
+    /**
+     * 按相关度读取一页记录
+     * 搜索结果通常不多，一次读取全部匹配的记录后排序分页；翻页位置为结果中的序号
+     * @param {Map<number, number>} scores - 记录ID到相关度的映射
+     * @param {Function|null} matches - 其余过滤条件
+     * @param {Object} page - {pageSize, offset, after}
+     * @returns {Promise<{files: Array<Object>, total: number, nextCursor: Object|null}>}
+     */
+    async readRankedPage(scores, matches, { pageSize, offset, after }) {
+        const ids = [...scores]
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0])
+            .map(([id]) => id);
+
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const found = new Array(ids.length);
+
+            ids.forEach((id, i) => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    found[i] = request.result;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(found.filter(Boolean));
+            transaction.onerror = () => reject(new Error('查询文件列表失败'));
+        });
+
+        const files = matches ? records.filter(matches) : records;
+        const start = (after?.offset || 0) + offset;
+        const end = pageSize ? start + pageSize : files.length;
+
+        return {
+            files: files.slice(start, end),
+            total: files.length,
+            nextCursor: end < files.length ? { offset: end } : null
+        };
+    }
+
+    /**
+     * 统计匹配的记录数
+     * 没有逐条判断的条件时直接由索引计数
+     * @param {IDBIndex} index - 排序字段的索引
+     * @param {IDBKeyRange|null} range - 键范围
+     * @param {Function|null} matches - 逐条判断的过滤函数
+     * @returns {Promise<number>} 记录数
+     */
+    countFileMatches(index, range, matches) {
+        return new Promise((resolve, reject) => {
+            if (!matches) {
+                const request = index.count(range ?? undefined);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('统计文件数量失败'));
+                return;
+            }
+
+            let total = 0;
+            const request = index.openCursor(range);
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve(total);
+                    return;
+                }
+
+                if (matches(cursor.value)) total++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(new Error('统计文件数量失败'));
         });
     }
 
@@ -315,13 +610,136 @@ export class IndexedDBService {
 
     async clearAllData() {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
+            const transaction = this.db.transaction([this.storeName, this.searchStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            transaction.objectStore(this.searchStoreName).clear();
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(new Error('清空数据失败'));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error('清空数据失败'));
+        });
+    }
+
+    /**
+     * 写入一条记录的检索词
+     * @param {IDBObjectStore} searchStore - 倒排索引存储
+     * @param {Object} record - 带 id 的转存记录
+     */
+    putSearchTerms(searchStore, record) {
+        buildSearchTerms(record).forEach(({ term, weight }) => {
+            searchStore.put({ term, fileId: record.id, weight });
+        });
+    }
+
+    /**
+     * 用记录的当前内容替换它在倒排索引中的检索词
+     * 先删除旧词，删除完成后再写入新词，避免新写入的词被随后的删除清掉
+     * @param {IDBObjectStore} searchStore - 倒排索引存储
+     * @param {number} id - 记录ID
+     * @param {Object|null} record - 记录内容，为 null 时只删除
+     */
+    replaceSearchTerms(searchStore, id, record) {
+        const request = searchStore.index('fileId').openKeyCursor(IDBKeyRange.only(id));
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                searchStore.delete(cursor.primaryKey);
+                cursor.continue();
+            } else if (record) {
+                this.putSearchTerms(searchStore, { ...record, id });
+            }
+        };
+    }
+
+    /**
+     * 读取倒排索引中某个范围内的检索词
+     * @param {IDBKeyRange} range - 检索词范围
+     * @returns {Promise<Array<{term: string, fileId: number, weight: number}>>}
+     */
+    async readSearchTerms(range) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.searchStoreName], 'readonly');
+            const request = transaction.objectStore(this.searchStoreName).getAll(range);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('读取搜索索引失败'));
+        });
+    }
+
+    /**
+     * 按倒排索引搜索记录并计算相关度
+     * 汉字按相邻两字精确查找；字母数字按前缀查找原文、全拼和首字母，越接近完整的词得分越高；
+     * 前缀没有结果时按首字母相同的检索词做容错匹配。记录须匹配搜索词中的每一段
+     * @param {string} keyword - 搜索词
+     * @returns {Promise<Map<number, number>>} 记录ID到相关度的映射
+     */
+    async searchRecordScores(keyword) {
+        let scores = null;
+
+        for (const query of parseSearchQuery(keyword)) {
+            const queryScores = query.type === 'han' ?
+                await this.searchHanQuery(query.terms) :
+                await this.searchWordQuery(query.text);
+
+            if (scores) {
+                scores = new Map([...scores]
+                    .filter(([id]) => queryScores.has(id))
+                    .map(([id, score]) => [id, score + queryScores.get(id)]));
+            } else {
+                scores = queryScores;
+            }
+
+            if (scores.size === 0) break;
+        }
+
+        return scores || new Map();
+    }
+
+    /**
+     * 汉字段的相关度：须包含每个相邻两字
+     * @param {Array<string>} terms - 相邻两字（单字查询时为该字）
+     * @returns {Promise<Map<number, number>>} 记录ID到相关度的映射
+     */
+    async searchHanQuery(terms) {
+        let scores = null;
+
+        for (const term of terms) {
+            const entries = await this.readSearchTerms(IDBKeyRange.bound([term], [term, []]));
+            const termScores = new Map(entries.map(entry => [entry.fileId, entry.weight * 10]));
+
+            scores = scores ?
+                new Map([...scores].filter(([id]) => termScores.has(id)).map(([id, score]) => [id, Math.min(score, termScores.get(id))])) :
+                termScores;
+
+            if (scores.size === 0) break;
+        }
+
+        return scores;
+    }
+
+    /**
+     * 字母数字段的相关度：前缀匹配，没有结果时容错匹配
+     * @param {string} text - 字母数字串
+     * @returns {Promise<Map<number, number>>} 记录ID到相关度的映射
+     */
+    async searchWordQuery(text) {
+        const scores = new Map();
+        const addScore = (id, score) => {
+            if ((scores.get(id) || 0) < score) scores.set(id, score);
+        };
+
+        const entries = await this.readSearchTerms(IDBKeyRange.bound([text], [text + '\uffff'], false, true));
+        entries.forEach(entry => {
+            addScore(entry.fileId, entry.weight * (6 + 4 * text.length / entry.term.length));
         });
+
+        if (scores.size === 0 && getTypoTolerance(text) > 0) {
+            const candidates = await this.readSearchTerms(IDBKeyRange.bound([text[0]], [text[0] + '\uffff'], false, true));
+            candidates
+                .filter(entry => isFuzzyMatch(text, entry.term))
+                .forEach(entry => addScore(entry.fileId, entry.weight * 3));
+        }
+
+        return scores;
     }
 
     async exportData() {
@@ -333,31 +751,49 @@ export class IndexedDBService {
         };
     }
 
-    async importData(importData) {
+    /**
+     * 按策略导入数据，不经预览直接写入
+     * @param {Object} importData - 导出文件的内容 {version, exportTime, data}
+     * @param {Object} options - 选项 {strategy, matchBy}，见 planImport
+     * @returns {Promise<Object>} 导入结果，见 applyImportPlan
+     */
+    async importData(importData, options = {}) {
         if (!importData.data || !Array.isArray(importData.data)) {
             throw new Error('导入数据格式错误');
         }
 
-        let importCount = 0;
+        const plan = planImport(importData.data, await this.getAllFiles(), options);
+        return this.applyImportPlan(plan);
+    }
+
+    /**
+     * 写入导入计划中需要新增或更新的记录
+     * 单条写入失败不影响其余记录，失败的记录随结果返回
+     * @param {Object} plan - planImport 生成的导入计划
+     * @returns {Promise<{added: number, updated: number, skipped: number, failed: Array<{index: number, fileName: string, error: string}>}>}
+     */
+    async applyImportPlan(plan) {
+        const result = { added: 0, updated: 0, skipped: 0, failed: [] };
+
+        for (const item of plan.items) {
+            if (item.action === IMPORT_ACTIONS.SKIP) {
+                result.skipped++;
+                continue;
+            }
 
-        for (const fileData of importData.data) {
             try {
-                const exists = await this.fileExists(fileData.fileName);
-                if (!exists) {
-                    await this.insertFile(
-                        fileData.fileId,
-                        fileData.fileName,
-                        fileData.fileType,
-                        fileData.shareLink
-                    );
-                    importCount++;
+                await this.saveFile(item.record, { preserveUpdateTime: true });
+                if (item.action === IMPORT_ACTIONS.UPDATE) {
+                    result.updated++;
+                } else {
+                    result.added++;
                 }
             } catch (error) {
-                // 忽略导入失败的文件
+                result.failed.push({ index: item.index, fileName: item.record.fileName, error: error.message });
             }
         }
 
-        return importCount;
+        return result;
     }
 
     async getStatistics() {
@@ -378,6 +814,142 @@ export class IndexedDBService {
         return stats;
     }
 
+    /**
+     * 批量添加转存队列任务
+     * @param {Array<Object>} jobs - 任务数据
+     * @returns {Promise<Array<number>>} 新任务ID
+     */
+    async addQueueJobs(jobs) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.queueStoreName], 'readwrite');
+            const store = transaction.objectStore(this.queueStoreName);
+            const ids = [];
+
+            jobs.forEach(job => {
+                const request = store.add({
+                    ...job,
+                    createTime: new Date().toISOString(),
+                    updateTime: new Date().toISOString()
+                });
+                request.onsuccess = () => ids.push(request.result);
+            });
+
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(new Error('添加队列任务失败'));
+        });
+    }
+
+    /**
+     * 获取全部转存队列任务
+     * @returns {Promise<Array<Object>>} 任务列表
+     */
+    async getQueueJobs() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.queueStoreName], 'readonly');
+            const store = transaction.objectStore(this.queueStoreName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('获取队列任务失败'));
+        });
+    }
+
+    /**
+     * 更新转存队列任务
+     * @param {number} id - 任务ID
+     * @param {Object} updateData - 要更新的字段
+     * @returns {Promise<Object>} 更新后的任务
+     */
+    async updateQueueJob(id, updateData) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.queueStoreName], 'readwrite');
+            const store = transaction.objectStore(this.queueStoreName);
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                const job = getRequest.result;
+                if (!job) {
+                    reject(new Error('队列任务不存在'));
+                    return;
+                }
+
+                Object.assign(job, updateData, {
+                    updateTime: new Date().toISOString()
+                });
+
+                const putRequest = store.put(job);
+                putRequest.onsuccess = () => resolve(job);
+                putRequest.onerror = () => reject(new Error('更新队列任务失败'));
+            };
+
+            getRequest.onerror = () => reject(new Error('获取队列任务失败'));
+        });
+    }
+
+    /**
+     * 删除转存队列任务
+     * @param {Array<number>} ids - 任务ID
+     * @returns {Promise<void>}
+     */
+    async deleteQueueJobs(ids) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.queueStoreName], 'readwrite');
+            const store = transaction.objectStore(this.queueStoreName);
+
+            ids.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error('删除队列任务失败'));
+        });
+    }
+
+    /**
+     * 保存批量转存报告
+     * @param {Object} report - 报告数据
+     * @returns {Promise<number>} 报告ID
+     */
+    async addBatchReport(report) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.reportStoreName], 'readwrite');
+            const store = transaction.objectStore(this.reportStoreName);
+            const request = store.add(report);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('保存转存报告失败'));
+        });
+    }
+
+    /**
+     * 获取全部批量转存报告，最新的在前
+     * @returns {Promise<Array<Object>>} 报告列表
+     */
+    async getBatchReports() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.reportStoreName], 'readonly');
+            const store = transaction.objectStore(this.reportStoreName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.createTime - a.createTime));
+            request.onerror = () => reject(new Error('获取转存报告失败'));
+        });
+    }
+
+    /**
+     * 删除批量转存报告
+     * @param {number} id - 报告ID
+     * @returns {Promise<void>}
+     */
+    async deleteBatchReport(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.reportStoreName], 'readwrite');
+            const store = transaction.objectStore(this.reportStoreName);
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(new Error('删除转存报告失败'));
+        });
+    }
+
     close() {
         if (this.db) {
             this.db.close();
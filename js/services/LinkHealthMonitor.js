@@ -0,0 +1,221 @@
+/**
+ * 分享链接健康检查
+ * 在后台逐条读取转存记录中的分享链接（令牌和详情接口），记录链接是否仍然有效；
+ * 请求经过共享限流器，并在相邻两条记录之间额外等待，避免占用转存的请求额度
+ */
+
+import { delay } from '../utils/timeUtils.js';
+import { ERROR_CATEGORIES } from './QuarkApiError.js';
+
+// 链接状态
+export const LINK_STATUS = {
+    ALIVE: 'alive',
+    DEAD: 'dead',
+    UNKNOWN: 'unknown'
+};
+
+export const LINK_STATUS_LABELS = {
+    alive: '有效',
+    dead: '已失效',
+    unknown: '无法判断'
+};
+
+// 同一条记录两次检查的最短间隔
+const RECHECK_INTERVAL = 24 * 60 * 60 * 1000;
+
+// 应用启动后首次后台检查的延迟
+const BACKGROUND_START_DELAY = 60 * 1000;
+
+// 后台检查的周期
+const BACKGROUND_INTERVAL = 60 * 60 * 1000;
+
+// 相邻两条记录之间的等待时间
+const CHECK_GAP = 2000;
+
+export class LinkHealthMonitor {
+    /**
+     * @param {Object} options - 选项
+     * @param {Object} options.dbService - 数据库服务
+     * @param {Object} options.logger - 日志记录器
+     * @param {Function} options.getQuarkService - 获取夸克服务，未配置 Cookie 时返回 null
+     */
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+        this.getQuarkService = options.getQuarkService;
+
+        this.handlers = {};
+        this.abortController = null;
+        this.backgroundTimer = null;
+        this.progress = { checked: 0, total: 0 };
+    }
+
+    /**
+     * 设置回调
+     * @param {Object} handlers - 回调函数
+     * @param {Function} handlers.onRecordChecked - 一条记录检查完成 (record)
+     * @param {Function} handlers.onStateChange - 运行状态或进度变化 ({running, checked, total})
+     */
+    setHandlers(handlers) {
+        this.handlers = { ...this.handlers, ...handlers };
+    }
+
+    /**
+     * 是否正在检查
+     * @returns {boolean}
+     */
+    get running() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * 开始后台定期检查
+     */
+    startBackground() {
+        this.stopBackground();
+
+        const schedule = (wait) => {
+            this.backgroundTimer = setTimeout(async () => {
+                try {
+                    await this.check();
+                } catch (error) {
+                    this.logger.warn('后台链接检查中止:', error.message);
+                }
+                schedule(BACKGROUND_INTERVAL);
+            }, wait);
+        };
+
+        schedule(BACKGROUND_START_DELAY);
+    }
+
+    /**
+     * 停止后台定期检查
+     */
+    stopBackground() {
+        clearTimeout(this.backgroundTimer);
+        this.backgroundTimer = null;
+    }
+
+    /**
+     * 检查到期的记录
+     * @param {Object} options - 选项
+     * @param {boolean} options.force - 忽略检查间隔，检查全部记录
+     * @returns {Promise<Object|null>} 本次结果 {checked, alive, dead, unknown}，已在检查中或未配置 Cookie 时为 null
+     * @throws {QuarkApiError} Cookie 失效时分类为 AUTH_EXPIRED
+     */
+    async check(options = {}) {
+        if (this.running) return null;
+
+        const quarkService = this.getQuarkService();
+        if (!quarkService) return null;
+
+        const records = this.getDueRecords(await this.dbService.getAllFiles(), options.force);
+        if (records.length === 0) return { checked: 0, alive: 0, dead: 0, unknown: 0 };
+
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+        const summary = { checked: 0, alive: 0, dead: 0, unknown: 0 };
+        this.progress = { checked: 0, total: records.length };
+        this.notifyState();
+
+        this.logger.info(`开始检查分享链接: ${records.length} 个`);
+
+        try {
+            for (const record of records) {
+                if (signal.aborted) break;
+
+                const status = await this.checkRecord(record, quarkService, signal);
+                if (!status) break;
+
+                summary.checked++;
+                summary[status]++;
+                this.progress.checked++;
+                this.notifyState();
+
+                await delay(CHECK_GAP, signal);
+            }
+        } catch (error) {
+            if (!error.cancelled) throw error;
+        } finally {
+            this.abortController = null;
+            this.notifyState();
+        }
+
+        this.logger.info(`分享链接检查完成: 有效 ${summary.alive}，失效 ${summary.dead}，无法判断 ${summary.unknown}`);
+        return summary;
+    }
+
+    /**
+     * 停止正在进行的检查
+     */
+    cancel() {
+        this.abortController?.abort();
+    }
+
+    /**
+     * 筛选需要检查的记录：有分享链接，且从未检查或距上次检查已超过间隔
+     * @param {Array<Object>} records - 转存记录
+     * @param {boolean} force - 是否忽略检查间隔
+     * @returns {Array<Object>} 按上次检查时间从早到晚排列的记录
+     */
+    getDueRecords(records, force = false) {
+        const now = Date.now();
+
+        return records
+            .filter(record => record.status !== 'partial' && (record.shareLink || record.shareUrl))
+            .filter(record => force || !record.lastCheckedAt || now - new Date(record.lastCheckedAt).getTime() >= RECHECK_INTERVAL)
+            .sort((a, b) => new Date(a.lastCheckedAt || 0) - new Date(b.lastCheckedAt || 0));
+    }
+
+    /**
+     * 检查单条记录并保存结果
+     * 无法判断时保留上次的状态，避免网络波动把失效链接标记为未知
+     * @param {Object} record - 转存记录
+     * @param {Object} quarkService - 夸克服务
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<string|null>} 检查结果状态，取消时为 null
+     */
+    async checkRecord(record, quarkService, signal) {
+        let inspection;
+        try {
+            inspection = await quarkService.inspectShare(record.shareLink || record.shareUrl, {
+                passcode: record.sharePasscode,
+                signal
+            });
+        } catch (error) {
+            if (error.cancelled) return null;
+            if (error.category === ERROR_CATEGORIES.AUTH_EXPIRED) throw error;
+            inspection = { alive: null, error };
+        }
+
+        let status = LINK_STATUS.UNKNOWN;
+        if (inspection.alive === true) status = LINK_STATUS.ALIVE;
+        else if (inspection.alive === false) status = LINK_STATUS.DEAD;
+
+        const update = {
+            linkStatus: status === LINK_STATUS.UNKNOWN ? (record.linkStatus || LINK_STATUS.UNKNOWN) : status,
+            linkError: inspection.error ? (inspection.error.getUserMessage?.() ?? inspection.error.message) : '',
+            lastCheckedAt: new Date().toISOString()
+        };
+
+        try {
+            await this.dbService.updateFile(record.id, update);
+        } catch (error) {
+            // 检查期间记录可能已被删除
+            this.logger.warn(`保存链接状态失败: ${record.fileName}`, error.message);
+            return status;
+        }
+
+        this.handlers.onRecordChecked?.({ ...record, ...update });
+        return status;
+    }
+
+    /**
+     * 通知运行状态变化
+     */
+    notifyState() {
+        this.handlers.onStateChange?.({ running: this.running, ...this.progress });
+    }
+}
+
+export default LinkHealthMonitor;
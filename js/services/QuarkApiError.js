@@ -0,0 +1,197 @@
+/**
+ * 夸克接口错误
+ * 携带 HTTP 状态、夸克返回的 code/message、出错的转存步骤以及错误分类
+ */
+
+import { ERROR_MESSAGES } from '../config/constants.js';
+
+// 错误分类
+export const ERROR_CATEGORIES = {
+    AUTH_EXPIRED: 'auth_expired',
+    SHARE_EXPIRED: 'share_expired',
+    INVALID_LINK: 'invalid_link',
+    PASSCODE_REQUIRED: 'passcode_required',
+    QUOTA_EXCEEDED: 'quota_exceeded',
+    RATE_LIMITED: 'rate_limited',
+    NETWORK: 'network',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+};
+
+// 转存流程中的步骤名称
+export const STEP_LABELS = {
+    token: '获取分享令牌',
+    detail: '获取文件详情',
+    save: '提交保存任务',
+    task: '等待任务完成',
+    share: '创建分享',
+    shareLink: '获取分享链接',
+    file: '网盘文件操作'
+};
+
+// 按夸克返回的提示信息识别错误分类，按顺序匹配
+const MESSAGE_PATTERNS = [
+    { category: ERROR_CATEGORIES.PASSCODE_REQUIRED, pattern: /提取码|访问码|密码|passcode/i },
+    { category: ERROR_CATEGORIES.SHARE_EXPIRED, pattern: /分享.*(失效|过期|不存在|取消|删除)|已失效|已过期|违规|share.*(expired|not exist|cancel)/i },
+    { category: ERROR_CATEGORIES.QUOTA_EXCEEDED, pattern: /容量|空间不足|capacity|quota/i },
+    { category: ERROR_CATEGORIES.RATE_LIMITED, pattern: /频繁|太快|稍后再试|too many|rate limit/i },
+    { category: ERROR_CATEGORIES.AUTH_EXPIRED, pattern: /登录|login|未授权|unauthorized|cookie/i }
+];
+
+export class QuarkApiError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} details - 错误详情
+     * @param {number} details.status - HTTP 状态码，网络错误时为 0
+     * @param {number|null} details.code - 夸克返回的错误码
+     * @param {string} details.quarkMessage - 夸克返回的错误信息
+     * @param {string} details.step - 出错的步骤
+     * @param {string} details.category - 错误分类
+     * @param {boolean} details.timeout - 是否为请求超时
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'QuarkApiError';
+        this.status = details.status || 0;
+        this.code = details.code ?? null;
+        this.quarkMessage = details.quarkMessage || '';
+        this.step = details.step || '';
+        this.timeout = Boolean(details.timeout);
+        this.category = details.category || QuarkApiError.classify(this);
+    }
+
+    /**
+     * 是否需要提取码
+     * @returns {boolean}
+     */
+    get needPasscode() {
+        return this.category === ERROR_CATEGORIES.PASSCODE_REQUIRED;
+    }
+
+    /**
+     * 是否由用户取消
+     * @returns {boolean}
+     */
+    get cancelled() {
+        return this.category === ERROR_CATEGORIES.CANCELLED;
+    }
+
+    /**
+     * 是否值得重试（网络波动或限流）
+     * @returns {boolean}
+     */
+    get retryable() {
+        return this.category === ERROR_CATEGORIES.NETWORK || this.category === ERROR_CATEGORIES.RATE_LIMITED;
+    }
+
+    /**
+     * 根据状态码、错误码和信息判断错误分类
+     * @param {{status: number, code: number, quarkMessage: string, message: string}} error - 错误信息
+     * @returns {string} 错误分类
+     */
+    static classify({ status = 0, quarkMessage = '', message = '' }) {
+        const text = quarkMessage || message;
+
+        if (status === 429) return ERROR_CATEGORIES.RATE_LIMITED;
+
+        const matched = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(text));
+        if (matched) return matched.category;
+
+        if (status === 401 || status === 403) return ERROR_CATEGORIES.AUTH_EXPIRED;
+        // 网络错误由 fromNetworkError 明确分类，没有状态码的其他错误不视为网络错误
+        if (status >= 500) return ERROR_CATEGORIES.NETWORK;
+
+        return ERROR_CATEGORIES.UNKNOWN;
+    }
+
+    /**
+     * 由接口响应创建错误
+     * @param {number} status - HTTP 状态码
+     * @param {Object|null} data - 响应体
+     * @param {string} fallbackText - 响应体无法解析时的文本
+     * @returns {QuarkApiError}
+     */
+    static fromResponse(status, data, fallbackText = '') {
+        const quarkMessage = data?.message || '';
+        return new QuarkApiError(quarkMessage || `HTTP ${status}: ${fallbackText}`, {
+            status,
+            code: data?.code ?? null,
+            quarkMessage
+        });
+    }
+
+    /**
+     * 创建用户取消错误
+     * @param {string} step - 取消时所在的步骤
+     * @returns {QuarkApiError}
+     */
+    static cancelled(step = '') {
+        return new QuarkApiError('操作已取消', { step, category: ERROR_CATEGORIES.CANCELLED });
+    }
+
+    /**
+     * 由 fetch 抛出的异常创建网络错误
+     * 调用方传入的 signal 已中止时视为用户取消，否则中止来自请求超时
+     * @param {Error} error - 原始异常
+     * @param {AbortSignal} signal - 调用方的取消信号
+     * @returns {QuarkApiError}
+     */
+    static fromNetworkError(error, signal) {
+        if (signal?.aborted) return QuarkApiError.cancelled();
+
+        const timeout = error?.name === 'AbortError';
+        return new QuarkApiError(timeout ? '请求超时' : `网络错误: ${error?.message || '未知错误'}`, {
+            category: ERROR_CATEGORIES.NETWORK,
+            timeout
+        });
+    }
+
+    /**
+     * 将任意错误包装为 QuarkApiError 并记录出错步骤
+     * @param {Error} error - 原始错误
+     * @param {string} step - 步骤名称
+     * @returns {QuarkApiError}
+     */
+    static wrap(error, step) {
+        if (error instanceof QuarkApiError) {
+            error.step = error.step || step;
+            return error;
+        }
+
+        return new QuarkApiError(error?.message || '未知错误', {
+            step,
+            category: ERROR_CATEGORIES.UNKNOWN
+        });
+    }
+
+    /**
+     * 获取面向用户的错误提示
+     * @returns {string} 提示信息
+     */
+    getUserMessage() {
+        switch (this.category) {
+            case ERROR_CATEGORIES.AUTH_EXPIRED:
+                return ERROR_MESSAGES.api.authExpired;
+            case ERROR_CATEGORIES.SHARE_EXPIRED:
+                return ERROR_MESSAGES.transfer.invalidShare;
+            case ERROR_CATEGORIES.INVALID_LINK:
+                return ERROR_MESSAGES.validation.invalidUrl;
+            case ERROR_CATEGORIES.PASSCODE_REQUIRED:
+                return this.quarkMessage === this.message ? ERROR_MESSAGES.api.passcodeRequired : this.message;
+            case ERROR_CATEGORIES.QUOTA_EXCEEDED:
+                return this.quarkMessage === this.message ? ERROR_MESSAGES.transfer.quotaExceeded : this.message;
+            case ERROR_CATEGORIES.RATE_LIMITED:
+                return ERROR_MESSAGES.api.rateLimited;
+            case ERROR_CATEGORIES.CANCELLED:
+                return ERROR_MESSAGES.transfer.cancelled;
+            case ERROR_CATEGORIES.NETWORK:
+                if (this.timeout) return ERROR_MESSAGES.network.timeout;
+                if (this.status >= 500) return ERROR_MESSAGES.network.serverError;
+                return navigator.onLine === false ? ERROR_MESSAGES.network.offline : ERROR_MESSAGES.network.unreachable;
+            default:
+                return this.message;
+        }
+    }
+}
+
+export default QuarkApiError;
@@ -1,7 +1,31 @@
-import { generateTimestamp, generateRandomDelay } from '../utils/timeUtils.js';
-import { getIdFromUrl } from '../utils/urlUtils.js';
+import { generateTimestamp, generateRandomDelay, delay } from '../utils/timeUtils.js';
+import { getIdFromUrl, getPasscodeFromUrl } from '../utils/urlUtils.js';
+import { getExpiryDate } from '../utils/shareUtils.js';
+import { isFolder, formatFileSize, getRecordFileType } from '../utils/fileUtils.js';
+import { getUniqueFileName } from '../utils/conflictUtils.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { API_CONFIG, DEFAULT_SETTINGS, ERROR_MESSAGES } from '../config/constants.js';
+import { QuarkApiError, ERROR_CATEGORIES, STEP_LABELS } from './QuarkApiError.js';
+
+// 单个保存任务提交的最大文件数
+const SAVE_BATCH_SIZE = 100;
+
+// 分享详情分页大小
+const DETAIL_PAGE_SIZE = 50;
+
+// 检查空间时最多展开的分享内文件夹数
+const QUOTA_MAX_FOLDERS = 20;
+
+// 网盘目录列表默认分页大小
+const DRIVE_PAGE_SIZE = 100;
+
+// 异步任务默认轮询次数（每次间隔约1秒）
+export const TASK_MAX_TRIES = 10;
 
 class QuarkWebService {
+    // 所有实例共享的限流器，限制各面板合计的每秒请求数
+    static rateLimiter = new RateLimiter({ rate: DEFAULT_SETTINGS.requestsPerSecond });
+
     constructor(cookie, logger, options = {}) {
         this.cookie = cookie;
         this.logger = logger;
@@ -60,44 +84,98 @@ class QuarkWebService {
         return this.useProxy ? `${this.proxyUrl}${path}` : `${this.baseUrl}${path}`;
     }
 
+    /**
+     * 发送请求
+     * 失败时抛出 QuarkApiError；HTTP 成功但夸克返回非零 code 同样视为失败
+     * 每次尝试前先从共享限流器取得令牌，遇到限流时限流器整体退避
+     * @param {string} path - 请求路径
+     * @param {Object} options - fetch 选项，signal 为调用方的取消信号
+     * @param {number} retries - 最大尝试次数，仅网络错误和限流会重试
+     * @returns {Promise<Object>} 响应体
+     * @throws {QuarkApiError} signal 中止时分类为 CANCELLED，不再重试
+     */
     async request(path, options = {}, retries = 3) {
+        const { signal, ...fetchOptions } = options;
         let lastError;
 
+        const { rateLimiter } = QuarkWebService;
+
         for (let attempt = 1; attempt <= retries; attempt++) {
             try {
+                await rateLimiter.acquire(signal);
+
+                if (signal?.aborted) {
+                    throw QuarkApiError.cancelled();
+                }
+
                 const url = this.buildUrl(path);
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+                const onAbort = () => controller.abort();
+                signal?.addEventListener('abort', onAbort, { once: true });
+
+                let response;
+                try {
+                    response = await fetch(url, {
+                        ...fetchOptions,
+                        headers: { ...this.headers, ...fetchOptions.headers },
+                        signal: controller.signal
+                    });
+                } catch (fetchError) {
+                    throw QuarkApiError.fromNetworkError(fetchError, signal);
+                } finally {
+                    clearTimeout(timeoutId);
+                    signal?.removeEventListener('abort', onAbort);
+                }
 
-                const response = await fetch(url, {
-                    ...options,
-                    headers: { ...this.headers, ...options.headers },
-                    signal: controller.signal
-                });
-
-                clearTimeout(timeoutId);
+                const text = await response.text().catch(() => response.statusText);
+                let data = null;
+                try {
+                    data = JSON.parse(text);
+                } catch (parseError) {
+                    data = null;
+                }
 
                 if (!response.ok) {
-                    const errorText = await response.text().catch(() => response.statusText);
-                    throw new Error(`HTTP ${response.status}: ${errorText}`);
+                    throw QuarkApiError.fromResponse(response.status, data, text);
+                }
+
+                if (!data) {
+                    throw new QuarkApiError('响应格式异常', { status: response.status, category: ERROR_CATEGORIES.UNKNOWN });
                 }
 
-                return await response.json();
+                if (typeof data.code === 'number' && data.code !== 0) {
+                    throw QuarkApiError.fromResponse(response.status, data, text);
+                }
+
+                rateLimiter.recordSuccess();
+                return data;
 
             } catch (error) {
                 lastError = error;
 
-                if (error.name === 'AbortError') {
-                    this.logger.warn(`请求超时 (${attempt}/${retries}): ${path}`);
-                } else if (error.message.includes('ECONNRESET') || error.message.includes('network')) {
-                    this.logger.warn(`网络错误 (${attempt}/${retries}): ${path}`);
+                if (error.cancelled) {
+                    this.logger.info(`请求已取消: ${path}`);
+                    throw error;
+                }
+
+                if (error.category === ERROR_CATEGORIES.NETWORK) {
+                    this.logger.warn(`${error.timeout ? '请求超时' : '网络错误'} (${attempt}/${retries}): ${path}`);
                 } else {
-                    this.logger.error(`请求失败 (${attempt}/${retries}): ${path}`, error);
+                    this.logger.error(`请求失败 (${attempt}/${retries}): ${path}`, error.message);
+                }
+
+                // 业务错误（如提取码错误、分享失效、Cookie失效）重试无意义
+                if (!error.retryable) {
+                    break;
                 }
 
-                if (attempt < retries) {
-                    const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
+                // 限流时由限流器暂停所有请求，下次取令牌即完成等待
+                if (error.category === ERROR_CATEGORIES.RATE_LIMITED) {
+                    const backoff = rateLimiter.backoff();
+                    this.logger.warn(`触发限流，${Math.round(backoff / 1000)} 秒后继续请求`);
+                } else if (attempt < retries) {
+                    await delay(Math.min(1000 * Math.pow(2, attempt - 1), 5000), signal);
                 }
             }
         }
@@ -118,51 +196,148 @@ class QuarkWebService {
             return { success: false, message: 'Cookie无效或已过期' };
         } catch (error) {
             this.logger.error('Cookie连接测试失败:', error.message);
-            return { success: false, message: `连接测试失败: ${error.message}` };
+            const message = error instanceof QuarkApiError ? error.getUserMessage() : error.message;
+            return { success: false, message: `连接测试失败: ${message}` };
         }
     }
 
-    async store(url, progressCallback) {
+    /**
+     * 转存分享链接并生成新的分享
+     * @param {string} url - 分享链接
+     * @param {Function} progressCallback - 进度回调 (step, message, progress)
+     * @param {Object} options - 转存选项
+     * @param {string} options.passcode - 提取码，未提供时从链接的 pwd 参数读取
+     * @param {Array<Object>} options.selection - 只转存选中的分享条目（来自分享浏览器），为空时转存全部
+     * @param {string} options.toPdirFid - 保存到网盘中的目录ID，默认为根目录
+     * @param {Object} options.share - 新分享的选项 {expiredType, passcode}，默认永久公开
+     * @param {string} options.title - 自定义名称，用作新分享的标题和转存记录的文件名
+     * @param {number} options.taskMaxTries - 保存和分享任务的轮询次数，大文件转存较慢时可调大
+     * @param {string} options.conflictPolicy - 目标目录已有同名文件时的策略 (skip, rename, overwrite)，为空时不检查
+     * @param {boolean} options.checkQuota - 保存前检查网盘剩余空间，不足时以 QUOTA_EXCEEDED 失败
+     * @param {AbortSignal} options.signal - 取消信号
+     * @returns {Promise<Object>} 转存结果；失败时 error 为 QuarkApiError，需要提取码时 needPasscode 为 true；
+     *   取消时 cancelled 为 true，cancelledStep 为取消时的步骤，partial 为已保存到网盘但未分享的文件；
+     *   按冲突策略全部跳过时 skipped 为 true；conflict 为冲突处理结果 {policy, conflicts}
+     */
+    async store(url, progressCallback, options = {}) {
+        const { signal } = options;
+        const toPdirFid = options.toPdirFid || '0';
+        const taskMaxTries = options.taskMaxTries || TASK_MAX_TRIES;
+        const fileIds = [];
+        const savedItems = [];
+        let currentStep = { step: 1, name: '解析链接' };
+        let fileName = '';
+        let saveTaskPending = false;
+
+        const reportProgress = (step, name, progress, message = name) => {
+            currentStep = { step, name };
+            progressCallback?.(step, message, progress);
+        };
+
         try {
             this.logger.info(`开始转存文件: ${url}`);
 
-            progressCallback?.(1, '解析链接', 10);
+            reportProgress(1, '解析链接', 10);
             const pwdId = getIdFromUrl(url);
             if (!pwdId) throw new Error('无法从链接中提取文件ID');
+            const passcode = options.passcode || getPasscodeFromUrl(url);
+
+            this.throwIfCancelled(signal);
+            reportProgress(2, '获取分享令牌', 20);
+            const stoken = await this.getStoken(pwdId, passcode, signal);
+
+            this.throwIfCancelled(signal);
+            reportProgress(3, '获取文件详情', 40);
+            let items = options.selection;
+            let shareTitle = '';
+            if (!items?.length) {
+                const detail = await this.detail(pwdId, stoken, signal);
+                items = detail.items;
+                shareTitle = detail.shareTitle;
+            }
 
-            progressCallback?.(2, '获取分享令牌', 20);
-            const stoken = await this.getStoken(pwdId);
-            if (!stoken) throw new Error('获取分享令牌失败');
+            let conflict = null;
+            if (options.conflictPolicy) {
+                this.throwIfCancelled(signal);
+                reportProgress(3, '检查目标目录', 50);
+                conflict = await this.resolveNameConflicts(items, toPdirFid, options.conflictPolicy, signal);
+                items = conflict.items;
+
+                if (items.length === 0) {
+                    const names = conflict.conflicts.map(item => item.name).join('、');
+                    const message = `目标目录已有同名文件，已跳过: ${names}`;
+                    this.logger.info(message);
+                    progressCallback?.(5, message, 100);
+                    return {
+                        success: false,
+                        skipped: true,
+                        message,
+                        needPasscode: false,
+                        conflict: { policy: conflict.policy, conflicts: conflict.conflicts }
+                    };
+                }
+            }
+
+            if (options.checkQuota) {
+                this.throwIfCancelled(signal);
+                reportProgress(3, '检查网盘空间', 55);
+                await this.ensureQuota(items, { pwdId, stoken }, signal);
+            }
 
-            progressCallback?.(3, '获取文件详情', 40);
-            const detail = await this.detail(pwdId, stoken);
-            if (!detail) throw new Error('获取文件详情失败');
+            const singleName = items.length === 1 ? (conflict?.renames.get(items[0].fid) || items[0].file_name) : '';
+            fileName = options.title || singleName || shareTitle || `${items[0].file_name} 等${items.length}个文件`;
 
-            const fileName = detail.title;
+            this.throwIfCancelled(signal);
+            reportProgress(4, '执行转存任务', 60);
+            const batches = this.buildSaveBatches(items);
 
-            progressCallback?.(4, '执行转存任务', 60);
-            const saveTaskId = await this.saveTaskId(pwdId, stoken, detail.fid, detail.share_fid_token);
-            if (!saveTaskId) throw new Error('获取保存任务ID失败');
+            for (let i = 0; i < batches.length; i++) {
+                const batch = batches[i];
+                if (batches.length > 1) {
+                    reportProgress(4, '执行转存任务', 60 + Math.round((i / batches.length) * 20), `执行转存任务 (${i + 1}/${batches.length})`);
+                }
 
-            const taskResponse = await this.task(saveTaskId);
-            if (!taskResponse?.data?.save_as?.save_as_top_fids?.length) {
-                throw new Error('执行保存任务失败');
-            }
+                this.throwIfCancelled(signal);
+                const saveTaskId = await this.saveTaskId(
+                    pwdId,
+                    stoken,
+                    batch.items.map(item => item.fid),
+                    batch.items.map(item => item.share_fid_token),
+                    toPdirFid,
+                    batch.pdirFid,
+                    signal
+                );
+
+                // 任务已提交，此后取消时服务端可能仍会完成保存
+                saveTaskPending = true;
+                const taskResponse = await this.task(saveTaskId, taskMaxTries, signal);
+                if (!taskResponse.data?.save_as?.save_as_top_fids?.length) {
+                    throw new QuarkApiError('保存任务未返回文件', { step: 'task', category: ERROR_CATEGORIES.UNKNOWN });
+                }
 
-            const fileId = taskResponse.data.save_as.save_as_top_fids[0];
+                const topFids = taskResponse.data.save_as.save_as_top_fids;
+                fileIds.push(...topFids);
+                // 返回的文件ID与提交的条目一一对应时才能按条目重命名
+                savedItems.push(...(topFids.length === batch.items.length ? batch.items : topFids.map(() => null)));
+                saveTaskPending = false;
+            }
 
-            progressCallback?.(5, '生成分享链接', 80);
-            const shareTaskId = await this.shareTaskId(fileId, fileName);
-            if (!shareTaskId) throw new Error('创建分享任务失败');
+            if (conflict?.replacements.size) {
+                await this.replaceOverwrittenItems(fileIds, savedItems, conflict, toPdirFid, signal);
+            }
 
-            const shareTaskResponse = await this.task(shareTaskId);
-            if (!shareTaskResponse?.data?.share_id) {
-                throw new Error('执行分享任务失败');
+            if (conflict?.renames.size) {
+                await this.renameSavedItems(fileIds, savedItems, conflict);
+                if (!options.title && items.length === 1 && conflict.conflicts.some(c => c.renameFailed)) {
+                    fileName = items[0].file_name;
+                }
             }
 
-            const shareId = shareTaskResponse.data.share_id;
-            const shareLink = await this.getShareLink(shareId);
-            if (!shareLink) throw new Error('获取分享链接失败');
+            const fileId = fileIds[0];
+
+            this.throwIfCancelled(signal);
+            reportProgress(5, '生成分享链接', 80);
+            const share = await this.shareFiles(fileIds, fileName, options.share, signal, taskMaxTries);
 
             progressCallback?.(5, '转存完成', 100);
 
@@ -172,72 +347,484 @@ class QuarkWebService {
                 message: `文件转存成功: ${fileName}`,
                 data: {
                     fileId,
+                    fileIds,
+                    fileCount: fileIds.length,
                     fileName,
-                    fileType: detail.file_type,
-                    shareLink
+                    fileType: getRecordFileType(items),
+                    fileSize: this.getItemsSize(items),
+                    shareLink: share.shareLink,
+                    passcode,
+                    saveFolderFid: toPdirFid,
+                    shareExpiredType: share.shareExpiredType,
+                    sharePasscode: share.sharePasscode,
+                    expiryDate: share.expiryDate,
+                    conflict: conflict ? { policy: conflict.policy, conflicts: conflict.conflicts } : null
                 }
             };
 
         } catch (error) {
-            this.logger.error('转存失败:', error.message);
-            progressCallback?.(-1, `转存失败: ${error.message}`, 0);
-            return { success: false, message: `转存失败: ${error.message}` };
+            const apiError = QuarkApiError.wrap(error, '');
+
+            if (apiError.cancelled) {
+                return this.buildCancelledResult(apiError, currentStep, {
+                    fileIds,
+                    fileName,
+                    saveFolderFid: toPdirFid,
+                    pending: saveTaskPending
+                }, progressCallback);
+            }
+
+            const stepLabel = STEP_LABELS[apiError.step];
+            const message = `转存失败${stepLabel ? `（${stepLabel}）` : ''}: ${apiError.getUserMessage()}`;
+
+            this.logger.error('转存失败:', { message: apiError.message, step: apiError.step, category: apiError.category, status: apiError.status, code: apiError.code });
+            progressCallback?.(-1, message, 0);
+            return {
+                success: false,
+                message,
+                error: apiError,
+                needPasscode: apiError.needPasscode
+            };
+        }
+    }
+
+    /**
+     * 获取网盘容量
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{total: number, used: number, free: number}>} 总容量、已用和剩余空间（字节）
+     */
+    async getCapacity(signal) {
+        const params = new URLSearchParams({
+            pr: 'ucpro',
+            fr: 'pc',
+            uc_param_str: '',
+            fetch_subscribe: 'true',
+            _ch: 'home',
+            fetch_identity: 'true'
+        });
+
+        const response = await this.request(`${API_CONFIG.endpoints.member}?${params}`, { signal });
+        const total = Number(response?.data?.total_capacity) || 0;
+        const used = Number(response?.data?.use_capacity) || 0;
+
+        return { total, used, free: Math.max(total - used, 0) };
+    }
+
+    /**
+     * 计算分享条目的大小
+     * 分享详情中文件夹不带大小，只统计文件
+     * @param {Array<Object>} items - 分享条目
+     * @returns {number} 字节数
+     */
+    getItemsSize(items) {
+        return items.reduce((sum, item) => sum + (isFolder(item) ? 0 : Number(item.size) || 0), 0);
+    }
+
+    /**
+     * 计算分享条目连同文件夹内容的大小
+     * 逐层列出文件夹统计其中的文件，展开的文件夹超过 QUOTA_MAX_FOLDERS 个时停止，结果只包含已统计的部分
+     * @param {Array<Object>} items - 分享条目
+     * @param {{pwdId: string, stoken: string}} share - 分享ID与令牌
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{size: number, complete: boolean}>} 字节数，complete 表示是否统计了全部内容
+     */
+    async getShareItemsSize(items, share, signal) {
+        let size = this.getItemsSize(items);
+        const folders = items.filter(item => isFolder(item)).map(item => item.fid);
+
+        for (let listed = 0; folders.length > 0; listed++) {
+            if (listed >= QUOTA_MAX_FOLDERS) return { size, complete: false };
+
+            this.throwIfCancelled(signal);
+            const { list } = await this.listShareFiles(share.pwdId, share.stoken, folders.shift(), signal);
+            size += this.getItemsSize(list);
+            folders.push(...list.filter(item => isFolder(item)).map(item => item.fid));
+        }
+
+        return { size, complete: true };
+    }
+
+    /**
+     * 保存前检查剩余空间
+     * 文件夹的大小通过列出其内容统计；容量查询失败时只记录警告，由保存任务本身报告结果
+     * @param {Array<Object>} items - 待保存的分享条目
+     * @param {{pwdId: string, stoken: string}} share - 分享ID与令牌，用于列出文件夹内容
+     * @param {AbortSignal} signal - 取消信号
+     * @throws {QuarkApiError} 空间不足时分类为 QUOTA_EXCEEDED
+     */
+    async ensureQuota(items, share, signal) {
+        let measured;
+        try {
+            measured = await this.getShareItemsSize(items, share, signal);
+        } catch (error) {
+            const apiError = QuarkApiError.wrap(error, 'detail');
+            if (apiError.cancelled || apiError.category === ERROR_CATEGORIES.AUTH_EXPIRED) throw apiError;
+            this.logger.warn('统计文件夹大小失败，只按文件大小检查空间:', apiError.message);
+            measured = { size: this.getItemsSize(items), complete: false };
+        }
+
+        const { size, complete } = measured;
+        if (size === 0 && complete) return;
+
+        let capacity;
+        try {
+            capacity = await this.getCapacity(signal);
+        } catch (error) {
+            const apiError = QuarkApiError.wrap(error, 'save');
+            if (apiError.cancelled || apiError.category === ERROR_CATEGORIES.AUTH_EXPIRED) throw apiError;
+            this.logger.warn('获取网盘容量失败，跳过空间检查:', apiError.message);
+            return;
+        }
+
+        if (capacity.total > 0 && size > capacity.free) {
+            throw new QuarkApiError(
+                `${ERROR_MESSAGES.transfer.quotaExceeded}：需要 ${formatFileSize(size)}，剩余 ${capacity.free > 0 ? formatFileSize(capacity.free) : '0 B'}`,
+                { step: 'save', category: ERROR_CATEGORIES.QUOTA_EXCEEDED }
+            );
+        }
+
+        if (!complete) {
+            this.logger.warn(`分享内容未能全部统计，空间检查按已统计的 ${size > 0 ? formatFileSize(size) : '0 B'} 进行，保存时仍可能空间不足`);
+        }
+    }
+
+    /**
+     * 按冲突策略处理目标目录中的同名条目
+     * skip 去掉同名条目；overwrite 记下要替换的旧文件，新文件保存成功后才移入回收站；rename 记下保存后要改成的新名称
+     * @param {Array<Object>} items - 待保存的分享条目
+     * @param {string} toPdirFid - 目标目录ID
+     * @param {string} policy - 冲突策略 (skip, rename, overwrite)
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{policy: string, items: Array, renames: Map<string, string>, replacements: Map<string, string>, conflicts: Array}>}
+     *   items 为仍需保存的条目，renames 为分享条目ID到新名称的映射，replacements 为分享条目ID到被覆盖的旧文件ID的映射
+     */
+    async resolveNameConflicts(items, toPdirFid, policy, signal) {
+        const existing = await this.getDriveNames(toPdirFid, signal);
+        const usedNames = new Set([...existing.keys(), ...items.map(item => item.file_name)]);
+        const renames = new Map();
+        const replacements = new Map();
+        const conflicts = [];
+
+        const keptItems = items.filter(item => {
+            const existingFid = existing.get(item.file_name);
+            if (!existingFid) return true;
+
+            if (policy === 'skip') {
+                conflicts.push({ name: item.file_name, action: 'skip' });
+                return false;
+            }
+
+            if (policy === 'overwrite') {
+                replacements.set(item.fid, existingFid);
+                conflicts.push({ name: item.file_name, action: 'overwrite' });
+                return true;
+            }
+
+            const newName = getUniqueFileName(item.file_name, usedNames, isFolder(item));
+            usedNames.add(newName);
+            renames.set(item.fid, newName);
+            conflicts.push({ name: item.file_name, action: 'rename', newName });
+            return true;
+        });
+
+        return { policy, items: keptItems, renames, replacements, conflicts };
+    }
+
+    /**
+     * 逐页读取网盘目录下的全部条目
+     * @param {string} pdirFid - 目录ID
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<Array<Object>>} 条目列表
+     */
+    async listAllDriveFiles(pdirFid, signal) {
+        const files = [];
+        let page = 1;
+
+        while (true) {
+            this.throwIfCancelled(signal);
+            const { list, total } = await this.listDriveFiles(pdirFid, { page, signal });
+            files.push(...list);
+
+            if (list.length === 0 || page * DRIVE_PAGE_SIZE >= total) break;
+            page++;
+        }
+
+        return files;
+    }
+
+    /**
+     * 读取网盘目录下所有条目的名称
+     * @param {string} pdirFid - 目录ID
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<Map<string, string>>} 名称到文件ID的映射
+     */
+    async getDriveNames(pdirFid, signal) {
+        const files = await this.listAllDriveFiles(pdirFid, signal);
+        return new Map(files.map(file => [file.file_name, file.fid]));
+    }
+
+    /**
+     * 将保存后的同名条目改为新名称
+     * 文件已经保存，重命名失败只记录在冲突结果中，不中断转存
+     * @param {Array<string>} fileIds - 保存后的文件ID
+     * @param {Array<Object|null>} savedItems - 与 fileIds 对应的分享条目，无法对应时为 null
+     * @param {Object} conflict - resolveNameConflicts 的结果
+     */
+    async renameSavedItems(fileIds, savedItems, conflict) {
+        for (let i = 0; i < fileIds.length; i++) {
+            const item = savedItems[i];
+            const newName = item && conflict.renames.get(item.fid);
+            if (!newName) continue;
+
+            const entry = conflict.conflicts.find(c => c.action === 'rename' && c.newName === newName);
+            try {
+                await this.renameFile(fileIds[i], newName);
+            } catch (error) {
+                this.logger.warn(`同名文件重命名失败: ${item.file_name}`, error.message);
+                if (entry) entry.renameFailed = true;
+            }
+        }
+
+        // 无法与保存结果对应的条目没有重命名
+        const renamedFids = new Set(savedItems.filter(Boolean).map(item => item.fid));
+        conflict.renames.forEach((newName, fid) => {
+            if (renamedFids.has(fid)) return;
+            const entry = conflict.conflicts.find(c => c.action === 'rename' && c.newName === newName);
+            if (entry) entry.renameFailed = true;
+        });
+    }
+
+    /**
+     * 覆盖策略下，新文件全部保存成功后再把同名旧文件移入回收站（可在回收站恢复）
+     * 保存时旧文件仍在，网盘会给新文件改名，旧文件删除后再改回原名称；
+     * 删除或改名失败只记录在冲突结果中，新文件已经保存，不中断转存
+     * @param {Array<string>} fileIds - 保存后的文件ID
+     * @param {Array<Object|null>} savedItems - 与 fileIds 对应的分享条目，无法对应时为 null
+     * @param {Object} conflict - resolveNameConflicts 的结果
+     * @param {string} toPdirFid - 目标目录ID
+     * @param {AbortSignal} signal - 取消信号
+     */
+    async replaceOverwrittenItems(fileIds, savedItems, conflict, toPdirFid, signal) {
+        const entries = conflict.conflicts.filter(c => c.action === 'overwrite');
+
+        this.throwIfCancelled(signal);
+        this.logger.info(`覆盖同名文件，旧文件移入回收站: ${conflict.replacements.size} 个`);
+        try {
+            await this.deleteFiles([...conflict.replacements.values()], signal);
+        } catch (error) {
+            if (QuarkApiError.wrap(error, 'file').cancelled) throw error;
+            this.logger.warn('同名旧文件移入回收站失败', error.message);
+            entries.forEach(entry => { entry.replaceFailed = true; });
+            return;
+        }
+
+        const savedNames = new Map([...(await this.getDriveNames(toPdirFid, signal))].map(([name, fid]) => [fid, name]));
+        for (let i = 0; i < fileIds.length; i++) {
+            const item = savedItems[i];
+            if (!item || !conflict.replacements.has(item.fid) || savedNames.get(fileIds[i]) === item.file_name) continue;
+
+            try {
+                await this.renameFile(fileIds[i], item.file_name);
+            } catch (error) {
+                this.logger.warn(`覆盖后改回原名称失败: ${item.file_name}`, error.message);
+                const entry = entries.find(c => c.name === item.file_name);
+                if (entry) entry.renameFailed = true;
+            }
+        }
+    }
+
+    /**
+     * 取消信号已中止时抛出取消错误
+     * @param {AbortSignal} signal - 取消信号
+     * @throws {QuarkApiError} 分类为 CANCELLED
+     */
+    throwIfCancelled(signal) {
+        if (signal?.aborted) {
+            throw QuarkApiError.cancelled();
+        }
+    }
+
+    /**
+     * 构建取消后的转存结果
+     * 已保存到网盘的文件（或已提交但未确认的保存任务）通过 partial 返回，避免文件悄悄留在网盘里
+     * @param {QuarkApiError} error - 取消错误
+     * @param {{step: number, name: string}} currentStep - 取消时所在的步骤
+     * @param {Object} saved - 已保存的文件 {fileIds, fileName, saveFolderFid, pending}
+     * @param {Function} progressCallback - 进度回调
+     * @returns {Object} 转存结果
+     */
+    buildCancelledResult(error, currentStep, saved, progressCallback) {
+        const partial = saved.fileIds.length > 0 || saved.pending ? {
+            fileId: saved.fileIds[0] || '',
+            fileIds: [...saved.fileIds],
+            fileCount: saved.fileIds.length,
+            fileName: saved.fileName,
+            saveFolderFid: saved.saveFolderFid,
+            pending: saved.pending
+        } : null;
+
+        let message = `已在第${currentStep.step}步（${currentStep.name}）取消转存`;
+        if (partial?.fileCount) {
+            message += `，已有 ${partial.fileCount} 个文件保存到网盘但未生成分享`;
+        }
+        if (partial?.pending) {
+            message += '，提交的保存任务可能仍会在后台完成，请到网盘中核对';
         }
+
+        this.logger.warn('转存已取消:', { step: currentStep.step, name: currentStep.name, savedFiles: saved.fileIds.length, pending: saved.pending });
+        progressCallback?.(-1, message, 0);
+        return {
+            success: false,
+            cancelled: true,
+            cancelledStep: currentStep.step,
+            message,
+            error,
+            needPasscode: false,
+            partial
+        };
+    }
+
+    /**
+     * 按分享内的父目录分组并切分保存批次
+     * 同一保存任务只能提交同一目录下的条目
+     * @param {Array<Object>} items - 分享条目，share_pdir_fid 为其在分享中的父目录
+     * @returns {Array<{pdirFid: string, items: Array}>} 保存批次
+     */
+    buildSaveBatches(items) {
+        const groups = new Map();
+        items.forEach(item => {
+            const pdirFid = item.share_pdir_fid || '0';
+            if (!groups.has(pdirFid)) groups.set(pdirFid, []);
+            groups.get(pdirFid).push(item);
+        });
+
+        const batches = [];
+        groups.forEach((groupItems, pdirFid) => {
+            for (let i = 0; i < groupItems.length; i += SAVE_BATCH_SIZE) {
+                batches.push({ pdirFid, items: groupItems.slice(i, i + SAVE_BATCH_SIZE) });
+            }
+        });
+
+        return batches;
     }
 
-    async getStoken(pwdId) {
+    /**
+     * 获取分享令牌
+     * @param {string} pwdId - 分享ID
+     * @param {string} passcode - 提取码
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<string>} stoken
+     * @throws {QuarkApiError} 需要提取码或提取码错误时分类为 PASSCODE_REQUIRED
+     */
+    async getStoken(pwdId, passcode = '', signal) {
         try {
             const timestamp = generateTimestamp(13);
             const path = `/1/clouddrive/share/sharepage/token?pr=ucpro&fr=pc&uc_param_str=&__dt=405&__t=${timestamp}`;
 
             const response = await this.request(path, {
                 method: 'POST',
-                body: JSON.stringify({ pwd_id: pwdId, passcode: "" })
+                body: JSON.stringify({ pwd_id: pwdId, passcode }),
+                signal
             });
 
-            return response?.data?.stoken || '';
+            if (!response.data?.stoken) {
+                throw new QuarkApiError(response.message || '未返回分享令牌', { quarkMessage: response.message });
+            }
+
+            return response.data.stoken;
         } catch (error) {
-            this.logger.error('获取stoken失败:', error.message);
-            return '';
+            const apiError = QuarkApiError.wrap(error, 'token');
+            if (apiError.needPasscode) {
+                apiError.message = passcode ? '提取码错误' : '该分享需要提取码';
+            }
+            throw apiError;
         }
     }
 
-    async detail(pwdId, stoken) {
+    /**
+     * 获取分享详情
+     * 保留首个文件的字段以兼容单文件调用方，items 包含分享根目录下的全部条目
+     * @param {string} pwdId - 分享ID
+     * @param {string} stoken - 分享令牌
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<Object>} 分享详情
+     * @throws {QuarkApiError} 分享为空时分类为 SHARE_EXPIRED
+     */
+    async detail(pwdId, stoken, signal) {
         try {
-            const timestamp = generateTimestamp(13);
-            const params = new URLSearchParams({
-                pwd_id: pwdId,
-                stoken: stoken,
-                pdir_fid: '0',
-                _page: '1',
-                _size: '50',
-                force: '0',
-                __dt: '21192',
-                __t: timestamp
-            });
-
-            const path = `/1/clouddrive/share/sharepage/detail?${params}`;
-            const response = await this.request(path);
+            const { share, list } = await this.listShareFiles(pwdId, stoken, '0', signal);
 
-            if (response?.data?.list?.length > 0) {
-                const idList = response.data.list[0];
+            if (list.length > 0) {
+                const idList = list[0];
                 return {
                     title: idList.file_name,
                     file_type: idList.file_type,
                     fid: idList.fid,
                     pdir_fid: idList.pdir_fid,
-                    share_fid_token: idList.share_fid_token
+                    share_fid_token: idList.share_fid_token,
+                    size: idList.size,
+                    shareTitle: share?.title || '',
+                    items: list
                 };
             }
 
-            return null;
+            throw new QuarkApiError('分享中没有文件', { category: ERROR_CATEGORIES.SHARE_EXPIRED });
         } catch (error) {
-            this.logger.error('获取文件详情失败:', error.message);
-            return null;
+            throw QuarkApiError.wrap(error, 'detail');
+        }
+    }
+
+    /**
+     * 分页获取分享目录下的全部条目
+     * @param {string} pwdId - 分享ID
+     * @param {string} stoken - 分享令牌
+     * @param {string} pdirFid - 分享内的目录ID，根目录为 '0'
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<{share: Object, list: Array}>} 分享信息与条目列表
+     */
+    async listShareFiles(pwdId, stoken, pdirFid = '0', signal) {
+        const list = [];
+        let share = null;
+
+        for (let page = 1; ; page++) {
+            const params = new URLSearchParams({
+                pwd_id: pwdId,
+                stoken: stoken,
+                pdir_fid: pdirFid,
+                _page: String(page),
+                _size: String(DETAIL_PAGE_SIZE),
+                _fetch_total: '1',
+                force: '0',
+                __dt: '21192',
+                __t: generateTimestamp(13)
+            });
+
+            const response = await this.request(`/1/clouddrive/share/sharepage/detail?${params}`, { signal })
+                .catch(error => { throw QuarkApiError.wrap(error, 'detail'); });
+            const pageList = response?.data?.list || [];
+            share = share || response?.data?.share || null;
+            list.push(...pageList);
+
+            const total = response?.metadata?._total;
+            const hasMore = total !== undefined ? list.length < total : pageList.length === DETAIL_PAGE_SIZE;
+            if (!hasMore || pageList.length === 0) break;
         }
+
+        return { share, list };
     }
 
-    async saveTaskId(pwdId, stoken, firstId, shareFidToken, toPdirFid = "0") {
+    /**
+     * 提交保存任务
+     * @param {string} pwdId - 分享ID
+     * @param {string} stoken - 分享令牌
+     * @param {string|Array<string>} fidList - 要保存的文件ID（单个或列表）
+     * @param {string|Array<string>} fidTokenList - 与 fidList 对应的 share_fid_token
+     * @param {string} toPdirFid - 目标目录ID
+     * @param {string} pdirFid - 条目在分享中的父目录ID
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<string>} 任务ID
+     */
+    async saveTaskId(pwdId, stoken, fidList, fidTokenList, toPdirFid = "0", pdirFid = "0", signal) {
         try {
             const params = new URLSearchParams({
                 pr: "ucpro",
@@ -251,80 +838,310 @@ class QuarkWebService {
             const response = await this.request(path, {
                 method: 'POST',
                 body: JSON.stringify({
-                    fid_list: [firstId],
-                    fid_token_list: [shareFidToken],
+                    fid_list: [].concat(fidList),
+                    fid_token_list: [].concat(fidTokenList),
                     to_pdir_fid: toPdirFid,
                     pwd_id: pwdId,
                     stoken: stoken,
-                    pdir_fid: "0",
+                    pdir_fid: pdirFid,
                     scene: "link"
-                })
+                }),
+                signal
             });
 
-            return response?.data?.task_id || '';
+            if (!response.data?.task_id) {
+                throw new QuarkApiError(response.message || '未返回保存任务ID', { quarkMessage: response.message });
+            }
+
+            return response.data.task_id;
         } catch (error) {
-            this.logger.error('获取保存任务ID失败:', error.message);
-            return '';
+            throw QuarkApiError.wrap(error, 'save');
         }
     }
 
-    async task(taskId, maxTries = 10) {
+    /**
+     * 轮询异步任务直到完成
+     * @param {string} taskId - 任务ID
+     * @param {number} maxTries - 最大轮询次数
+     * @param {AbortSignal} signal - 取消信号，中止时立即停止轮询
+     * @returns {Promise<Object>} 任务完成时的响应
+     * @throws {QuarkApiError} 超过轮询次数仍未完成时分类为 NETWORK，取消时分类为 CANCELLED
+     */
+    async task(taskId, maxTries = TASK_MAX_TRIES, signal) {
         try {
             for (let i = 0; i < maxTries; i++) {
                 const timestamp = generateTimestamp(13);
                 const path = `/1/clouddrive/task?pr=ucpro&fr=pc&uc_param_str=&task_id=${taskId}&retry_index=${i}&__dt=21192&__t=${timestamp}`;
 
-                const response = await this.request(path);
+                const response = await this.request(path, { signal });
 
                 if (response?.data?.status) {
                     return response;
                 }
 
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                await delay(1000, signal);
+                this.throwIfCancelled(signal);
             }
 
-            return null;
+            throw new QuarkApiError(`任务在 ${maxTries} 次查询后仍未完成`, { category: ERROR_CATEGORIES.NETWORK, timeout: true });
         } catch (error) {
-            this.logger.error('执行任务失败:', error.message);
-            return null;
+            throw QuarkApiError.wrap(error, 'task');
         }
     }
 
-    async shareTaskId(fileId, fileName) {
+    /**
+     * 创建分享任务
+     * @param {string|Array<string>} fileIds - 要分享的文件ID
+     * @param {string} fileName - 分享标题
+     * @param {Object} shareOptions - 分享选项
+     * @param {number} shareOptions.expiredType - 有效期类型：1 永久、2 一天、3 七天、4 三十天
+     * @param {string} shareOptions.passcode - 提取码，为空时生成公开分享
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<string>} 任务ID
+     */
+    async shareTaskId(fileIds, fileName, shareOptions = {}, signal) {
         try {
             const path = "/1/clouddrive/share?pr=ucpro&fr=pc&uc_param_str=";
+            const body = {
+                fid_list: [].concat(fileIds),
+                title: fileName,
+                url_type: shareOptions.passcode ? 2 : 1,
+                expired_type: shareOptions.expiredType || 1
+            };
+            if (shareOptions.passcode) {
+                body.passcode = shareOptions.passcode;
+            }
 
             const response = await this.request(path, {
                 method: 'POST',
-                body: JSON.stringify({
-                    fid_list: [fileId],
-                    title: fileName,
-                    url_type: 1,
-                    expired_type: 1
-                })
+                body: JSON.stringify(body),
+                signal
             });
 
-            return response?.data?.task_id || '';
+            if (!response.data?.task_id) {
+                throw new QuarkApiError(response.message || '未返回分享任务ID', { quarkMessage: response.message });
+            }
+
+            return response.data.task_id;
         } catch (error) {
-            this.logger.error('创建分享任务失败:', error.message);
-            return '';
+            throw QuarkApiError.wrap(error, 'share');
         }
     }
 
-    async getShareLink(shareId) {
+    /**
+     * 为网盘中的文件创建分享并获取链接
+     * @param {string|Array<string>} fileIds - 要分享的文件ID
+     * @param {string} title - 分享标题
+     * @param {Object} shareOptions - 分享选项 {expiredType, passcode}
+     * @param {AbortSignal} signal - 取消信号
+     * @param {number} taskMaxTries - 分享任务的轮询次数
+     * @returns {Promise<Object>} 分享信息 {shareId, shareLink, shareExpiredType, sharePasscode, expiryDate}
+     */
+    async shareFiles(fileIds, title, shareOptions = {}, signal, taskMaxTries = TASK_MAX_TRIES) {
+        const shareTaskId = await this.shareTaskId(fileIds, title, shareOptions, signal);
+
+        const shareTaskResponse = await this.task(shareTaskId, taskMaxTries, signal);
+        if (!shareTaskResponse.data?.share_id) {
+            throw new QuarkApiError('分享任务未返回分享ID', { step: 'share', category: ERROR_CATEGORIES.UNKNOWN });
+        }
+
+        const shareId = shareTaskResponse.data.share_id;
+        const shareLink = await this.getShareLink(shareId, signal);
+
+        const expiredType = shareOptions.expiredType || 1;
+        return {
+            shareId,
+            shareLink,
+            shareExpiredType: expiredType,
+            sharePasscode: shareOptions.passcode || '',
+            expiryDate: getExpiryDate(expiredType)
+        };
+    }
+
+    /**
+     * 为网盘中已保存的文件重新创建分享
+     * 创建失败时到保存目录中核对文件是否还在，已被删除时返回 null，由调用方改为重新转存
+     * @param {string|Array<string>} fileIds - 已保存的文件ID
+     * @param {string} title - 分享标题
+     * @param {Object} shareOptions - 分享选项 {expiredType, passcode}
+     * @param {Object} options - 选项
+     * @param {string} options.pdirFid - 文件的保存目录ID
+     * @param {AbortSignal} options.signal - 取消信号
+     * @returns {Promise<Object|null>} 分享信息（同 shareFiles），文件已不在网盘中时为 null
+     */
+    async reshareSavedFiles(fileIds, title, shareOptions = {}, options = {}) {
+        const fids = [].concat(fileIds);
+
+        try {
+            return await this.shareFiles(fids, title, shareOptions, options.signal);
+        } catch (error) {
+            const apiError = QuarkApiError.wrap(error, 'share');
+            if (apiError.cancelled || apiError.retryable || apiError.category === ERROR_CATEGORIES.AUTH_EXPIRED) {
+                throw apiError;
+            }
+
+            const files = await this.listAllDriveFiles(options.pdirFid || '0', options.signal);
+            if (files.some(file => fids.includes(file.fid))) throw apiError;
+
+            this.logger.warn(`保存的文件已不在网盘中: ${title}`, apiError.message);
+            return null;
+        }
+    }
+
+    /**
+     * 获取分享链接
+     * @param {string} shareId - 分享ID
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<string>} 分享链接
+     */
+    async getShareLink(shareId, signal) {
         try {
             const path = "/1/clouddrive/share/password?pr=ucpro&fr=pc&uc_param_str=";
 
             const response = await this.request(path, {
                 method: 'POST',
-                body: JSON.stringify({ share_id: shareId })
+                body: JSON.stringify({ share_id: shareId }),
+                signal
             });
 
-            return response?.data?.share_url || '';
+            if (!response.data?.share_url) {
+                throw new QuarkApiError(response.message || '未返回分享链接', { quarkMessage: response.message });
+            }
+
+            return response.data.share_url;
         } catch (error) {
-            this.logger.error('获取分享链接失败:', error.message);
-            return '';
+            throw QuarkApiError.wrap(error, 'shareLink');
+        }
+    }
+
+    /**
+     * 获取网盘目录下的条目
+     * @param {string} pdirFid - 目录ID，根目录为 '0'
+     * @param {Object} options - 列表选项
+     * @param {number} options.page - 页码
+     * @param {number} options.size - 每页数量
+     * @param {string} options.sort - 排序规则，如 'file_type:asc,updated_at:desc'
+     * @param {AbortSignal} options.signal - 取消信号
+     * @returns {Promise<{list: Array, total: number}>} 条目列表与总数
+     */
+    async listDriveFiles(pdirFid = '0', options = {}) {
+        const params = new URLSearchParams({
+            pr: 'ucpro',
+            fr: 'pc',
+            uc_param_str: '',
+            pdir_fid: pdirFid,
+            _page: String(options.page || 1),
+            _size: String(options.size || DRIVE_PAGE_SIZE),
+            _fetch_total: '1',
+            _fetch_sub_dirs: '0',
+            _sort: options.sort || 'file_type:asc,updated_at:desc',
+            __dt: '405',
+            __t: generateTimestamp(13)
+        });
+
+        const response = await this.request(`/1/clouddrive/file/sort?${params}`, { signal: options.signal });
+        const list = response?.data?.list || [];
+
+        return {
+            list,
+            total: response?.metadata?._total ?? list.length
+        };
+    }
+
+    /**
+     * 在网盘中新建文件夹
+     * @param {string} pdirFid - 父目录ID
+     * @param {string} folderName - 文件夹名称
+     * @returns {Promise<string>} 新文件夹ID
+     */
+    async createFolder(pdirFid, folderName) {
+        const path = "/1/clouddrive/file?pr=ucpro&fr=pc&uc_param_str=";
+        const response = await this.request(path, {
+            method: 'POST',
+            body: JSON.stringify({
+                pdir_fid: pdirFid,
+                file_name: folderName,
+                dir_path: '',
+                dir_init_lock: false
+            })
+        });
+
+        const fid = response.data?.fid;
+        if (!fid) {
+            throw new QuarkApiError(response.message || '新建文件夹失败', { step: 'file', quarkMessage: response.message });
         }
+
+        return fid;
+    }
+
+    /**
+     * 重命名网盘中的文件或文件夹
+     * @param {string} fid - 文件ID
+     * @param {string} fileName - 新名称
+     * @returns {Promise<void>}
+     */
+    async renameFile(fid, fileName) {
+        const path = `${API_CONFIG.endpoints.fileRename}?pr=ucpro&fr=pc&uc_param_str=`;
+        await this.request(path, {
+            method: 'POST',
+            body: JSON.stringify({ fid, file_name: fileName })
+        }).catch(error => { throw QuarkApiError.wrap(error, 'file'); });
+    }
+
+    /**
+     * 移动网盘中的文件到指定目录
+     * @param {Array<string>} fids - 文件ID列表
+     * @param {string} toPdirFid - 目标目录ID
+     * @returns {Promise<void>}
+     */
+    async moveFiles(fids, toPdirFid) {
+        const path = `${API_CONFIG.endpoints.fileMove}?pr=ucpro&fr=pc&uc_param_str=`;
+        const response = await this.request(path, {
+            method: 'POST',
+            body: JSON.stringify({
+                action_type: 1,
+                to_pdir_fid: toPdirFid,
+                filelist: [].concat(fids),
+                exclude_fids: []
+            })
+        }).catch(error => { throw QuarkApiError.wrap(error, 'file'); });
+
+        await this.waitForFileTask(response);
+    }
+
+    /**
+     * 删除网盘中的文件（移入回收站）
+     * @param {Array<string>} fids - 文件ID列表
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<void>}
+     */
+    async deleteFiles(fids, signal) {
+        const path = `${API_CONFIG.endpoints.fileDelete}?pr=ucpro&fr=pc&uc_param_str=`;
+        const response = await this.request(path, {
+            method: 'POST',
+            signal,
+            body: JSON.stringify({
+                action_type: 2,
+                filelist: [].concat(fids),
+                exclude_fids: []
+            })
+        }).catch(error => { throw QuarkApiError.wrap(error, 'file'); });
+
+        await this.waitForFileTask(response, signal);
+    }
+
+    /**
+     * 等待文件操作的异步任务完成
+     * 接口直接完成时不会返回任务ID
+     * @param {Object} response - 文件操作接口的响应
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<void>}
+     */
+    async waitForFileTask(response, signal) {
+        const taskId = response.data?.task_id;
+        if (!taskId || response.data?.finish) return;
+
+        await this.task(taskId, TASK_MAX_TRIES, signal);
     }
 
     async searchFile(fileName) {
@@ -333,35 +1150,80 @@ class QuarkWebService {
             const params = new URLSearchParams({ q: fileName });
             const response = await this.request(`${path}&${params}`);
 
-            return response?.data?.list || [];
+            return response.data?.list || [];
         } catch (error) {
-            this.logger.error('搜索文件失败:', error.message);
-            return [];
+            throw QuarkApiError.wrap(error, 'file');
         }
     }
 
-    async getFileInfo(url) {
+    /**
+     * 获取分享中首个文件的信息（用于重复检测）
+     * @param {string} url - 分享链接
+     * @param {Object} options - 选项 {passcode, signal}
+     * @returns {Promise<Object>} 文件信息
+     * @throws {QuarkApiError} 令牌或详情获取失败时抛出
+     */
+    async getFileInfo(url, options = {}) {
         try {
             const pwdId = getIdFromUrl(url);
             if (!pwdId) throw new Error('无法从链接中提取文件ID');
 
-            const stoken = await this.getStoken(pwdId);
-            if (!stoken) throw new Error('获取分享令牌失败');
-
-            const detail = await this.detail(pwdId, stoken);
-            if (!detail) throw new Error('获取文件详情失败');
+            const stoken = await this.getStoken(pwdId, options.passcode || getPasscodeFromUrl(url), options.signal);
+            const detail = await this.detail(pwdId, stoken, options.signal);
 
             return {
                 fileName: detail.title,
-                fileType: detail.file_type,
+                fileType: getRecordFileType(detail.items),
                 fileSize: detail.size || 0,
                 fid: detail.fid,
-                shareFidToken: detail.share_fid_token
+                shareFidToken: detail.share_fid_token,
+                fileCount: detail.items.length
             };
 
         } catch (error) {
             this.logger.error('获取文件信息失败:', error.message);
-            return null;
+            throw QuarkApiError.wrap(error, '');
+        }
+    }
+
+    /**
+     * 预检分享链接：只获取令牌和详情，不保存任何文件
+     * 文件夹大小需要逐级展开才能统计，totalSize 只包含根目录下的文件
+     * @param {string} url - 分享链接
+     * @param {Object} options - 选项 {passcode, signal}
+     * @returns {Promise<Object>} 预检结果 {alive, needPasscode, fileName, fileCount, folderCount, totalSize, error}；
+     *   alive 为 null 表示因网络等原因无法判断
+     * @throws {QuarkApiError} 取消时分类为 CANCELLED，Cookie 失效时分类为 AUTH_EXPIRED
+     */
+    async inspectShare(url, options = {}) {
+        try {
+            const pwdId = getIdFromUrl(url);
+            if (!pwdId) throw new QuarkApiError('无法从链接中提取文件ID', { category: ERROR_CATEGORIES.INVALID_LINK });
+
+            const stoken = await this.getStoken(pwdId, options.passcode || getPasscodeFromUrl(url), options.signal);
+            const detail = await this.detail(pwdId, stoken, options.signal);
+            const folders = detail.items.filter(item => isFolder(item));
+
+            return {
+                alive: true,
+                needPasscode: false,
+                fileName: detail.items.length === 1 ? detail.title : (detail.shareTitle || `${detail.title} 等${detail.items.length}个文件`),
+                fileCount: detail.items.length - folders.length,
+                folderCount: folders.length,
+                totalSize: this.getItemsSize(detail.items),
+                error: null
+            };
+        } catch (error) {
+            const apiError = QuarkApiError.wrap(error, '');
+            if (apiError.cancelled || apiError.category === ERROR_CATEGORIES.AUTH_EXPIRED) {
+                throw apiError;
+            }
+
+            let alive = null;
+            if (apiError.needPasscode) alive = true;
+            else if (apiError.category === ERROR_CATEGORIES.SHARE_EXPIRED) alive = false;
+
+            return { alive, needPasscode: apiError.needPasscode, error: apiError };
         }
     }
 
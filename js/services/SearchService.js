@@ -3,6 +3,8 @@
  * 负责处理资源搜索相关的API调用
  */
 
+import { getPasscodeFromUrl, extractPasscodeFromText } from '../utils/urlUtils.js';
+
 export default class SearchService {
     constructor(logger, options = {}) {
         this.logger = logger;
@@ -119,6 +121,7 @@ export default class SearchService {
             id: item.disk_id || `${Date.now()}_${Math.random()}`,
             name: item.disk_name || item.files || '未知文件',
             link: item.link || '',
+            passcode: getPasscodeFromUrl(item.link || '') || extractPasscodeFromText(`${item.disk_name || ''} ${item.files || ''}`),
             platform: item.disk_type || '未知平台',
             platformIcon: this.getPlatformIcon(item.disk_type),
             size: this.formatFileSize(item.is_mine),
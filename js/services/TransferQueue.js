@@ -0,0 +1,463 @@
+/**
+ * 转存队列
+ * 批量转存任务持久化在 IndexedDB 中，刷新或崩溃后不会丢失；
+ * 支持并行执行、暂停/继续、失败重试、排序与优先级，应用重新打开或网络恢复后自动继续
+ */
+
+import { ERROR_CATEGORIES } from './QuarkApiError.js';
+
+// 任务状态
+export const QUEUE_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    CANCELLED: 'cancelled'
+};
+
+export const QUEUE_STATUS_LABELS = {
+    pending: '等待中',
+    running: '转存中',
+    completed: '已完成',
+    failed: '失败',
+    skipped: '已跳过',
+    cancelled: '已取消'
+};
+
+// 任务优先级，数值越大越先执行
+export const QUEUE_PRIORITY = {
+    LOW: 0,
+    NORMAL: 1,
+    HIGH: 2
+};
+
+export const QUEUE_PRIORITY_LABELS = {
+    0: '低',
+    1: '普通',
+    2: '高'
+};
+
+// 队列暂停原因
+export const PAUSE_REASONS = {
+    USER: 'user',
+    AUTH: 'auth',
+    NETWORK: 'network',
+    QUOTA: 'quota'
+};
+
+// 并行任务数上限
+export const MAX_CONCURRENCY = 10;
+
+export class TransferQueue {
+    /**
+     * @param {Object} options - 队列选项
+     * @param {Object} options.dbService - 数据库服务
+     * @param {Object} options.logger - 日志记录器
+     * @param {number} options.concurrency - 并行任务数
+     */
+    constructor(options) {
+        this.dbService = options.dbService;
+        this.logger = options.logger;
+
+        this.jobs = [];
+        this.running = false;
+        this.paused = false;
+        this.pauseReason = null;
+        this.activeJobs = new Map(); // 执行中的任务ID -> 取消控制器
+        this.workers = new Set(); // 本轮执行中仍在运行的工作循环
+        this.handlers = {};
+        this.concurrency = 1;
+        this.runConcurrency = 1; // 本轮执行实际使用的并行数
+        this.setConcurrency(options.concurrency);
+    }
+
+    /**
+     * 设置并行任务数，下一轮执行时生效
+     * @param {number} concurrency - 并行任务数
+     */
+    setConcurrency(concurrency) {
+        const value = parseInt(concurrency) || 1;
+        this.concurrency = Math.min(Math.max(value, 1), MAX_CONCURRENCY);
+        if (!this.running) {
+            this.runConcurrency = this.concurrency;
+        }
+    }
+
+    /**
+     * 设置队列回调
+     * @param {Object} handlers - 回调函数
+     * @param {Function} handlers.processJob - 执行单个任务 (job, {signal, onStep}) => {status, message, error}
+     * @param {Function} handlers.onChange - 任务列表变化 (jobs)
+     * @param {Function} handlers.onIdle - 一轮执行结束 (pauseReason)
+     */
+    setHandlers(handlers) {
+        this.handlers = { ...this.handlers, ...handlers };
+    }
+
+    /**
+     * 从数据库恢复队列
+     * 上次运行中断（刷新或崩溃）时处于执行中的任务重新排队
+     * @returns {Promise<number>} 待执行的任务数
+     */
+    async restore() {
+        this.jobs = await this.dbService.getQueueJobs();
+
+        const interrupted = this.jobs.filter(job => job.status === QUEUE_STATUS.RUNNING);
+        for (const job of interrupted) {
+            await this.updateJob(job.id, { status: QUEUE_STATUS.PENDING });
+        }
+
+        if (interrupted.length > 0) {
+            this.logger.info(`恢复了 ${interrupted.length} 个中断的队列任务`);
+        }
+
+        this.notifyChange();
+        return this.getPendingJobs().length;
+    }
+
+    /**
+     * 获取按执行顺序排列的全部任务
+     * @returns {Array<Object>} 任务列表
+     */
+    getJobs() {
+        return [...this.jobs].sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+    }
+
+    /**
+     * 获取待执行的任务
+     * @returns {Array<Object>} 任务列表
+     */
+    getPendingJobs() {
+        return this.getJobs().filter(job => job.status === QUEUE_STATUS.PENDING);
+    }
+
+    /**
+     * 按状态统计任务数
+     * @returns {Object} 各状态的任务数
+     */
+    getSummary() {
+        const summary = Object.fromEntries(Object.values(QUEUE_STATUS).map(status => [status, 0]));
+        this.jobs.forEach(job => {
+            summary[job.status] = (summary[job.status] || 0) + 1;
+        });
+        return summary;
+    }
+
+    /**
+     * 是否可以自动继续（启动恢复或网络恢复时）
+     * 用户手动暂停的队列不会自动继续
+     * @returns {boolean}
+     */
+    canAutoResume() {
+        return !this.running && this.pauseReason !== PAUSE_REASONS.USER && this.getPendingJobs().length > 0;
+    }
+
+    /**
+     * 添加任务
+     * @param {Array<{url: string, passcode: string, titleHint: string, customName: string}>} links - 分享链接
+     * @param {Object} options - 任务选项
+     * @param {number} options.priority - 优先级
+     * @param {{fid: string, path: string}} options.saveFolder - 保存目录
+     * @param {Object} options.shareOverrides - 新分享的选项覆盖
+     * @param {number} options.taskMaxTries - 保存和分享任务的轮询次数，为空时使用默认值
+     * @param {string} options.source - 记录来源
+     * @returns {Promise<Array<number>>} 新任务ID
+     */
+    async enqueue(links, options = {}) {
+        const maxOrder = this.jobs.reduce((max, job) => Math.max(max, job.order || 0), 0);
+
+        const jobs = links.map((link, index) => ({
+            link: link.url,
+            passcode: link.passcode || '',
+            titleHint: link.titleHint || '',
+            customName: link.customName || '',
+            status: QUEUE_STATUS.PENDING,
+            priority: options.priority ?? QUEUE_PRIORITY.NORMAL,
+            order: maxOrder + index + 1,
+            attempts: 0,
+            lastError: null,
+            step: null,
+            result: null,
+            saveFolder: options.saveFolder || null,
+            shareOverrides: options.shareOverrides || {},
+            taskMaxTries: options.taskMaxTries || null,
+            source: options.source || 'batch'
+        }));
+
+        const ids = await this.dbService.addQueueJobs(jobs);
+        this.jobs = await this.dbService.getQueueJobs();
+        this.logger.info(`已加入转存队列: ${ids.length} 个任务`);
+
+        this.notifyChange();
+        return ids;
+    }
+
+    /**
+     * 更新任务并同步到数据库
+     * @param {number} id - 任务ID
+     * @param {Object} data - 要更新的字段
+     * @returns {Promise<Object>} 更新后的任务
+     */
+    async updateJob(id, data) {
+        const job = await this.dbService.updateQueueJob(id, data);
+        const index = this.jobs.findIndex(item => item.id === id);
+        if (index !== -1) {
+            this.jobs[index] = job;
+        }
+
+        this.notifyChange();
+        return job;
+    }
+
+    /**
+     * 开始或继续执行队列
+     * 已在执行时取消暂停状态，并补足暂停期间退出的工作循环；按优先级和顺序取出任务，最多同时执行 concurrency 个
+     * @param {Object} options - 本轮执行选项
+     * @param {number} options.concurrency - 本轮的并行数，为空时使用设置中的并行数
+     * @returns {Promise<void>} 本轮执行结束（队列清空、暂停或断网）时完成
+     */
+    async start(options = {}) {
+        this.paused = false;
+        this.pauseReason = null;
+
+        if (this.running) {
+            this.spawnWorkers();
+            this.notifyChange();
+            return;
+        }
+
+        const concurrency = parseInt(options.concurrency) || this.concurrency;
+        this.runConcurrency = Math.min(Math.max(concurrency, 1), MAX_CONCURRENCY);
+        this.running = true;
+        this.notifyChange();
+
+        try {
+            this.spawnWorkers();
+            // 执行期间可能补充新的工作循环，等到全部退出
+            while (this.workers.size > 0) {
+                await Promise.all(this.workers);
+            }
+        } finally {
+            this.running = false;
+            this.runConcurrency = this.concurrency;
+            this.notifyChange();
+            this.handlers.onIdle?.(this.pauseReason);
+        }
+    }
+
+    /**
+     * 启动工作循环，使运行中的数量达到本轮的并行数
+     */
+    spawnWorkers() {
+        while (this.workers.size < this.runConcurrency) {
+            const worker = this.runWorker().finally(() => this.workers.delete(worker));
+            this.workers.add(worker);
+        }
+    }
+
+    /**
+     * 工作循环：不断取出下一个未被占用的待执行任务
+     */
+    async runWorker() {
+        while (!this.paused) {
+            if (navigator.onLine === false) {
+                this.pauseFor(PAUSE_REASONS.NETWORK);
+                break;
+            }
+
+            const job = this.getPendingJobs().find(item => !this.activeJobs.has(item.id));
+            if (!job) break;
+
+            await this.runJob(job);
+        }
+    }
+
+    /**
+     * 执行单个任务
+     * @param {Object} job - 任务
+     */
+    async runJob(job) {
+        // 同步占用任务，避免其他工作循环重复取出
+        const controller = new AbortController();
+        this.activeJobs.set(job.id, controller);
+
+        try {
+            await this.executeJob(job, controller.signal);
+        } finally {
+            this.activeJobs.delete(job.id);
+        }
+    }
+
+    /**
+     * 调用处理函数执行任务并记录结果
+     * @param {Object} job - 任务
+     * @param {AbortSignal} signal - 取消信号
+     */
+    async executeJob(job, signal) {
+        await this.updateJob(job.id, {
+            status: QUEUE_STATUS.RUNNING,
+            attempts: (job.attempts || 0) + 1,
+            step: null
+        });
+
+        let outcome;
+        try {
+            outcome = await this.handlers.processJob(job, {
+                signal,
+                onStep: (step, name) => {
+                    this.updateJob(job.id, { step: { step, name } }).catch(() => {});
+                }
+            });
+        } catch (error) {
+            outcome = { status: QUEUE_STATUS.FAILED, message: error.message, error };
+        }
+
+        const error = outcome.error;
+        const lastError = outcome.status === QUEUE_STATUS.FAILED || outcome.status === QUEUE_STATUS.CANCELLED ? {
+            message: outcome.message || error?.message || '',
+            category: error?.category || '',
+            step: error?.step || ''
+        } : null;
+
+        // 断网导致的失败重新排队，网络恢复后继续
+        if (error?.category === ERROR_CATEGORIES.NETWORK && navigator.onLine === false) {
+            await this.updateJob(job.id, { status: QUEUE_STATUS.PENDING, lastError });
+            this.pauseFor(PAUSE_REASONS.NETWORK);
+            return;
+        }
+
+        await this.updateJob(job.id, {
+            status: outcome.status,
+            lastError,
+            result: outcome.result || null
+        });
+
+        // Cookie 失效时后续任务必然失败，暂停等待用户处理
+        if (error?.category === ERROR_CATEGORIES.AUTH_EXPIRED) {
+            this.pauseFor(PAUSE_REASONS.AUTH);
+        }
+
+        // 网盘空间不足时后续任务同样无法保存，暂停等待用户清理空间
+        if (error?.category === ERROR_CATEGORIES.QUOTA_EXCEEDED) {
+            this.pauseFor(PAUSE_REASONS.QUOTA);
+        }
+    }
+
+    /**
+     * 暂停队列
+     * @param {string} reason - 暂停原因
+     */
+    pauseFor(reason) {
+        this.paused = true;
+        this.pauseReason = reason;
+        this.logger.info(`转存队列已暂停: ${reason}`);
+        this.notifyChange();
+    }
+
+    /**
+     * 暂停队列，当前任务执行完后停止
+     */
+    pause() {
+        this.pauseFor(PAUSE_REASONS.USER);
+    }
+
+    /**
+     * 暂停队列并取消执行中的任务
+     */
+    stop() {
+        this.pause();
+        this.activeJobs.forEach(controller => controller.abort());
+    }
+
+    /**
+     * 重试单个失败或已取消的任务
+     * @param {number} id - 任务ID
+     * @param {Object} overrides - 重试时覆盖的任务字段，如 {taskMaxTries}
+     * @returns {Promise<boolean>} 是否已重新排队
+     */
+    async retryJob(id, overrides = {}) {
+        const job = this.jobs.find(item => item.id === id);
+        if (!job || ![QUEUE_STATUS.FAILED, QUEUE_STATUS.CANCELLED].includes(job.status)) return false;
+
+        await this.updateJob(id, { ...overrides, status: QUEUE_STATUS.PENDING, step: null });
+        return true;
+    }
+
+    /**
+     * 重试全部失败的任务
+     * @returns {Promise<number>} 重新排队的任务数
+     */
+    async retryFailed() {
+        const failedJobs = this.jobs.filter(job => job.status === QUEUE_STATUS.FAILED);
+        for (const job of failedJobs) {
+            await this.updateJob(job.id, { status: QUEUE_STATUS.PENDING, step: null });
+        }
+        return failedJobs.length;
+    }
+
+    /**
+     * 设置任务优先级
+     * @param {number} id - 任务ID
+     * @param {number} priority - 优先级
+     */
+    async setPriority(id, priority) {
+        await this.updateJob(id, { priority });
+    }
+
+    /**
+     * 在待执行任务中上移或下移
+     * 跨越优先级边界时采用相邻任务的优先级
+     * @param {number} id - 任务ID
+     * @param {number} offset - -1 上移，1 下移
+     */
+    async moveJob(id, offset) {
+        const pendingJobs = this.getPendingJobs();
+        const index = pendingJobs.findIndex(job => job.id === id);
+        const neighbor = pendingJobs[index + offset];
+        if (index === -1 || !neighbor) return;
+
+        const job = pendingJobs[index];
+        await this.updateJob(job.id, { order: neighbor.order, priority: neighbor.priority });
+        await this.updateJob(neighbor.id, { order: job.order, priority: job.priority });
+    }
+
+    /**
+     * 移除任务，执行中的任务不能移除
+     * @param {number} id - 任务ID
+     */
+    async removeJob(id) {
+        if (this.activeJobs.has(id)) return;
+
+        await this.dbService.deleteQueueJobs([id]);
+        this.jobs = this.jobs.filter(job => job.id !== id);
+        this.notifyChange();
+    }
+
+    /**
+     * 清除已完成和已跳过的任务
+     * @returns {Promise<number>} 清除的任务数
+     */
+    async clearFinished() {
+        const finishedIds = this.jobs
+            .filter(job => job.status === QUEUE_STATUS.COMPLETED || job.status === QUEUE_STATUS.SKIPPED)
+            .map(job => job.id);
+
+        if (finishedIds.length > 0) {
+            await this.dbService.deleteQueueJobs(finishedIds);
+            this.jobs = this.jobs.filter(job => !finishedIds.includes(job.id));
+            this.notifyChange();
+        }
+
+        return finishedIds.length;
+    }
+
+    /**
+     * 通知任务列表变化
+     */
+    notifyChange() {
+        this.handlers.onChange?.(this.getJobs());
+    }
+}
+
+export default TransferQueue;
@@ -0,0 +1,106 @@
+/**
+ * 令牌桶限流器
+ * 限制每秒发出的请求数，遇到限流响应时暂停发放令牌并逐级退避
+ */
+
+import { delay } from './timeUtils.js';
+
+// 退避时长上限（毫秒）
+const MAX_BACKOFF = 30000;
+
+export class RateLimiter {
+    /**
+     * @param {Object} options - 限流选项
+     * @param {number} options.rate - 每秒补充的令牌数，即每秒最多请求数
+     * @param {number} options.burst - 令牌桶容量，允许的瞬时并发请求数，默认与 rate 相同
+     */
+    constructor(options = {}) {
+        this.rate = 1;
+        this.burst = 1;
+        this.configure(options);
+
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.blockedUntil = 0;
+        this.backoffLevel = 0;
+    }
+
+    /**
+     * 修改限流参数
+     * @param {Object} options - 限流选项 {rate, burst}
+     */
+    configure(options = {}) {
+        if (options.rate > 0) {
+            this.rate = options.rate;
+            this.burst = Math.max(1, options.burst || Math.ceil(options.rate));
+        } else if (options.burst > 0) {
+            this.burst = options.burst;
+        }
+
+        this.tokens = Math.min(this.tokens ?? this.burst, this.burst);
+    }
+
+    /**
+     * 按流逝时间补充令牌
+     */
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * 获取下一个令牌还需等待的时间
+     * @returns {number} 等待毫秒数，0 表示可以立即请求
+     */
+    getWaitTime() {
+        this.refill();
+
+        const blocked = this.blockedUntil - Date.now();
+        if (blocked > 0) return blocked;
+        if (this.tokens >= 1) return 0;
+
+        return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+
+    /**
+     * 等待并取得一个令牌
+     * signal 中止时立即返回，由调用方检查 signal.aborted
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<void>}
+     */
+    async acquire(signal) {
+        while (!signal?.aborted) {
+            const wait = this.getWaitTime();
+            if (wait === 0) {
+                this.tokens -= 1;
+                return;
+            }
+
+            await delay(wait, signal);
+        }
+    }
+
+    /**
+     * 收到限流响应后退避：清空令牌并暂停发放，连续限流时等待时间翻倍
+     * @returns {number} 本次退避的毫秒数
+     */
+    backoff() {
+        this.backoffLevel++;
+        const duration = Math.min(1000 * Math.pow(2, this.backoffLevel), MAX_BACKOFF);
+
+        this.tokens = 0;
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + duration);
+        return duration;
+    }
+
+    /**
+     * 请求成功后重置退避等级
+     */
+    recordSuccess() {
+        this.backoffLevel = 0;
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,183 @@
+/**
+ * 批量转存报告工具函数
+ * 将批量转存结果整理为"原链接 → 新分享链接"的报告，并导出为 CSV、JSON、Markdown 或纯文本
+ */
+
+import { toCsv, toMarkdownTable } from './exportUtils.js';
+import { formatTimestamp } from './timeUtils.js';
+import { DEFAULT_SETTINGS } from '../config/constants.js';
+
+// 报告条目状态
+export const REPORT_ITEM_STATUS = {
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    CANCELLED: 'cancelled'
+};
+
+export const REPORT_ITEM_STATUS_LABELS = {
+    success: '成功',
+    failed: '失败',
+    skipped: '跳过',
+    cancelled: '已取消'
+};
+
+const REPORT_HEADERS = ['文件名', '状态', '原链接', '新分享链接', '分享提取码', '文件数量', '跳过原因', '错误信息'];
+
+/**
+ * 由批量转存结果生成报告
+ * @param {Array<Object>} results - TransferPanel.batchResults 中的结果
+ * @returns {Object} 报告 {title, createTime, summary, items}
+ */
+export function createBatchReport(results) {
+    const items = results.map(result => {
+        const data = result.data || {};
+        let status = REPORT_ITEM_STATUS.FAILED;
+        if (result.success) status = REPORT_ITEM_STATUS.SUCCESS;
+        else if (result.skipped) status = REPORT_ITEM_STATUS.SKIPPED;
+        else if (result.cancelled) status = REPORT_ITEM_STATUS.CANCELLED;
+
+        return {
+            sourceLink: result.link,
+            fileName: data.fileName || result.fileName || '',
+            status,
+            shareLink: data.shareLink || '',
+            sharePasscode: data.sharePasscode || '',
+            fileCount: data.fileCount || 0,
+            skipReason: result.skipped ? result.message : '',
+            error: status === REPORT_ITEM_STATUS.FAILED || status === REPORT_ITEM_STATUS.CANCELLED ? (result.message || '') : '',
+            // 重试时用于找回队列任务，队列已清除时按原链接和提取码重新加入
+            jobId: result.jobId ?? null,
+            passcode: result.passcode || ''
+        };
+    });
+
+    const summary = { total: items.length, success: 0, failed: 0, skipped: 0, cancelled: 0 };
+    items.forEach(item => {
+        summary[item.status]++;
+    });
+
+    const createTime = Date.now();
+    return {
+        title: `批量转存 ${formatTimestamp(createTime, 'YYYY-MM-DD HH:mm')}`,
+        createTime,
+        summary,
+        items
+    };
+}
+
+/**
+ * 报告表格数据行
+ * @param {Object} report - 报告
+ * @returns {Array<Array<any>>} 与 REPORT_HEADERS 对应的数据行
+ */
+function getReportRows(report) {
+    return report.items.map(item => [
+        item.fileName,
+        REPORT_ITEM_STATUS_LABELS[item.status] || item.status,
+        item.sourceLink,
+        item.shareLink,
+        item.sharePasscode,
+        item.fileCount || '',
+        item.skipReason,
+        item.error
+    ]);
+}
+
+/**
+ * 报告摘要文字
+ * @param {Object} report - 报告
+ * @returns {string} 摘要
+ */
+export function getReportSummaryText(report) {
+    const { total, success, failed, skipped, cancelled } = report.summary;
+    return `共 ${total} 个，成功 ${success}，失败 ${failed}，跳过 ${skipped}${cancelled ? `，取消 ${cancelled}` : ''}`;
+}
+
+/**
+ * 导出为 CSV
+ * @param {Object} report - 报告
+ * @returns {string} CSV 文本
+ */
+export function reportToCsv(report) {
+    return toCsv(REPORT_HEADERS, getReportRows(report));
+}
+
+/**
+ * 导出为 JSON
+ * @param {Object} report - 报告
+ * @returns {string} JSON 文本
+ */
+export function reportToJson(report) {
+    const { title, createTime, summary, items } = report;
+    return JSON.stringify({ title, createTime, summary, items }, null, 2);
+}
+
+/**
+ * 导出为 Markdown
+ * @param {Object} report - 报告
+ * @returns {string} Markdown 文本
+ */
+export function reportToMarkdown(report) {
+    return [
+        `# ${report.title}`,
+        '',
+        `${formatTimestamp(report.createTime, 'YYYY-MM-DD HH:mm:ss')} · ${getReportSummaryText(report)}`,
+        '',
+        toMarkdownTable(REPORT_HEADERS, getReportRows(report))
+    ].join('\n');
+}
+
+/**
+ * 按"名称 + 链接"格式生成纯文本，只包含转存成功的条目
+ * 支持的占位符：{name} 文件名、{link} 新分享链接、{passcode} 提取码（有提取码时为"提取码: xxxx"）、
+ * {code} 提取码原文、{source} 原链接
+ * @param {Object} report - 报告
+ * @param {string} format - 每行的格式
+ * @returns {string} 纯文本
+ */
+export function reportToText(report, format = DEFAULT_SETTINGS.reportTextFormat) {
+    const template = format || DEFAULT_SETTINGS.reportTextFormat;
+
+    return report.items
+        .filter(item => item.status === REPORT_ITEM_STATUS.SUCCESS && item.shareLink)
+        .map(item => {
+            const itemValues = {
+                name: item.fileName,
+                link: item.shareLink,
+                passcode: item.sharePasscode ? `提取码: ${item.sharePasscode}` : '',
+                code: item.sharePasscode,
+                source: item.sourceLink
+            };
+            return template
+                .replace(/\{(name|link|passcode|code|source)\}/g, (_, key) => itemValues[key] || '')
+                .replace(/ {2,}/g, ' ')
+                .trim();
+        })
+        .join('\n');
+}
+
+/**
+ * 读取设置中的纯文本复制格式
+ * @returns {string} 格式
+ */
+export function getReportTextFormat() {
+    try {
+        const settings = JSON.parse(localStorage.getItem('quark-gui-settings') || '{}');
+        return settings.reportTextFormat || DEFAULT_SETTINGS.reportTextFormat;
+    } catch (error) {
+        return DEFAULT_SETTINGS.reportTextFormat;
+    }
+}
+
+export default {
+    REPORT_ITEM_STATUS,
+    REPORT_ITEM_STATUS_LABELS,
+    createBatchReport,
+    getReportSummaryText,
+    reportToCsv,
+    reportToJson,
+    reportToMarkdown,
+    reportToText,
+    getReportTextFormat
+};
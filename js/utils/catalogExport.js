@@ -0,0 +1,192 @@
+/**
+ * 分享目录导出工具函数
+ * 把转存记录按所选的列整理为表格，导出为 CSV、TSV、Markdown、可搜索的 HTML 目录页，或可重新导入的 JSON
+ */
+
+import { toCsv, toTsv, toMarkdownTable } from './exportUtils.js';
+import { formatFileSize, escapeHtml } from './fileUtils.js';
+import { formatTimestamp } from './timeUtils.js';
+import { LINK_STATUS_LABELS } from '../services/LinkHealthMonitor.js';
+
+// 导出格式
+export const EXPORT_FORMATS = {
+    csv: 'CSV（Excel）',
+    tsv: '复制为表格（TSV）',
+    markdown: 'Markdown 表格',
+    html: 'HTML 目录页',
+    json: 'JSON（完整记录，可重新导入）'
+};
+
+// 记录来源
+export const RECORD_SOURCE_LABELS = {
+    manual: '手动转存',
+    batch: '批量转存',
+    import: '链接导入',
+    search: '搜索转存',
+    drive: '网盘分享',
+    bundle: '合并分享',
+    unknown: '未知'
+};
+
+/**
+ * 格式化时间列，没有时间时为空
+ * @param {string|null} time - ISO 时间
+ * @returns {string} 时间文字
+ */
+function formatTime(time) {
+    return time ? formatTimestamp(new Date(time).getTime(), 'YYYY-MM-DD HH:mm') : '';
+}
+
+// 可导出的列
+export const EXPORT_COLUMNS = {
+    fileName: { label: '文件名', value: file => file.fileName },
+    shareLink: { label: '分享链接', value: file => file.shareLink || file.shareUrl || '' },
+    sharePasscode: { label: '提取码', value: file => file.sharePasscode },
+    fileType: { label: '类型', value: file => file.fileType },
+    fileSize: { label: '大小', value: file => (file.fileSize ? formatFileSize(file.fileSize) : '') },
+    fileCount: { label: '文件数', value: file => file.fileCount || '' },
+    expiryDate: { label: '有效期至', value: file => (file.expiryDate ? formatTime(file.expiryDate) : '永久有效') },
+    linkStatus: { label: '链接状态', value: file => LINK_STATUS_LABELS[file.linkStatus] || '未检查' },
+    originalUrl: { label: '原链接', value: file => file.originalUrl },
+    source: { label: '来源', value: file => RECORD_SOURCE_LABELS[file.source] || file.source || '' },
+    saveFolderPath: { label: '保存目录', value: file => file.saveFolderPath },
+    transferTime: { label: '转存时间', value: file => formatTime(file.transferTime || file.createTime) },
+    tags: { label: '标签', value: file => (Array.isArray(file.tags) ? file.tags.join('、') : '') },
+    description: { label: '描述', value: file => file.description }
+};
+
+export const DEFAULT_EXPORT_COLUMNS = ['fileName', 'shareLink', 'sharePasscode', 'fileSize', 'transferTime'];
+
+/**
+ * 按所选的列整理表头和数据行
+ * @param {Array<Object>} records - 转存记录
+ * @param {Array<string>} columns - 列，见 EXPORT_COLUMNS
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} 表头和数据行
+ */
+export function getCatalogTable(records, columns) {
+    const keys = columns.filter(key => EXPORT_COLUMNS[key]);
+    return {
+        headers: keys.map(key => EXPORT_COLUMNS[key].label),
+        rows: records.map(record => keys.map(key => EXPORT_COLUMNS[key].value(record) ?? ''))
+    };
+}
+
+/**
+ * 生成可独立打开的 HTML 目录页
+ * 样式和搜索脚本内联在页面中，不依赖网络；分享链接和原链接列中的 http(s) 地址显示为可点击的链接
+ * @param {Array<Object>} records - 转存记录
+ * @param {Array<string>} columns - 列
+ * @param {string} title - 页面标题
+ * @returns {string} HTML 文本
+ */
+export function catalogToHtml(records, columns, title) {
+    const { headers, rows } = getCatalogTable(records, columns);
+    const linkIndexes = columns
+        .filter(key => EXPORT_COLUMNS[key])
+        .map((key, index) => (key === 'shareLink' || key === 'originalUrl' ? index : -1))
+        .filter(index => index !== -1);
+
+    const formatCell = (value, index) => {
+        const text = escapeHtml(value);
+        return linkIndexes.includes(index) && /^https?:\/\//i.test(value) ? `<a href="${text}" target="_blank" rel="noopener">${text}</a>` : text;
+    };
+
+    const bodyRows = rows
+        .map(row => `<tr>${row.map((value, index) => `<td>${formatCell(value, index)}</td>`).join('')}</tr>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; margin: 24px; color: #262626; }
+h1 { font-size: 20px; margin-bottom: 4px; }
+.meta { color: #8c8c8c; font-size: 13px; margin-bottom: 16px; }
+input { width: 100%; max-width: 420px; padding: 8px 12px; border: 1px solid #d9d9d9; border-radius: 6px; font-size: 14px; margin-bottom: 16px; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { border-bottom: 1px solid #f0f0f0; padding: 8px; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #fafafa; position: sticky; top: 0; }
+tr:hover td { background: #f5faff; }
+a { color: #1890ff; text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">共 ${records.length} 条 · 导出于 ${formatTimestamp(Date.now(), 'YYYY-MM-DD HH:mm')} · <span id="count"></span></div>
+<input type="search" id="search" placeholder="搜索..." autofocus>
+<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody id="rows">
+${bodyRows}
+</tbody>
+</table>
+<script>
+(function () {
+    var input = document.getElementById('search');
+    var count = document.getElementById('count');
+    var rows = Array.prototype.slice.call(document.querySelectorAll('#rows tr'));
+    var texts = rows.map(function (row) { return row.textContent.toLowerCase(); });
+    function filter() {
+        var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        var shown = 0;
+        rows.forEach(function (row, i) {
+            var match = words.every(function (word) { return texts[i].indexOf(word) !== -1; });
+            row.style.display = match ? '' : 'none';
+            if (match) shown++;
+        });
+        count.textContent = '显示 ' + shown + ' 条';
+    }
+    input.addEventListener('input', filter);
+    filter();
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 按格式生成导出内容
+ * @param {Array<Object>} records - 转存记录
+ * @param {Object} options - 选项
+ * @param {string} options.format - 见 EXPORT_FORMATS
+ * @param {Array<string>} options.columns - 列，JSON 格式导出完整记录，忽略此项
+ * @param {string} options.title - 标题，用于 Markdown 和 HTML 目录页
+ * @param {number} options.version - 数据库版本，写入 JSON
+ * @returns {{content: string, extension: string, mimeType: string}} 导出内容
+ */
+export function exportCatalog(records, options) {
+    const { format, columns, title } = options;
+
+    if (format === 'json') {
+        // 与 IndexedDBService.exportData 的格式一致，可在设置中重新导入
+        const content = JSON.stringify({ version: options.version, exportTime: new Date().toISOString(), data: records }, null, 2);
+        return { content, extension: 'json', mimeType: 'application/json' };
+    }
+
+    if (format === 'html') {
+        return { content: catalogToHtml(records, columns, title), extension: 'html', mimeType: 'text/html' };
+    }
+
+    const { headers, rows } = getCatalogTable(records, columns);
+    if (format === 'tsv') {
+        return { content: toTsv(headers, rows), extension: 'tsv', mimeType: 'text/tab-separated-values' };
+    }
+    if (format === 'markdown') {
+        return { content: `# ${title}\n\n${toMarkdownTable(headers, rows)}\n`, extension: 'md', mimeType: 'text/markdown' };
+    }
+    return { content: toCsv(headers, rows), extension: 'csv', mimeType: 'text/csv' };
+}
+
+export default {
+    EXPORT_FORMATS,
+    RECORD_SOURCE_LABELS,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    getCatalogTable,
+    catalogToHtml,
+    exportCatalog
+};
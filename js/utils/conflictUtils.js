@@ -0,0 +1,68 @@
+/**
+ * 同名冲突工具函数
+ * 读取冲突策略、生成不重复的文件名，并把处理结果整理为可读文字
+ */
+
+import { CONFLICT_POLICIES, DEFAULT_SETTINGS } from '../config/constants.js';
+
+/**
+ * 读取设置中的冲突策略
+ * @returns {string} skip、rename 或 overwrite
+ */
+export function getConflictPolicy() {
+    try {
+        const settings = JSON.parse(localStorage.getItem('quark-gui-settings') || '{}');
+        return CONFLICT_POLICIES[settings.conflictPolicy] ? settings.conflictPolicy : DEFAULT_SETTINGS.conflictPolicy;
+    } catch (error) {
+        return DEFAULT_SETTINGS.conflictPolicy;
+    }
+}
+
+/**
+ * 生成目录内不重复的名称，格式为"名称 (1).扩展名"
+ * @param {string} name - 原名称
+ * @param {Set<string>} existingNames - 目录中已有的名称
+ * @param {boolean} folder - 是否为文件夹，文件夹不拆分扩展名
+ * @returns {string} 不重复的名称
+ */
+export function getUniqueFileName(name, existingNames, folder = false) {
+    if (!existingNames.has(name)) return name;
+
+    const dotIndex = folder ? -1 : name.lastIndexOf('.');
+    const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+
+    let index = 1;
+    let candidate = `${base} (${index})${extension}`;
+    while (existingNames.has(candidate)) {
+        index++;
+        candidate = `${base} (${index})${extension}`;
+    }
+    return candidate;
+}
+
+/**
+ * 冲突处理结果的摘要文字
+ * @param {{policy: string, conflicts: Array<{name: string, action: string, newName?: string}>}} conflict - 处理结果
+ * @returns {string} 摘要，没有冲突时为空字符串
+ */
+export function describeConflictResolution(conflict) {
+    if (!conflict?.conflicts?.length) return '';
+
+    return conflict.conflicts.map(item => {
+        if (item.action === 'rename') {
+            return item.renameFailed ? `${item.name}（重命名失败）` : `${item.name} → ${item.newName}`;
+        }
+        if (item.action === 'overwrite') {
+            if (item.replaceFailed) return `${item.name}（旧文件未能移入回收站，新旧文件并存）`;
+            return item.renameFailed ? `${item.name}（已覆盖，新文件未能改回原名称）` : `${item.name}（已覆盖）`;
+        }
+        return `${item.name}（已跳过）`;
+    }).join('；');
+}
+
+export default {
+    getConflictPolicy,
+    getUniqueFileName,
+    describeConflictResolution
+};
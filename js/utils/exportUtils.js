@@ -0,0 +1,102 @@
+/**
+ * 导出工具函数
+ * 生成 CSV、TSV、Markdown 表格并触发浏览器下载
+ */
+
+/**
+ * 防止表格软件把文字当作公式执行
+ * 以 =、+、-、@、制表符或回车开头的文字（文件名、描述等可能由他人填写）前加单引号，Excel 打开时按文本显示
+ * @param {any} value - 字段值
+ * @returns {string} 处理后的文字
+ */
+export function neutralizeFormula(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * 转义 CSV 字段：以公式字符开头时加单引号，含逗号、引号或换行时用引号包裹
+ * @param {any} value - 字段值
+ * @returns {string} 转义后的字段
+ */
+export function escapeCsvField(value) {
+    const text = neutralizeFormula(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 生成 CSV 文本
+ * 开头带 BOM，避免 Excel 打开中文乱码
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Array<any>>} rows - 数据行
+ * @returns {string} CSV 文本
+ */
+export function toCsv(headers, rows) {
+    const lines = [headers, ...rows].map(row => row.map(escapeCsvField).join(','));
+    return `\uFEFF${lines.join('\r\n')}`;
+}
+
+/**
+ * 生成 TSV 文本，粘贴到 Excel 等表格软件时按列拆分
+ * 以公式字符开头的字段同 CSV 一样加单引号，之后再把字段中的制表符和换行替换为空格
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Array<any>>} rows - 数据行
+ * @returns {string} TSV 文本
+ */
+export function toTsv(headers, rows) {
+    const formatField = value => neutralizeFormula(value).replace(/[\t\r\n]+/g, ' ');
+    return [headers, ...rows].map(row => row.map(formatField).join('\t')).join('\n');
+}
+
+/**
+ * 转义 Markdown 表格单元格中的竖线和换行
+ * @param {any} value - 单元格值
+ * @returns {string} 转义后的文本
+ */
+export function escapeMarkdownCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * 生成 Markdown 表格
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Array<any>>} rows - 数据行
+ * @returns {string} Markdown 表格
+ */
+export function toMarkdownTable(headers, rows) {
+    const formatRow = cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+    return [
+        formatRow(headers),
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(formatRow)
+    ].join('\n');
+}
+
+/**
+ * 下载文本文件
+ * @param {string} content - 文件内容
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - MIME 类型
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+export default {
+    neutralizeFormula,
+    escapeCsvField,
+    toCsv,
+    toTsv,
+    escapeMarkdownCell,
+    toMarkdownTable,
+    downloadFile
+};
@@ -0,0 +1,90 @@
+/**
+ * 文件工具函数
+ * 提供网盘条目的格式化与类型判断
+ */
+
+import { FILE_TYPES } from '../config/constants.js';
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string} 可读的文件大小
+ */
+export function formatFileSize(bytes) {
+    const size = Number(bytes);
+    if (!size || size < 0) return '-';
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = size;
+    let unitIndex = 0;
+
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+
+    return `${value.toFixed(unitIndex === 0 ? 0 : 2)} ${units[unitIndex]}`;
+}
+
+/**
+ * 判断网盘条目是否为文件夹
+ * @param {Object} item - 夸克接口返回的文件条目
+ * @returns {boolean} 是否为文件夹
+ */
+export function isFolder(item) {
+    return Boolean(item?.dir) || item?.file_type === 0;
+}
+
+/**
+ * 获取网盘条目的类型信息
+ * @param {Object} item - 夸克接口返回的文件条目
+ * @returns {{key: string, icon: string}} 类型键与图标
+ */
+export function getItemType(item) {
+    if (isFolder(item)) {
+        return { key: 'folder', icon: FILE_TYPES.default.icon };
+    }
+
+    const name = item?.file_name || '';
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    const typeKey = Object.keys(FILE_TYPES).find(key =>
+        FILE_TYPES[key].extensions?.includes(extension)
+    );
+
+    return typeKey ?
+        { key: typeKey, icon: FILE_TYPES[typeKey].icon } :
+        { key: 'file', icon: '📄' };
+}
+
+/**
+ * 获取转存记录的类型
+ * 所有来源的记录都用 getItemType 的类型键，多个条目为 'multiple'，便于按类型筛选
+ * @param {Array<Object>} items - 夸克接口返回的文件条目
+ * @returns {string} 类型键
+ */
+export function getRecordFileType(items) {
+    if (!items?.length) return 'unknown';
+    return items.length === 1 ? getItemType(items[0]).key : 'multiple';
+}
+
+/**
+ * 转义HTML
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export default {
+    formatFileSize,
+    isFolder,
+    getItemType,
+    getRecordFileType,
+    escapeHtml
+};
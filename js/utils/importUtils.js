@@ -0,0 +1,204 @@
+/**
+ * 数据导入工具函数
+ * 把导入文件中的记录与已有记录对比，按分享链接或网盘文件ID判断重复，
+ * 按所选策略生成导入计划（新增、更新、冲突、无效），确认后再写入数据库
+ */
+
+import { QuarkFile } from '../models/QuarkFile.js';
+
+// 导入计划中每一行的结果
+export const IMPORT_ROW_STATUS = {
+    ADDED: 'added',
+    UPDATED: 'updated',
+    CONFLICT: 'conflict',
+    INVALID: 'invalid'
+};
+
+export const IMPORT_ROW_STATUS_LABELS = {
+    added: '新增',
+    updated: '更新',
+    conflict: '冲突',
+    invalid: '无效'
+};
+
+// 每一行的写入方式
+export const IMPORT_ACTIONS = {
+    ADD: 'add',
+    UPDATE: 'update',
+    SKIP: 'skip'
+};
+
+export const IMPORT_ACTION_LABELS = {
+    add: '新增',
+    update: '更新',
+    skip: '跳过'
+};
+
+/**
+ * 记录用于判断重复的键
+ * 分享链接去掉查询参数和末尾的斜杠，带不同 pwd 参数的同一分享视为重复
+ * @param {Object} record - 记录
+ * @param {string} matchBy - shareLink 或 fileId
+ * @returns {string} 键，记录没有对应字段时为空字符串
+ */
+export function getImportMatchKey(record, matchBy) {
+    if (matchBy === 'fileId') return record.fileId || '';
+
+    const link = record.shareLink || record.shareUrl || '';
+    return link.split(/[?#]/)[0].replace(/\/+$/, '');
+}
+
+/**
+ * 记录的最后修改时间
+ * @param {Object} record - 记录
+ * @returns {number} 时间戳，没有时间时为 0
+ */
+function getRecordTime(record) {
+    return new Date(record.updateTime || record.transferTime || record.createTime || 0).getTime() || 0;
+}
+
+/**
+ * 合并两条记录：以较新的记录为准，较新记录中为空的字段沿用较旧的记录
+ * @param {QuarkFile} newer - 较新的记录
+ * @param {Object} older - 较旧的记录
+ * @returns {QuarkFile} 合并后的记录，使用较旧记录的 id
+ */
+export function mergeImportRecords(newer, older) {
+    const isEmpty = value => value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+    const base = QuarkFile.fromDatabaseRow(older).toJSON();
+    const merged = { ...base };
+
+    Object.entries(newer.toJSON()).forEach(([key, value]) => {
+        if (!isEmpty(value)) merged[key] = value;
+    });
+
+    return QuarkFile.fromDatabaseRow({ ...merged, id: older.id });
+}
+
+/**
+ * 与已有记录重复的行按策略处理
+ * @param {QuarkFile} record - 导入的记录
+ * @param {Object} existing - 已有记录
+ * @param {string} strategy - 见 IMPORT_STRATEGIES
+ * @returns {Object} 计划行的状态、写入方式和说明
+ */
+function resolveImportConflict(record, existing, strategy) {
+    if (strategy === 'overwrite') {
+        return {
+            status: IMPORT_ROW_STATUS.UPDATED,
+            action: IMPORT_ACTIONS.UPDATE,
+            record: QuarkFile.fromDatabaseRow({ ...record.toJSON(), id: existing.id }),
+            message: '覆盖已有记录'
+        };
+    }
+
+    if (strategy === 'keepBoth') {
+        return {
+            status: IMPORT_ROW_STATUS.CONFLICT,
+            action: IMPORT_ACTIONS.ADD,
+            record,
+            message: '已有相同记录，另存一条'
+        };
+    }
+
+    if (strategy === 'mergeNewest' && getRecordTime(record) > getRecordTime(existing)) {
+        return {
+            status: IMPORT_ROW_STATUS.UPDATED,
+            action: IMPORT_ACTIONS.UPDATE,
+            record: mergeImportRecords(record, existing),
+            message: '导入的记录较新，合并到已有记录'
+        };
+    }
+
+    return {
+        status: IMPORT_ROW_STATUS.CONFLICT,
+        action: IMPORT_ACTIONS.SKIP,
+        record,
+        message: strategy === 'mergeNewest' ? '已有记录较新，保留已有记录' : '已有相同记录，跳过'
+    };
+}
+
+/**
+ * 生成导入计划，不写入数据库
+ * 每一行按 QuarkFile 完整读取并校验，保留原链接、时间等全部字段；导入文件中重复的行只按第一行处理
+ * @param {Array<Object>} rows - 导入文件中的记录
+ * @param {Array<Object>} existingRecords - 数据库中已有的记录
+ * @param {Object} options - 选项
+ * @param {string} options.strategy - 重复时的处理策略，见 IMPORT_STRATEGIES
+ * @param {string} options.matchBy - 判断重复的依据，见 IMPORT_MATCH_KEYS
+ * @returns {{strategy: string, matchBy: string, items: Array<Object>, summary: Object}} 导入计划
+ */
+export function planImport(rows, existingRecords, options = {}) {
+    const strategy = options.strategy || 'skip';
+    const matchBy = options.matchBy || 'shareLink';
+
+    const existingByKey = new Map();
+    existingRecords.forEach(record => {
+        const key = getImportMatchKey(record, matchBy);
+        if (key && !existingByKey.has(key)) existingByKey.set(key, record);
+    });
+
+    const importedKeys = new Set();
+    const items = rows.map((row, index) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            return { index, status: IMPORT_ROW_STATUS.INVALID, action: IMPORT_ACTIONS.SKIP, record: null, existing: null, message: '不是有效的记录' };
+        }
+
+        // 导入的记录由本库重新编号
+        const record = QuarkFile.fromDatabaseRow({ ...row, id: null });
+        const validation = record.validate();
+        if (!validation.isValid) {
+            return { index, status: IMPORT_ROW_STATUS.INVALID, action: IMPORT_ACTIONS.SKIP, record, existing: null, message: validation.errors.join('；') };
+        }
+
+        const key = getImportMatchKey(record, matchBy);
+        if (key && importedKeys.has(key)) {
+            return {
+                index,
+                status: IMPORT_ROW_STATUS.CONFLICT,
+                action: strategy === 'keepBoth' ? IMPORT_ACTIONS.ADD : IMPORT_ACTIONS.SKIP,
+                record,
+                existing: null,
+                message: '导入文件中有重复的记录'
+            };
+        }
+        if (key) importedKeys.add(key);
+
+        const existing = key ? existingByKey.get(key) : null;
+        if (!existing) {
+            return { index, status: IMPORT_ROW_STATUS.ADDED, action: IMPORT_ACTIONS.ADD, record, existing: null, message: '' };
+        }
+
+        return { index, existing, ...resolveImportConflict(record, existing, strategy) };
+    });
+
+    const summary = { total: items.length, added: 0, updated: 0, conflict: 0, invalid: 0, add: 0, update: 0, skip: 0 };
+    items.forEach(item => {
+        summary[item.status]++;
+        summary[item.action]++;
+    });
+
+    return { strategy, matchBy, items, summary };
+}
+
+/**
+ * 导入计划的摘要文字
+ * @param {Object} plan - 导入计划
+ * @returns {string} 摘要
+ */
+export function getImportSummaryText(plan) {
+    const { total, added, updated, conflict, invalid, add, update, skip } = plan.summary;
+    return `共 ${total} 条：新增 ${added}，更新 ${updated}，冲突 ${conflict}，无效 ${invalid}；将新增 ${add} 条、更新 ${update} 条、跳过 ${skip} 条`;
+}
+
+export default {
+    IMPORT_ROW_STATUS,
+    IMPORT_ROW_STATUS_LABELS,
+    IMPORT_ACTIONS,
+    IMPORT_ACTION_LABELS,
+    getImportMatchKey,
+    mergeImportRecords,
+    planImport,
+    getImportSummaryText
+};
@@ -0,0 +1,162 @@
+/**
+ * 分享链接解析工具
+ * 从论坛帖子、聊天记录等杂乱文本中识别夸克网盘链接及其提取码、标题
+ */
+
+import { extractPasscodeFromText } from './urlUtils.js';
+
+// 夸克分享ID的常见长度，用于修复被换行截断的链接
+const PWD_ID_LENGTH = 12;
+
+// 标题提示的最大长度
+const TITLE_HINT_MAX_LENGTH = 100;
+
+// 夸克分享链接：协议可省略，链接后可带 ?pwd=、#/list/share/... 等
+const QUARK_LINK_PATTERN = /(?:https?:\/\/)?pan\.quark\.cn\/s\/([a-zA-Z0-9]+)([^\s<>"'，。；、）)】\]]*)/gi;
+
+// 标题前常见的标签，如"名称：""资源："
+const TITLE_LABEL_PATTERN = /(?:资源名称|文件名称|名称|标题|资源|文件名)\s*[:：]\s*(.+)/;
+
+// 标题行中需要去掉的内容：链接标签、提取码、序号和装饰符号
+const TITLE_NOISE_PATTERNS = [
+    /(?:夸克网盘|夸克|网盘)?(?:分享)?(?:链接|地址)\s*[:：]?/g,
+    /(?:夸克网盘|夸克|网盘)\s*[:：]/g,
+    /(?:提取码|访问码|密码|pwd)\s*[:：=]?\s*[a-zA-Z0-9]{4,8}/gi,
+    /^\s*(?:\d+\s*[.、)]|[-*•·>#])\s*/,
+    /[「」『』]/g
+];
+
+/**
+ * 将全角字符转换为半角，统一中英文标点
+ * @param {string} text - 原始文本
+ * @returns {string} 转换后的文本
+ */
+export function normalizeFullWidth(text) {
+    return (text || '')
+        .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+        .replace(/　/g, ' ');
+}
+
+/**
+ * 修复被换行截断的链接
+ * 处理 "https://pan.quark.cn/s/" 后换行，以及分享ID被拆到下一行的情况
+ * @param {string} text - 文本
+ * @returns {string} 修复后的文本
+ */
+function joinSplitLinks(text) {
+    const splitIdPattern = new RegExp(`(pan\\.quark\\.cn\\/s\\/[a-zA-Z0-9]{1,${PWD_ID_LENGTH - 1}})[ \\t]*\\r?\\n[ \\t]*([a-zA-Z0-9]+)`, 'gi');
+
+    return text
+        .replace(/(pan\.quark\.cn\/s\/)[ \t]*\r?\n[ \t]*/gi, '$1')
+        .replace(/(https?:\/\/pan\.quark\.)[ \t]*\r?\n[ \t]*(cn\/s\/)/gi, '$1$2')
+        .replace(splitIdPattern, '$1$2');
+}
+
+/**
+ * 从链接后缀中读取提取码（?pwd=、&passcode= 或 #pwd=）
+ * @param {string} suffix - 分享ID之后的部分
+ * @returns {string} 提取码或空字符串
+ */
+function getPasscodeFromSuffix(suffix) {
+    const match = (suffix || '').match(/[?&#](?:pwd|passcode)=([a-zA-Z0-9]+)/i);
+    return match ? match[1] : '';
+}
+
+/**
+ * 从链接前的文本中推测资源标题
+ * 优先使用"名称：xxx"形式的标注，否则取最近一行有意义的文本
+ * @param {string} text - 上一个链接与当前链接之间的文本
+ * @returns {string} 标题提示或空字符串
+ */
+function extractTitleHint(text) {
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const labeled = lines[i].match(TITLE_LABEL_PATTERN);
+        if (labeled) {
+            return cleanTitle(labeled[1]);
+        }
+    }
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const title = cleanTitle(lines[i]);
+        if (title.length >= 2) {
+            return title;
+        }
+    }
+
+    return '';
+}
+
+/**
+ * 清理标题中的标签和装饰符号
+ * @param {string} line - 文本行
+ * @returns {string} 清理后的标题
+ */
+function cleanTitle(line) {
+    let title = line.replace(QUARK_LINK_PATTERN, '');
+    TITLE_NOISE_PATTERNS.forEach(pattern => {
+        title = title.replace(pattern, ' ');
+    });
+
+    title = title.replace(/\s+/g, ' ').replace(/^[\s:：,，|/-]+|[\s:：,，|/-]+$/g, '');
+    return title.slice(0, TITLE_HINT_MAX_LENGTH);
+}
+
+/**
+ * 解析文本中的夸克网盘分享链接
+ * 提取码依次取自链接参数、链接之后到下一个链接所在行之前的文本、链接所在行之前的文本。
+ * 例如"资源A https://pan.quark.cn/s/aaaaaaaaaaaa\n资源B 提取码：bbbb https://pan.quark.cn/s/bbbbbbbbbbbb"中，
+ * bbbb 只属于资源B
+ * @param {string} text - 任意文本
+ * @returns {Array<{url: string, pwdId: string, passcode: string, titleHint: string}>} 按出现顺序去重后的链接
+ */
+export function parseQuarkLinks(text) {
+    if (!text || !text.trim()) {
+        return [];
+    }
+
+    const normalized = joinSplitLinks(normalizeFullWidth(text));
+    const matches = [...normalized.matchAll(QUARK_LINK_PATTERN)];
+    const links = new Map();
+
+    matches.forEach((match, index) => {
+        const [fullMatch, pwdId, suffix] = match;
+        const matchEnd = match.index + fullMatch.length;
+        const previousEnd = index > 0 ? matches[index - 1].index + matches[index - 1][0].length : 0;
+        const nextStart = index + 1 < matches.length ? matches[index + 1].index : normalized.length;
+        // 下一个链接另起一行时，它所在行的前缀（标题、提取码）属于下一个链接
+        const nextLineStart = normalized.lastIndexOf('\n', nextStart - 1) + 1;
+        const afterEnd = nextLineStart > matchEnd ? nextLineStart : nextStart;
+
+        const before = normalized.substring(previousEnd, match.index);
+        const after = normalized.substring(matchEnd, afterEnd);
+        const lineBefore = before.substring(before.lastIndexOf('\n') + 1);
+
+        const passcode = getPasscodeFromSuffix(suffix) ||
+            extractPasscodeFromText(after) ||
+            extractPasscodeFromText(lineBefore);
+        const titleHint = extractTitleHint(before);
+
+        const existing = links.get(pwdId);
+        if (!existing) {
+            links.set(pwdId, {
+                url: `https://pan.quark.cn/s/${pwdId}`,
+                pwdId,
+                passcode,
+                titleHint
+            });
+        } else {
+            // 去重：同一链接保留首次识别到的提取码和标题
+            existing.passcode = existing.passcode || passcode;
+            existing.titleHint = existing.titleHint || titleHint;
+        }
+    });
+
+    return [...links.values()];
+}
+
+export default {
+    normalizeFullWidth,
+    parseQuarkLinks
+};
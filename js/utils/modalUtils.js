@@ -0,0 +1,138 @@
+/**
+ * 模态框工具函数
+ * 页面只有一个 #modal，各对话框经由 openModal 接管标题和按钮。main.js 在按 ESC 或点击遮罩时直接隐藏模态框，
+ * 这里监听隐藏并按取消处理，保证打开对话框的 Promise 总会结束
+ */
+
+import { escapeHtml } from './fileUtils.js';
+
+// 当前占用模态框的对话框
+let activeModal = null;
+
+/**
+ * 打开模态框
+ * 已有对话框占用模态框时，先按取消关闭它
+ * @param {Object} options - 选项
+ * @param {string} options.title - 标题
+ * @param {string} options.body - 内容 HTML，不提供时由调用方自行渲染
+ * @param {string} options.confirmText - 确认按钮文字，不提供时由调用方自行设置
+ * @param {Function|null} options.onConfirm - 点击确认按钮的回调，为 null 时隐藏确认按钮
+ * @param {string} options.cancelText - 取消按钮文字，默认"取消"
+ * @param {boolean} options.wide - 是否使用宽模态框
+ * @param {Function} options.onDismiss - 点击取消或关闭按钮、按 ESC、点击遮罩时的回调
+ * @returns {{close: Function}} 模态框句柄，close() 关闭模态框且不调用 onDismiss
+ */
+export function openModal(options) {
+    activeModal?.dismiss();
+
+    const modal = document.getElementById('modal');
+    const modalTitle = document.getElementById('modalTitle');
+    const modalBody = document.getElementById('modalBody');
+    const modalConfirm = document.getElementById('modalConfirm');
+    const modalCancel = document.getElementById('modalCancel');
+    const modalClose = document.getElementById('modalClose');
+    const modalContent = modal?.querySelector('.quark-gui-modal-content');
+
+    let observer = null;
+    let closed = false;
+
+    const handle = {
+        close() {
+            if (closed) return;
+            closed = true;
+            if (activeModal === handle) activeModal = null;
+
+            // 先停止监听，自身的隐藏不再触发 onDismiss
+            observer?.disconnect();
+
+            if (modalConfirm) {
+                modalConfirm.disabled = false;
+                modalConfirm.style.display = '';
+            }
+            if (modal) {
+                modalContent?.classList.remove('quark-gui-modal-wide');
+                modal.style.display = 'none';
+            }
+        },
+        dismiss() {
+            if (closed) return;
+            handle.close();
+            options.onDismiss?.();
+        }
+    };
+    activeModal = handle;
+
+    if (modalTitle) modalTitle.textContent = options.title;
+    if (modalBody && options.body !== undefined) modalBody.innerHTML = options.body;
+
+    if (modalConfirm) {
+        modalConfirm.disabled = false;
+        modalConfirm.style.display = options.onConfirm === null ? 'none' : '';
+        if (options.confirmText) modalConfirm.textContent = options.confirmText;
+        modalConfirm.onclick = options.onConfirm || null;
+    }
+
+    if (modalCancel) {
+        modalCancel.textContent = options.cancelText || '取消';
+        modalCancel.onclick = () => handle.dismiss();
+    }
+
+    if (modalClose) {
+        modalClose.onclick = () => handle.dismiss();
+    }
+
+    if (modal) {
+        modalContent?.classList.toggle('quark-gui-modal-wide', Boolean(options.wide));
+        modal.style.display = 'flex';
+
+        observer = new MutationObserver(() => {
+            if (modal.style.display === 'none') handle.dismiss();
+        });
+        observer.observe(modal, { attributes: true, attributeFilter: ['style'] });
+    }
+
+    return handle;
+}
+
+/**
+ * 提示输入提取码
+ * @param {Object} options - 选项
+ * @param {string} options.name - 资源名称，可选
+ * @param {string} options.url - 分享链接，可选
+ * @param {string} options.reason - 提示原因
+ * @returns {Promise<string|null>} 输入的提取码，取消时为 null
+ */
+export function promptPasscode(options = {}) {
+    const { name, url, reason } = options;
+
+    return new Promise((resolve) => {
+        let handle = null;
+        const submit = () => {
+            handle.close();
+            resolve(document.getElementById('passcodeInput')?.value.trim() || null);
+        };
+
+        handle = openModal({
+            title: '需要提取码',
+            body: `
+                <p>${name ? `"${escapeHtml(name)}" ` : ''}${escapeHtml(reason || '该分享需要提取码')}</p>
+                ${url ? `<p style="word-break: break-all;"><strong>链接:</strong> ${escapeHtml(url)}</p>` : ''}
+                <input type="text" id="passcodeInput" class="quark-gui-input" placeholder="请输入提取码" maxlength="8">
+            `,
+            confirmText: '确定',
+            onConfirm: submit,
+            onDismiss: () => resolve(null)
+        });
+
+        const passcodeInput = document.getElementById('passcodeInput');
+        passcodeInput?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+        passcodeInput?.focus();
+    });
+}
+
+export default {
+    openModal,
+    promptPasscode
+};
@@ -0,0 +1,331 @@
+/**
+ * 全文搜索工具函数
+ * 把文件名等文字切分为检索词（汉字单字和双字、字母数字串、拼音全拼和首字母），
+ * 供转存记录的倒排索引写入和查询使用，并按搜索词标出文件名中匹配的文字
+ */
+
+import { PINYIN_TABLE } from '../config/pinyinTable.js';
+import { escapeHtml } from './fileUtils.js';
+
+// 检索词类型的权重，拼音和首字母匹配排在原文匹配之后
+export const TERM_WEIGHTS = {
+    word: 1,
+    han: 1,
+    pinyin: 0.8,
+    initials: 0.6
+};
+
+// 文件名以外的字段（类型、标签、描述）的权重系数
+const SECONDARY_FIELD_WEIGHT = 0.5;
+
+// 一个拼音检索词最多覆盖的汉字数
+const MAX_PINYIN_CHARS = 8;
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+const WORD_PATTERN = /[a-z0-9]/;
+
+let pinyinMap = null;
+
+/**
+ * 单个汉字的拼音
+ * @param {string} char - 汉字
+ * @returns {string} 不带声调的拼音，拼音表未收录时为空字符串
+ */
+export function getPinyin(char) {
+    if (!pinyinMap) {
+        pinyinMap = new Map();
+        Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+            for (const tableChar of chars) {
+                pinyinMap.set(tableChar, syllable);
+            }
+        });
+    }
+    return pinyinMap.get(char) || '';
+}
+
+/**
+ * 规范化单个字符：全角转半角、转小写，保持与原文逐字对应以便标出匹配位置
+ * @param {string} char - 字符
+ * @returns {string} 规范化后的字符
+ */
+function normalizeChar(char) {
+    const normalized = char.normalize('NFKC').toLowerCase();
+    return normalized.length === 1 ? normalized : char.toLowerCase();
+}
+
+/**
+ * 把文字切分为连续的汉字串和字母数字串，其余字符作为分隔
+ * @param {string} text - 文字
+ * @returns {Array<{type: string, text: string, start: number}>} type 为 han 或 word，text 已规范化，start 为在原文中的位置
+ */
+export function splitRuns(text) {
+    const runs = [];
+    let current = null;
+    const source = String(text ?? '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = normalizeChar(source[i]);
+        const type = HAN_PATTERN.test(char) ? 'han' : (WORD_PATTERN.test(char) ? 'word' : null);
+
+        if (type && current?.type === type) {
+            current.text += char;
+        } else {
+            current = type ? { type, text: char, start: i } : null;
+            if (current) runs.push(current);
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * 汉字串从第 start 个字开始的拼音检索词
+ * 遇到拼音表未收录的字时截止
+ * @param {Array<string>} syllables - 每个字的拼音
+ * @param {number} start - 起始位置
+ * @returns {{full: string, initials: string}} 全拼和首字母
+ */
+function getPinyinTerms(syllables, start) {
+    let full = '';
+    let initials = '';
+    for (let i = start; i < syllables.length && i < start + MAX_PINYIN_CHARS && syllables[i]; i++) {
+        full += syllables[i];
+        initials += syllables[i][0];
+    }
+    return { full, initials };
+}
+
+/**
+ * 生成记录的检索词，写入倒排索引
+ * 汉字串按单字和相邻两字切分，并从每个字开始生成全拼和首字母（如"中国人"生成 zhongguoren、zgr、guoren、gr 等），
+ * 因此可以按前缀查找拼音；数字去掉前导零后再记一次，"第01集"也能用 1 搜到
+ * @param {Object} record - 转存记录
+ * @returns {Array<{term: string, weight: number}>} 检索词及其权重，同一个词只保留最高权重
+ */
+export function buildSearchTerms(record) {
+    const terms = new Map();
+    const add = (term, weight) => {
+        if (term && (terms.get(term) || 0) < weight) {
+            terms.set(term, weight);
+        }
+    };
+
+    const fields = [
+        [record.fileName, 1],
+        [record.fileType, SECONDARY_FIELD_WEIGHT],
+        [record.description, SECONDARY_FIELD_WEIGHT],
+        ...(Array.isArray(record.tags) ? record.tags : []).map(tag => [tag, SECONDARY_FIELD_WEIGHT])
+    ];
+
+    fields.forEach(([text, fieldWeight]) => {
+        splitRuns(text).forEach(run => {
+            if (run.type === 'word') {
+                add(run.text, TERM_WEIGHTS.word * fieldWeight);
+                (run.text.match(/\d+/g) || []).forEach(digits => {
+                    add(digits, TERM_WEIGHTS.word * fieldWeight);
+                    add(digits.replace(/^0+(?=\d)/, ''), TERM_WEIGHTS.word * fieldWeight);
+                });
+                return;
+            }
+
+            const chars = [...run.text];
+            const syllables = chars.map(getPinyin);
+            chars.forEach((char, i) => {
+                add(char, TERM_WEIGHTS.han * fieldWeight);
+                if (i + 1 < chars.length) {
+                    add(char + chars[i + 1], TERM_WEIGHTS.han * fieldWeight);
+                }
+
+                const { full, initials } = getPinyinTerms(syllables, i);
+                add(full, TERM_WEIGHTS.pinyin * fieldWeight);
+                if (initials.length > 1) {
+                    add(initials, TERM_WEIGHTS.initials * fieldWeight);
+                }
+            });
+        });
+    });
+
+    return [...terms].map(([term, weight]) => ({ term, weight }));
+}
+
+/**
+ * 解析搜索词
+ * 汉字串按相邻两字查找（单字时按单字），字母数字串按前缀查找，同时匹配原文、拼音和首字母
+ * @param {string} keyword - 搜索词
+ * @returns {Array<{type: string, text: string, terms: Array<string>}>} 查询条件，记录须满足全部条件
+ */
+export function parseSearchQuery(keyword) {
+    return splitRuns(keyword).map(run => {
+        if (run.type === 'word') {
+            return { type: 'word', text: run.text, terms: [run.text] };
+        }
+
+        const chars = [...run.text];
+        const terms = chars.length === 1 ? chars : chars.slice(1).map((char, i) => chars[i] + char);
+        return { type: 'han', text: run.text, terms };
+    });
+}
+
+/**
+ * 编辑距离，相邻两字符互换计为一次编辑
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {number} 编辑距离
+ */
+export function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * 搜索词允许的拼写错误数，过短的词不做模糊匹配
+ * @param {string} text - 搜索词
+ * @returns {number} 允许的编辑距离
+ */
+export function getTypoTolerance(text) {
+    if (text.length >= 8) return 2;
+    if (text.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * 检索词是否在允许的拼写错误内匹配搜索词
+ * 比较检索词中与搜索词等长（允许相差一个字符）的开头部分，因此拼写有误的前缀也能匹配
+ * @param {string} text - 搜索词
+ * @param {string} term - 检索词
+ * @returns {boolean} 是否匹配
+ */
+export function isFuzzyMatch(text, term) {
+    const tolerance = getTypoTolerance(text);
+    if (!tolerance) return false;
+
+    return [text.length - 1, text.length, text.length + 1].some(length =>
+        length > 0 && length <= term.length && editDistance(text, term.slice(0, length)) <= tolerance
+    );
+}
+
+/**
+ * 文字中与搜索词匹配的区间：原文匹配，以及汉字的全拼前缀和首字母匹配
+ * @param {string} text - 文字
+ * @param {string} keyword - 搜索词
+ * @returns {Array<[number, number]>} 合并后的 [开始, 结束) 区间
+ */
+export function getHighlightRanges(text, keyword) {
+    const source = String(text ?? '');
+    const normalized = source.split('').map(normalizeChar).join('');
+    const hanRuns = splitRuns(source).filter(run => run.type === 'han');
+    const ranges = [];
+
+    parseSearchQuery(keyword).forEach(query => {
+        let index = normalized.indexOf(query.text);
+        while (index !== -1) {
+            ranges.push([index, index + query.text.length]);
+            index = normalized.indexOf(query.text, index + query.text.length);
+        }
+
+        if (query.type !== 'word') return;
+
+        hanRuns.forEach(run => {
+            const syllables = [...run.text].map(getPinyin);
+            syllables.forEach((syllable, i) => {
+                const end = matchPinyinAt(syllables, i, query.text);
+                if (end > i) ranges.push([run.start + i, run.start + end]);
+            });
+        });
+    });
+
+    return mergeRanges(ranges);
+}
+
+/**
+ * 从第 start 个字开始按全拼或首字母匹配
+ * 全拼允许最后一个字只输入一部分，如 zhongg 匹配"中国"
+ * @param {Array<string>} syllables - 每个字的拼音
+ * @param {number} start - 起始位置
+ * @param {string} text - 搜索词
+ * @returns {number} 匹配到的结束位置，不匹配时为 start
+ */
+function matchPinyinAt(syllables, start, text) {
+    let rest = text;
+    let end = start;
+    while (rest && end < syllables.length && syllables[end]) {
+        const syllable = syllables[end];
+        if (rest.startsWith(syllable)) {
+            rest = rest.slice(syllable.length);
+        } else if (syllable.startsWith(rest)) {
+            rest = '';
+        } else {
+            break;
+        }
+        end++;
+    }
+    if (!rest) return end;
+
+    const { initials } = getPinyinTerms(syllables, start);
+    return text.length > 1 && initials.startsWith(text) ? start + text.length : start;
+}
+
+/**
+ * 合并重叠或相接的区间
+ * @param {Array<[number, number]>} ranges - 区间
+ * @returns {Array<[number, number]>} 按开始位置排列的区间
+ */
+function mergeRanges(ranges) {
+    const merged = [];
+    ranges
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+    return merged;
+}
+
+/**
+ * 把文字转为 HTML，并用 <mark> 标出与搜索词匹配的部分
+ * @param {string} text - 文字
+ * @param {string} keyword - 搜索词，为空时只转义
+ * @returns {string} HTML
+ */
+export function highlightMatches(text, keyword) {
+    const source = String(text ?? '');
+    if (!keyword) return escapeHtml(source);
+
+    let html = '';
+    let position = 0;
+    getHighlightRanges(source, keyword).forEach(([start, end]) => {
+        html += escapeHtml(source.slice(position, start));
+        html += `<mark class="search-highlight">${escapeHtml(source.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(source.slice(position));
+}
+
+export default {
+    TERM_WEIGHTS,
+    getPinyin,
+    splitRuns,
+    buildSearchTerms,
+    parseSearchQuery,
+    editDistance,
+    getTypoTolerance,
+    isFuzzyMatch,
+    getHighlightRanges,
+    highlightMatches
+};
@@ -0,0 +1,104 @@
+/**
+ * 分享工具函数
+ * 处理重新分享时的有效期与提取码选项
+ */
+
+import { SHARE_EXPIRY } from '../config/constants.js';
+
+// 提取码可用字符
+const PASSCODE_CHARS = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+/**
+ * 生成随机提取码
+ * @param {number} length - 长度
+ * @returns {string} 提取码
+ */
+export function generatePasscode(length = 4) {
+    let passcode = '';
+    for (let i = 0; i < length; i++) {
+        passcode += PASSCODE_CHARS[Math.floor(Math.random() * PASSCODE_CHARS.length)];
+    }
+    return passcode;
+}
+
+/**
+ * 检查固定提取码格式
+ * @param {string} passcode - 提取码
+ * @returns {boolean} 是否有效
+ */
+export function isValidSharePasscode(passcode) {
+    return /^[a-zA-Z0-9]{4}$/.test(passcode || '');
+}
+
+/**
+ * 读取设置中的默认分享选项
+ * @returns {{expiredType: number, passcodeMode: string, fixedPasscode: string}} 默认分享选项
+ */
+export function getDefaultShareOptions() {
+    try {
+        const settings = JSON.parse(localStorage.getItem('quark-gui-settings') || '{}');
+        return {
+            expiredType: parseInt(settings.shareExpiredType) || SHARE_EXPIRY.permanent.expiredType,
+            passcodeMode: settings.sharePasscodeMode || 'none',
+            fixedPasscode: settings.shareFixedPasscode || ''
+        };
+    } catch (error) {
+        return { expiredType: SHARE_EXPIRY.permanent.expiredType, passcodeMode: 'none', fixedPasscode: '' };
+    }
+}
+
+/**
+ * 合并默认值与临时覆盖项，得到本次分享使用的选项
+ * @param {Object} overrides - 临时覆盖项，值为空时使用默认值
+ * @returns {{expiredType: number, passcode: string}} 分享选项
+ */
+export function resolveShareOptions(overrides = {}) {
+    const defaults = getDefaultShareOptions();
+    const expiredType = parseInt(overrides.expiredType) || defaults.expiredType;
+    const passcodeMode = overrides.passcodeMode || defaults.passcodeMode;
+    const fixedPasscode = overrides.passcodeMode ? overrides.fixedPasscode : defaults.fixedPasscode;
+
+    let passcode = '';
+    if (passcodeMode === 'random') {
+        passcode = generatePasscode();
+    } else if (passcodeMode === 'fixed') {
+        if (!isValidSharePasscode(fixedPasscode)) {
+            throw new Error('固定提取码需为4位字母或数字');
+        }
+        passcode = fixedPasscode;
+    }
+
+    return { expiredType, passcode };
+}
+
+/**
+ * 获取有效期配置
+ * @param {number} expiredType - 有效期类型
+ * @returns {Object} 有效期配置
+ */
+export function getShareExpiry(expiredType) {
+    return Object.values(SHARE_EXPIRY).find(expiry => expiry.expiredType === Number(expiredType)) ||
+        SHARE_EXPIRY.permanent;
+}
+
+/**
+ * 计算分享到期时间
+ * @param {number} expiredType - 有效期类型
+ * @param {Date} from - 起始时间
+ * @returns {string|null} ISO 时间，永久有效时为 null
+ */
+export function getExpiryDate(expiredType, from = new Date()) {
+    const { days } = getShareExpiry(expiredType);
+    if (!days) return null;
+
+    return new Date(from.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+export default {
+    generatePasscode,
+    isValidSharePasscode,
+    getDefaultShareOptions,
+    resolveShareOptions,
+    getShareExpiry,
+    getExpiryDate
+};
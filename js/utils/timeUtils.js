@@ -121,10 +121,26 @@ export function getTimeDifference(startTime, endTime = Date.now()) {
 /**
  * 延迟执行函数
  * @param {number} ms - 延迟毫秒数
+ * @param {AbortSignal} signal - 取消信号，中止时提前结束等待，由调用方检查 signal.aborted
  * @returns {Promise} Promise对象
  */
-export function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function delay(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve();
+            return;
+        }
+
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            resolve();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
 /**
@@ -22,6 +22,36 @@ export function getIdFromUrl(url) {
     }
 }
 
+/**
+ * 从分享链接中提取提取码（?pwd=xxxx）
+ * @param {string} url - 分享链接
+ * @returns {string} 提取码或空字符串
+ */
+export function getPasscodeFromUrl(url) {
+    try {
+        const match = (url || '').match(/[?&#](?:pwd|passcode)=([a-zA-Z0-9]+)/);
+        return match ? match[1] : '';
+    } catch (error) {
+        console.error('提取码解析错误:', error);
+        return '';
+    }
+}
+
+/**
+ * 从文本中提取提取码（如"提取码：abcd"）
+ * @param {string} text - 文本内容
+ * @returns {string} 提取码或空字符串
+ */
+export function extractPasscodeFromText(text) {
+    try {
+        const match = (text || '').match(/(?:提取码|访问码|密码|pwd)\s*[:：=]?\s*([a-zA-Z0-9]{4,8})(?![a-zA-Z0-9])/i);
+        return match ? match[1] : '';
+    } catch (error) {
+        console.error('提取码解析错误:', error);
+        return '';
+    }
+}
+
 /**
  * 验证URL格式是否正确
  * @param {string} url - 待验证的URL
@@ -344,6 +374,8 @@ export function isAudioUrl(url) {
 
 export default {
     getIdFromUrl,
+    getPasscodeFromUrl,
+    extractPasscodeFromText,
     isValidQuarkUrl,
     isValidUrl,
     parseUrlParams,